@@ -25,6 +25,7 @@ const CREATE_TABLES = `
     popular SMALLINT NOT NULL DEFAULT 0,
     portions INTEGER NOT NULL DEFAULT 1,
     recipe TEXT NOT NULL DEFAULT '[]',
+    modifier_groups TEXT NOT NULL DEFAULT '[]',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
   );
@@ -67,8 +68,8 @@ const CREATE_TABLES = `
     id TEXT PRIMARY KEY,
     customer_name TEXT NOT NULL,
     total DOUBLE PRECISION NOT NULL,
-    status TEXT NOT NULL CHECK (status IN ('pending', 'preparing', 'ready', 'delivered')),
-    payment_method TEXT NOT NULL CHECK (payment_method IN ('efectivo', 'mercadopago', 'cuenta_abierta')),
+    status TEXT NOT NULL CHECK (status IN ('pending', 'preparing', 'ready', 'delivered', 'cancelled')),
+    payment_method TEXT NOT NULL CHECK (payment_method IN ('efectivo', 'mercadopago', 'cuenta_abierta', 'mixto')),
     mercado_pago_account_id TEXT REFERENCES mercado_pago_accounts(id),
     cash_register_id TEXT REFERENCES cash_registers(id),
     open_account_id TEXT,
@@ -76,7 +77,11 @@ const CREATE_TABLES = `
     closed_open_account_name TEXT,
     discount DOUBLE PRECISION,
     discount_reason TEXT,
+    discount_preset_id TEXT,
     notes TEXT,
+    cancelled_at TIMESTAMP,
+    cancelled_by TEXT,
+    cancellation_reason TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
   );
@@ -87,10 +92,11 @@ const CREATE_TABLES = `
     cash_register_id TEXT NOT NULL REFERENCES cash_registers(id),
     status TEXT NOT NULL CHECK (status IN ('open', 'closed')),
     closed_at TIMESTAMP,
-    payment_method_used TEXT CHECK (payment_method_used IS NULL OR payment_method_used IN ('efectivo', 'mercadopago')),
+    payment_method_used TEXT CHECK (payment_method_used IS NULL OR payment_method_used IN ('efectivo', 'mercadopago', 'fiado')),
     mercado_pago_account_id TEXT REFERENCES mercado_pago_accounts(id),
     closed_discount DOUBLE PRECISION,
     closed_discount_reason TEXT,
+    created_by TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
   );
@@ -112,6 +118,115 @@ const CREATE_TABLES = `
     delivered_at TIMESTAMP
   );
 
+  CREATE TABLE IF NOT EXISTS order_payments (
+    id TEXT PRIMARY KEY,
+    order_id TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    method TEXT NOT NULL CHECK (method IN ('efectivo', 'mercadopago')),
+    amount DOUBLE PRECISION NOT NULL CHECK (amount > 0),
+    mercado_pago_account_id TEXT REFERENCES mercado_pago_accounts(id),
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS order_events (
+    id SERIAL PRIMARY KEY,
+    order_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    user_id TEXT,
+    data JSONB,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS cash_register_movements (
+    id TEXT PRIMARY KEY,
+    cash_register_id TEXT NOT NULL REFERENCES cash_registers(id),
+    type TEXT NOT NULL CHECK (type IN ('retiro', 'ingreso', 'gasto')),
+    amount DOUBLE PRECISION NOT NULL CHECK (amount > 0),
+    reason TEXT NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS customer_accounts (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    phone TEXT,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS customer_account_entries (
+    id TEXT PRIMARY KEY,
+    customer_account_id TEXT NOT NULL REFERENCES customer_accounts(id),
+    type TEXT NOT NULL CHECK (type IN ('charge', 'payment')),
+    amount DOUBLE PRECISION NOT NULL CHECK (amount > 0),
+    description TEXT,
+    open_account_id TEXT REFERENCES open_accounts(id),
+    cash_register_id TEXT REFERENCES cash_registers(id),
+    payment_method TEXT CHECK (payment_method IS NULL OR payment_method IN ('efectivo', 'mercadopago')),
+    mercado_pago_account_id TEXT REFERENCES mercado_pago_accounts(id),
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS open_account_payments (
+    id TEXT PRIMARY KEY,
+    open_account_id TEXT NOT NULL REFERENCES open_accounts(id),
+    method TEXT NOT NULL CHECK (method IN ('efectivo', 'mercadopago')),
+    amount DOUBLE PRECISION NOT NULL CHECK (amount > 0),
+    mercado_pago_account_id TEXT REFERENCES mercado_pago_accounts(id),
+    payer TEXT,
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS open_account_events (
+    id SERIAL PRIMARY KEY,
+    open_account_id TEXT NOT NULL REFERENCES open_accounts(id),
+    type TEXT NOT NULL,
+    user_id TEXT,
+    data JSONB,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS cup_types (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    price DOUBLE PRECISION NOT NULL CHECK (price > 0),
+    active SMALLINT NOT NULL DEFAULT 1,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS cup_stock_movements (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL CHECK (type IN ('purchase', 'broken', 'lost', 'count')),
+    cup_type_id TEXT NOT NULL DEFAULT 'vaso' REFERENCES cup_types(id),
+    quantity INTEGER NOT NULL CHECK (quantity >= 0),
+    unit_cost DOUBLE PRECISION,
+    washed_quantity INTEGER,
+    expected_quantity INTEGER,
+    not_returned INTEGER,
+    cash_register_id TEXT REFERENCES cash_registers(id),
+    cash_register_ids TEXT[],
+    notes TEXT,
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    scope TEXT NOT NULL,
+    key TEXT NOT NULL,
+    user_id TEXT NOT NULL DEFAULT '',
+    request_hash TEXT NOT NULL,
+    status_code INTEGER,
+    response JSONB,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (scope, key, user_id)
+  );
+
   CREATE TABLE IF NOT EXISTS settings (
     key TEXT PRIMARY KEY,
     value TEXT NOT NULL,
@@ -297,6 +412,11 @@ async function initDb() {
         "ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS recipe TEXT NOT NULL DEFAULT '[]'",
       );
     }
+    if (!menuColNames.includes('modifier_groups')) {
+      await client.query(
+        "ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS modifier_groups TEXT NOT NULL DEFAULT '[]'",
+      );
+    }
 
     const orderItemsCols = await client.query(
       "SELECT column_name FROM information_schema.columns WHERE table_name = 'order_items'",
@@ -367,6 +487,12 @@ async function initDb() {
         );
       }
     }
+    if (!oiColNames.includes('modifiers')) {
+      // Opciones elegidas (snapshot con delta de precio y de receta).
+      await client.query(
+        'ALTER TABLE order_items ADD COLUMN IF NOT EXISTS modifiers JSONB',
+      );
+    }
     await client.query(`
       UPDATE order_items oi
       SET created_at = o.created_at
@@ -611,6 +737,11 @@ async function initDb() {
         'ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_reason TEXT',
       );
     }
+    if (!ordersColNames.includes('discount_preset_id')) {
+      await client.query(
+        'ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_preset_id TEXT',
+      );
+    }
     if (!ordersColNames.includes('notes')) {
       await client.query(
         'ALTER TABLE orders ADD COLUMN IF NOT EXISTS notes TEXT',
@@ -631,13 +762,51 @@ async function initDb() {
         'ALTER TABLE orders ADD COLUMN IF NOT EXISTS closed_open_account_name TEXT',
       );
     }
+    const cancellationCols = [
+      ['cancelled_at', 'TIMESTAMP'],
+      ['cancelled_by', 'TEXT'],
+      ['cancellation_reason', 'TEXT'],
+    ];
+    for (const [col, def] of cancellationCols) {
+      if (!ordersColNames.includes(col)) {
+        await client.query(
+          `ALTER TABLE orders ADD COLUMN IF NOT EXISTS ${col} ${def}`,
+        );
+      }
+    }
+    if (!ordersColNames.includes('created_by')) {
+      await client.query(
+        'ALTER TABLE orders ADD COLUMN IF NOT EXISTS created_by TEXT',
+      );
+    }
+    await client.query(`
+      ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+    `);
+    await client.query(`
+      ALTER TABLE orders ADD CONSTRAINT orders_status_check
+      CHECK (status IN ('pending', 'preparing', 'ready', 'delivered', 'cancelled'));
+    `);
     await client.query(`
       ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_method_check;
     `);
     await client.query(`
       ALTER TABLE orders ADD CONSTRAINT orders_payment_method_check
-      CHECK (payment_method IN ('efectivo', 'mercadopago', 'cuenta_abierta'));
+      CHECK (payment_method IN ('efectivo', 'mercadopago', 'cuenta_abierta', 'mixto'));
     `);
+    // Comandas previas a pagos divididos: un único pago por el total. Corre una
+    // sola vez, mientras `order_payments` está vacía; después cada comanda
+    // guarda sus pagos al crearse.
+    const orderPaymentsEmpty =
+      (await client.query('SELECT 1 FROM order_payments LIMIT 1')).rows.length === 0;
+    if (orderPaymentsEmpty) {
+      await client.query(`
+        INSERT INTO order_payments (id, order_id, method, amount, mercado_pago_account_id, created_at)
+        SELECT 'legacy-' || o.id, o.id, o.payment_method, o.total, o.mercado_pago_account_id, o.created_at
+        FROM orders o
+        WHERE o.payment_method IN ('efectivo', 'mercadopago')
+          AND o.total > 0
+      `);
+    }
 
     const openAccountsExists =
       (
@@ -662,6 +831,24 @@ async function initDb() {
         )
       `);
     }
+    // Cuentas cerradas "al fiado": el total queda como deuda del cliente.
+    await client.query(`
+      ALTER TABLE open_accounts ADD COLUMN IF NOT EXISTS customer_account_id TEXT REFERENCES customer_accounts(id);
+    `);
+    // Cuenta unida a otra: queda cerrada, sin comandas, apuntando a la que la absorbió.
+    await client.query(`
+      ALTER TABLE open_accounts ADD COLUMN IF NOT EXISTS merged_into_open_account_id TEXT REFERENCES open_accounts(id);
+    `);
+    await client.query(`
+      ALTER TABLE open_accounts ADD COLUMN IF NOT EXISTS created_by TEXT;
+    `);
+    await client.query(`
+      ALTER TABLE open_accounts DROP CONSTRAINT IF EXISTS open_accounts_payment_method_used_check;
+    `);
+    await client.query(`
+      ALTER TABLE open_accounts ADD CONSTRAINT open_accounts_payment_method_used_check
+      CHECK (payment_method_used IS NULL OR payment_method_used IN ('efectivo', 'mercadopago', 'fiado'));
+    `);
 
     const suppliesExists =
       (
@@ -725,6 +912,35 @@ async function initDb() {
         'ALTER TABLE cash_registers ADD COLUMN IF NOT EXISTS mp_starting_balance DOUBLE PRECISION',
       );
     }
+    if (!cashRegisterColNames.includes('starting_cash_breakdown')) {
+      await client.query(
+        'ALTER TABLE cash_registers ADD COLUMN IF NOT EXISTS starting_cash_breakdown JSONB',
+      );
+    }
+    if (!cashRegisterColNames.includes('point_of_sale')) {
+      await client.query(
+        "ALTER TABLE cash_registers ADD COLUMN IF NOT EXISTS point_of_sale TEXT NOT NULL DEFAULT 'Principal'",
+      );
+    }
+    if (!cashRegisterColNames.includes('close_revisions')) {
+      await client.query(
+        "ALTER TABLE cash_registers ADD COLUMN IF NOT EXISTS close_revisions JSONB NOT NULL DEFAULT '[]'::jsonb",
+      );
+    }
+    // Usuarios (app_users.id) que abrieron y cerraron la caja.
+    for (const col of ['opened_by', 'closed_by']) {
+      if (!cashRegisterColNames.includes(col)) {
+        await client.query(
+          `ALTER TABLE cash_registers ADD COLUMN IF NOT EXISTS ${col} TEXT`,
+        );
+      }
+    }
+    // Varias cajas abiertas a la vez, pero una sola por punto de venta.
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS cash_registers_one_open_per_point_of_sale
+      ON cash_registers (lower(point_of_sale))
+      WHERE status = 'open'
+    `);
     if (!ordersColNames.includes('cash_register_id')) {
       await client.query(
         'ALTER TABLE orders ADD COLUMN IF NOT EXISTS cash_register_id TEXT REFERENCES cash_registers(id)',
@@ -773,6 +989,39 @@ async function initDb() {
         ON cup_movements(order_id)
       `);
     }
+    await client.query(
+      'ALTER TABLE cup_movements ADD COLUMN IF NOT EXISTS created_by TEXT',
+    );
+    await client.query(
+      'ALTER TABLE cup_movements ADD COLUMN IF NOT EXISTS origin_cash_register_id TEXT REFERENCES cash_registers(id)',
+    );
+
+    // Tipos de envase retornable: el vaso de siempre toma el precio que tenía
+    // `buffet_cup_price` (o `CUP_PRICE`) y los movimientos previos quedan como vasos.
+    const envCupPrice = Math.round(Number(process.env.CUP_PRICE));
+    await client.query(
+      `INSERT INTO cup_types (id, name, price, sort_order)
+       VALUES ('vaso', 'Vaso', COALESCE(
+         (SELECT CASE WHEN value ~ '^[1-9][0-9]*$' THEN value::float END
+          FROM settings WHERE key = 'buffet_cup_price'),
+         $1
+       ), 0)
+       ON CONFLICT (id) DO NOTHING`,
+      [Number.isFinite(envCupPrice) && envCupPrice > 0 ? envCupPrice : 2000],
+    );
+    await client.query(
+      "ALTER TABLE cup_movements ADD COLUMN IF NOT EXISTS cup_type_id TEXT NOT NULL DEFAULT 'vaso' REFERENCES cup_types(id)",
+    );
+    await client.query(
+      "ALTER TABLE cup_stock_movements ADD COLUMN IF NOT EXISTS cup_type_id TEXT NOT NULL DEFAULT 'vaso' REFERENCES cup_types(id)",
+    );
+    // Una entrega por comanda y tipo de envase.
+    await client.query('DROP INDEX IF EXISTS cup_movements_one_delivery_per_order');
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS cup_movements_one_delivery_per_order_type
+      ON cup_movements (order_id, cup_type_id)
+      WHERE type = 'delivery' AND order_id IS NOT NULL
+    `);
 
     await client.query(`
       ALTER TABLE agenda_rentals ADD COLUMN IF NOT EXISTS room_insurance_price DOUBLE PRECISION;
@@ -803,6 +1052,26 @@ async function initDb() {
       CREATE INDEX IF NOT EXISTS idx_discount_preset_menu_items_preset_id ON discount_preset_menu_items(discount_preset_id);
       CREATE INDEX IF NOT EXISTS idx_discount_preset_menu_items_menu_item_id ON discount_preset_menu_items(menu_item_id);
       CREATE INDEX IF NOT EXISTS idx_order_items_promotion_group_id ON order_items(promotion_group_id);
+      CREATE INDEX IF NOT EXISTS idx_order_events_order_id ON order_events(order_id);
+      CREATE INDEX IF NOT EXISTS idx_order_payments_order_id ON order_payments(order_id);
+      CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+      CREATE INDEX IF NOT EXISTS idx_orders_created_at_id ON orders(created_at DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS idx_orders_cash_register_id ON orders(cash_register_id);
+      CREATE INDEX IF NOT EXISTS idx_cash_register_movements_cash_register_id ON cash_register_movements(cash_register_id);
+      CREATE INDEX IF NOT EXISTS idx_customer_account_entries_customer_account_id ON customer_account_entries(customer_account_id);
+      CREATE INDEX IF NOT EXISTS idx_customer_account_entries_cash_register_id ON customer_account_entries(cash_register_id);
+      CREATE INDEX IF NOT EXISTS idx_open_account_payments_open_account_id ON open_account_payments(open_account_id);
+      CREATE INDEX IF NOT EXISTS idx_open_account_events_open_account_id ON open_account_events(open_account_id);
+      CREATE INDEX IF NOT EXISTS idx_orders_open_account_id ON orders(open_account_id);
+      CREATE INDEX IF NOT EXISTS idx_orders_closed_open_account_id ON orders(closed_open_account_id);
+      CREATE INDEX IF NOT EXISTS idx_cup_movements_open_account_id ON cup_movements(open_account_id);
+      CREATE INDEX IF NOT EXISTS idx_cup_movements_origin_cash_register_id ON cup_movements(origin_cash_register_id);
+      CREATE INDEX IF NOT EXISTS idx_open_accounts_cash_register_id ON open_accounts(cash_register_id, status);
+      CREATE INDEX IF NOT EXISTS idx_cup_stock_movements_created_at ON cup_stock_movements(type, created_at);
+      CREATE INDEX IF NOT EXISTS idx_orders_search ON orders
+        USING GIN (to_tsvector('simple', COALESCE(customer_name, '') || ' ' || COALESCE(notes, '')));
+      CREATE INDEX IF NOT EXISTS idx_order_items_search ON order_items
+        USING GIN (to_tsvector('simple', name));
     `);
 
     await client.query(`
@@ -952,6 +1221,11 @@ async function initDb() {
         );
       }
     }
+
+    // Claves de idempotencia vencidas (el middleware también purga cada hora).
+    await client.query(
+      "DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL '24 hours'",
+    );
   } finally {
     client.release();
   }
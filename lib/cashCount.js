@@ -0,0 +1,55 @@
+function countError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Conteo de efectivo por denominación (billetes y monedas). Acepta
+ * `[{ denomination, quantity }]` o `{ "1000": 3, ... }` y calcula el total en
+ * el servidor; sólo se admiten las denominaciones configuradas.
+ * @param {unknown} breakdown
+ * @param {number[]} denominations De `getCashDenominations()`.
+ * @returns {{ breakdown: { denomination: number; quantity: number; subtotal: number }[]; total: number }}
+ */
+export function countCash(breakdown, denominations) {
+  const entries = Array.isArray(breakdown)
+    ? breakdown.map((line) => [line?.denomination, line?.quantity])
+    : breakdown && typeof breakdown === 'object'
+      ? Object.entries(breakdown)
+      : null;
+  if (!entries) {
+    throw countError('El detalle de efectivo debe ser un arreglo');
+  }
+
+  const allowed = new Set(denominations);
+  const quantities = new Map();
+  for (const [rawDenomination, rawQuantity] of entries) {
+    const denomination = Number(rawDenomination);
+    if (!allowed.has(denomination)) {
+      throw countError(`Denominación no configurada: ${rawDenomination}`);
+    }
+    const quantity = Number(rawQuantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw countError(`Cantidad inválida para $${denomination}`);
+    }
+    quantities.set(denomination, (quantities.get(denomination) ?? 0) + quantity);
+  }
+
+  const lines = denominations
+    .filter((d) => quantities.get(d) > 0)
+    .map((denomination) => {
+      const quantity = quantities.get(denomination);
+      return {
+        denomination,
+        quantity,
+        subtotal: Math.round(denomination * quantity * 100) / 100,
+      };
+    });
+  return {
+    breakdown: lines,
+    total:
+      Math.round(lines.reduce((sum, line) => sum + line.subtotal, 0) * 100) /
+      100,
+  };
+}
@@ -0,0 +1,424 @@
+/**
+ * Arqueo de caja: lo que debería haber en cada medio de pago al cerrar, según
+ * comandas cobradas, cuentas abiertas cerradas, vasos y saldos iniciales.
+ * Los montos por medio son netos (sin el saldo inicial), igual que
+ * `closing_data.payments[].actual`, que es lo que se registra en finanzas.
+ */
+
+function closeError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Agregados de vasos retornables para una caja (cup_movements).
+ * `returned` / `returnAmountTotal` son las devoluciones hechas en esta caja
+ * (incluye `fromOtherRegisters`, vasos entregados en otra); `returnedElsewhere`
+ * son vasos de esta caja devueltos en otra. `netNotReturned` cuenta por origen.
+ * `byType` abre lo mismo por tipo de envase.
+ * Si la tabla no existe aún, devuelve ceros.
+ */
+export async function getCupSummaryForCashRegister(client, cashRegisterId) {
+  try {
+    const r = await client.query(
+      `SELECT cm.cup_type_id, ct.name,
+        COALESCE(SUM(CASE WHEN cm.type = 'delivery' AND cm.cash_register_id = $1 THEN cm.quantity ELSE 0 END), 0)::int AS delivered,
+        COALESCE(SUM(CASE WHEN cm.type = 'return' AND cm.cash_register_id = $1 THEN cm.quantity ELSE 0 END), 0)::int AS returned,
+        COALESCE(SUM(CASE WHEN cm.type = 'delivery' AND cm.cash_register_id = $1 THEN cm.amount ELSE 0 END), 0)::float AS delivery_amount,
+        COALESCE(SUM(CASE WHEN cm.type = 'return' AND cm.cash_register_id = $1 THEN cm.amount ELSE 0 END), 0)::float AS return_amount,
+        COALESCE(SUM(CASE WHEN cm.type = 'return' AND cm.cash_register_id = $1 AND cm.origin_cash_register_id IS NOT NULL THEN cm.quantity ELSE 0 END), 0)::int AS from_other_quantity,
+        COALESCE(SUM(CASE WHEN cm.type = 'return' AND cm.cash_register_id = $1 AND cm.origin_cash_register_id IS NOT NULL THEN cm.amount ELSE 0 END), 0)::float AS from_other_amount,
+        COALESCE(SUM(CASE WHEN cm.type = 'return' AND cm.cash_register_id != $1 THEN cm.quantity ELSE 0 END), 0)::int AS elsewhere_quantity,
+        COALESCE(SUM(CASE WHEN cm.type = 'return' AND cm.cash_register_id != $1 THEN cm.amount ELSE 0 END), 0)::float AS elsewhere_amount
+       FROM cup_movements cm
+       LEFT JOIN cup_types ct ON ct.id = cm.cup_type_id
+       WHERE cm.cash_register_id = $1 OR cm.origin_cash_register_id = $1
+       GROUP BY cm.cup_type_id, ct.name, ct.sort_order
+       ORDER BY ct.sort_order ASC NULLS LAST, ct.name ASC`,
+      [cashRegisterId],
+    );
+    const byType = r.rows.map((row) => {
+      const delivered = Number(row.delivered) || 0;
+      const returned = Number(row.returned) || 0;
+      const fromOther = Number(row.from_other_quantity) || 0;
+      const elsewhere = Number(row.elsewhere_quantity) || 0;
+      return {
+        cupTypeId: row.cup_type_id,
+        name: row.name || row.cup_type_id,
+        delivered,
+        returned,
+        netNotReturned: Math.max(0, delivered - (returned - fromOther) - elsewhere),
+        deliveryAmountTotal: Number(row.delivery_amount) || 0,
+        returnAmountTotal: Number(row.return_amount) || 0,
+        fromOtherRegisters: {
+          quantity: fromOther,
+          amount: Number(row.from_other_amount) || 0,
+        },
+        returnedElsewhere: {
+          quantity: elsewhere,
+          amount: Number(row.elsewhere_amount) || 0,
+        },
+      };
+    });
+    const sum = (get) => byType.reduce((acc, t) => acc + get(t), 0);
+    return {
+      delivered: sum((t) => t.delivered),
+      returned: sum((t) => t.returned),
+      netNotReturned: sum((t) => t.netNotReturned),
+      deliveryAmountTotal: roundMoney(sum((t) => t.deliveryAmountTotal)),
+      returnAmountTotal: roundMoney(sum((t) => t.returnAmountTotal)),
+      fromOtherRegisters: {
+        quantity: sum((t) => t.fromOtherRegisters.quantity),
+        amount: roundMoney(sum((t) => t.fromOtherRegisters.amount)),
+      },
+      returnedElsewhere: {
+        quantity: sum((t) => t.returnedElsewhere.quantity),
+        amount: roundMoney(sum((t) => t.returnedElsewhere.amount)),
+      },
+      byType,
+    };
+  } catch {
+    return {
+      delivered: 0,
+      returned: 0,
+      netNotReturned: 0,
+      deliveryAmountTotal: 0,
+      returnAmountTotal: 0,
+      fromOtherRegisters: { quantity: 0, amount: 0 },
+      returnedElsewhere: { quantity: 0, amount: 0 },
+      byType: [],
+    };
+  }
+}
+
+/**
+ * Esperado por medio de pago (`efectivo` o id de cuenta de Mercado Pago):
+ * - ventas: `order_payments` de comandas no anuladas de la caja (incluye los
+ *   vasos cobrados y las cuentas abiertas ya cerradas);
+ * - devoluciones de vasos: se restan del medio con que se reintegraron; las
+ *   acreditadas a una cuenta abierta, del medio con que se cerró la cuenta
+ *   (si se cerró al fiado ya descontaron la deuda, no salen de la caja). Las
+ *   de vasos entregados en otra caja ya tienen su egreso en finanzas
+ *   (`cup-settlement:<id>`): no restan de lo esperado, sólo de `expectedBalance`
+ *   (`crossRegisterCupRefunds`);
+ * - cobros de fiado (`customer_account_entries`) hechos en esta caja: se suman
+ *   al medio con que se cobraron, así llegan a finanzas con el cierre;
+ * - pagos parciales de cuentas abiertas todavía sin cerrar: ya están en la
+ *   caja (al cerrar la cuenta pasan a `order_payments` y se cuentan como ventas);
+ * - saldos iniciales: `starting_cash` y `mp_starting_balance` (sólo informan
+ *   `expectedBalance`, lo que debería haber físicamente);
+ * - movimientos de caja (`cash_register_movements`): ingresos, retiros y gastos
+ *   cambian el efectivo del cajón pero no las ventas, así que sólo ajustan el
+ *   `expectedBalance` del efectivo (el gasto ya tiene su egreso en finanzas).
+ * Lo que falta cobrar de las cuentas abiertas sin cerrar queda aparte, en
+ * `pendingOpenAccounts`.
+ * @param {import('pg').Pool | import('pg').PoolClient} client
+ * @param {object} cashRegister Fila de `cash_registers`.
+ */
+export async function computeExpectedClose(client, cashRegister) {
+  const cashRegisterId = cashRegister.id;
+  const registerAccountId = cashRegister.mercado_pago_account_id;
+
+  const methods = new Map();
+  const methodFor = (key) => {
+    let m = methods.get(key);
+    if (!m) {
+      m = {
+        method: key,
+        startingBalance: 0,
+        sales: 0,
+        orders: 0,
+        cupRefunds: 0,
+        crossRegisterCupRefunds: 0,
+        customerPayments: 0,
+        openAccountPayments: 0,
+      };
+      methods.set(key, m);
+    }
+    return m;
+  };
+  methodFor('efectivo').startingBalance = Number(cashRegister.starting_cash) || 0;
+  methodFor(registerAccountId).startingBalance =
+    Number(cashRegister.mp_starting_balance) || 0;
+
+  const sales = await client.query(
+    `SELECT op.method,
+            COALESCE(op.mercado_pago_account_id, $2) AS account_id,
+            COALESCE(SUM(op.amount), 0)::float AS amount,
+            COUNT(DISTINCT op.order_id)::int AS orders
+     FROM order_payments op
+     JOIN orders o ON o.id = op.order_id
+     WHERE o.cash_register_id = $1 AND o.status != 'cancelled'
+     GROUP BY 1, 2`,
+    [cashRegisterId, registerAccountId],
+  );
+  for (const row of sales.rows) {
+    const m = methodFor(row.method === 'efectivo' ? 'efectivo' : row.account_id);
+    m.sales += Number(row.amount) || 0;
+    m.orders += Number(row.orders) || 0;
+  }
+
+  const movements = await client.query(
+    `SELECT type, COALESCE(SUM(amount), 0)::float AS amount
+     FROM cash_register_movements
+     WHERE cash_register_id = $1
+     GROUP BY type`,
+    [cashRegisterId],
+  );
+  const cashMovements = { ingresos: 0, retiros: 0, gastos: 0 };
+  for (const row of movements.rows) {
+    const key = { ingreso: 'ingresos', retiro: 'retiros', gasto: 'gastos' }[row.type];
+    if (key) cashMovements[key] = roundMoney(Number(row.amount) || 0);
+  }
+  methodFor('efectivo').drawerAdjustment = roundMoney(
+    cashMovements.ingresos - cashMovements.retiros - cashMovements.gastos,
+  );
+
+  const refunds = await client.query(
+    `SELECT cm.payment_method,
+            COALESCE(cm.mercado_pago_account_id, $2) AS account_id,
+            oa.status AS open_account_status,
+            oa.payment_method_used,
+            COALESCE(oa.mercado_pago_account_id, $2) AS open_account_mp_id,
+            (cm.origin_cash_register_id IS NOT NULL) AS cross_register,
+            COALESCE(SUM(cm.amount), 0)::float AS amount
+     FROM cup_movements cm
+     LEFT JOIN open_accounts oa ON oa.id = cm.open_account_id
+     WHERE cm.cash_register_id = $1 AND cm.type = 'return'
+     GROUP BY 1, 2, 3, 4, 5, 6`,
+    [cashRegisterId, registerAccountId],
+  );
+  for (const row of refunds.rows) {
+    const amount = Number(row.amount) || 0;
+    if (row.cross_register && row.payment_method !== 'cuenta_abierta') {
+      methodFor(
+        row.payment_method === 'efectivo' ? 'efectivo' : row.account_id,
+      ).crossRegisterCupRefunds += amount;
+    } else if (row.payment_method === 'efectivo') {
+      methodFor('efectivo').cupRefunds += amount;
+    } else if (row.payment_method === 'mercadopago') {
+      methodFor(row.account_id).cupRefunds += amount;
+    } else if (
+      row.payment_method === 'cuenta_abierta' &&
+      row.open_account_status === 'closed' &&
+      row.payment_method_used !== 'fiado'
+    ) {
+      methodFor(
+        row.payment_method_used === 'efectivo'
+          ? 'efectivo'
+          : row.open_account_mp_id,
+      ).cupRefunds += amount;
+    }
+    // Cuenta abierta sin cerrar: el crédito se descuenta en pendingOpenAccounts.
+  }
+
+  const customerPayments = await client.query(
+    `SELECT payment_method,
+            COALESCE(mercado_pago_account_id, $2) AS account_id,
+            COALESCE(SUM(amount), 0)::float AS amount
+     FROM customer_account_entries
+     WHERE cash_register_id = $1 AND type = 'payment'
+     GROUP BY 1, 2`,
+    [cashRegisterId, registerAccountId],
+  );
+  for (const row of customerPayments.rows) {
+    methodFor(
+      row.payment_method === 'efectivo' ? 'efectivo' : row.account_id,
+    ).customerPayments += Number(row.amount) || 0;
+  }
+
+  const partialPayments = await client.query(
+    `SELECT p.method,
+            COALESCE(p.mercado_pago_account_id, $2) AS account_id,
+            COALESCE(SUM(p.amount), 0)::float AS amount
+     FROM open_account_payments p
+     JOIN open_accounts oa ON oa.id = p.open_account_id
+     WHERE oa.cash_register_id = $1 AND oa.status = 'open'
+     GROUP BY 1, 2`,
+    [cashRegisterId, registerAccountId],
+  );
+  for (const row of partialPayments.rows) {
+    methodFor(
+      row.method === 'efectivo' ? 'efectivo' : row.account_id,
+    ).openAccountPayments += Number(row.amount) || 0;
+  }
+
+  const pending = await client.query(
+    `SELECT oa.id,
+            COALESCE((SELECT SUM(o.total) FROM orders o
+                      WHERE o.open_account_id = oa.id AND o.status != 'cancelled'), 0)::float AS total,
+            COALESCE((SELECT SUM(cm.amount) FROM cup_movements cm
+                      WHERE cm.type = 'return' AND cm.payment_method = 'cuenta_abierta'
+                        AND cm.open_account_id = oa.id), 0)::float AS credit,
+            COALESCE((SELECT SUM(p.amount) FROM open_account_payments p
+                      WHERE p.open_account_id = oa.id), 0)::float AS paid
+     FROM open_accounts oa
+     WHERE oa.cash_register_id = $1 AND oa.status = 'open'`,
+    [cashRegisterId],
+  );
+  const pendingOpenAccounts = {
+    count: pending.rows.length,
+    total: roundMoney(
+      pending.rows.reduce(
+        (sum, row) =>
+          sum + Math.max(0, Number(row.total) - Number(row.credit) - Number(row.paid)),
+        0,
+      ),
+    ),
+  };
+
+  const accountIds = [...methods.keys()].filter((k) => k !== 'efectivo');
+  const accounts = await client.query(
+    'SELECT id, holder, alias FROM mercado_pago_accounts WHERE id = ANY($1::text[])',
+    [accountIds],
+  );
+  const accountById = new Map(accounts.rows.map((a) => [a.id, a]));
+
+  const result = [...methods.values()].map((m) => {
+    const account = accountById.get(m.method);
+    const expected = roundMoney(
+      m.sales - m.cupRefunds + m.customerPayments + m.openAccountPayments,
+    );
+    const drawerAdjustment = roundMoney(
+      (m.drawerAdjustment ?? 0) - m.crossRegisterCupRefunds,
+    );
+    return {
+      method: m.method,
+      label:
+        m.method === 'efectivo'
+          ? 'Efectivo'
+          : `Mercado Pago${account ? ` (${account.alias || account.holder})` : ''}`,
+      startingBalance: m.startingBalance,
+      sales: roundMoney(m.sales),
+      orders: m.orders,
+      cupRefunds: roundMoney(m.cupRefunds),
+      crossRegisterCupRefunds: roundMoney(m.crossRegisterCupRefunds),
+      customerPayments: roundMoney(m.customerPayments),
+      openAccountPayments: roundMoney(m.openAccountPayments),
+      ...(m.method === 'efectivo' ? { movements: cashMovements } : {}),
+      drawerAdjustment,
+      expected,
+      expectedBalance: roundMoney(m.startingBalance + drawerAdjustment + expected),
+    };
+  });
+
+  return {
+    cashRegisterId,
+    methods: result,
+    totalExpected: roundMoney(result.reduce((sum, m) => sum + m.expected, 0)),
+    pendingOpenAccounts,
+    cups: await getCupSummaryForCashRegister(client, cashRegisterId),
+  };
+}
+
+/**
+ * Combina lo contado por el cliente con el esperado del servidor.
+ * Cada pago trae `actual` (neto, como hasta ahora) o `counted` (saldo físico,
+ * al que se le descuentan el saldo inicial y los movimientos de caja). Un
+ * medio esperado que no viene en
+ * el cierre cuenta como 0. Exige `notes` si alguna diferencia supera `threshold`.
+ * Con `cashCount` (conteo por denominación) el efectivo contado es su total.
+ * @param {object} closingData Body de `PATCH /:id/close`.
+ * @param {Awaited<ReturnType<typeof computeExpectedClose>>} expected
+ * @param {number} threshold
+ * @param {{ cashCount?: ReturnType<typeof import('./cashCount.js').countCash> }} [options]
+ */
+export function reconcileClosingData(
+  closingData,
+  expected,
+  threshold,
+  { cashCount } = {},
+) {
+  const submitted = Array.isArray(closingData.payments) ? closingData.payments : [];
+  const submittedByMethod = new Map();
+  for (const p of submitted) {
+    if (!p?.method || typeof p.method !== 'string') {
+      throw closeError('Medio de pago inválido en el cierre');
+    }
+    if (submittedByMethod.has(p.method)) {
+      throw closeError(`Medio de pago repetido en el cierre (${p.method})`);
+    }
+    submittedByMethod.set(p.method, p);
+  }
+  if (cashCount) {
+    const cash = submittedByMethod.get('efectivo');
+    submittedByMethod.set('efectivo', {
+      method: 'efectivo',
+      label: cash?.label,
+      counted: cashCount.total,
+    });
+  }
+
+  const expectedByMethod = new Map(expected.methods.map((m) => [m.method, m]));
+  const keys = [
+    ...expected.methods.map((m) => m.method),
+    ...[...submittedByMethod.keys()].filter((k) => !expectedByMethod.has(k)),
+  ];
+
+  const payments = [];
+  for (const method of keys) {
+    const e = expectedByMethod.get(method);
+    const p = submittedByMethod.get(method);
+    const startingBalance = e?.startingBalance ?? 0;
+    const drawerAdjustment = e?.drawerAdjustment ?? 0;
+    let actual = 0;
+    if (p && p.actual != null && p.actual !== '') {
+      actual = Number(p.actual);
+    } else if (p && p.counted != null && p.counted !== '') {
+      actual = Number(p.counted) - startingBalance - drawerAdjustment;
+    } else if (!e || (e.expected === 0 && !p)) {
+      continue;
+    }
+    if (!Number.isFinite(actual)) {
+      throw closeError(`Monto contado inválido (${p?.label || method})`);
+    }
+    actual = roundMoney(actual);
+    const expectedAmount = e?.expected ?? 0;
+    payments.push({
+      method,
+      label: p?.label || e?.label,
+      startingBalance,
+      expected: expectedAmount,
+      actual,
+      drawerAdjustment,
+      counted: roundMoney(startingBalance + drawerAdjustment + actual),
+      difference: roundMoney(actual - expectedAmount),
+      ...(method === 'efectivo' && cashCount
+        ? { breakdown: cashCount.breakdown }
+        : {}),
+    });
+  }
+
+  const notes =
+    typeof closingData.notes === 'string' && closingData.notes.trim()
+      ? closingData.notes.trim()
+      : null;
+  const overThreshold = payments.filter(
+    (p) => Math.abs(p.difference) > threshold,
+  );
+  if (overThreshold.length > 0 && !notes) {
+    throw closeError(
+      `La diferencia en ${overThreshold.map((p) => p.label || p.method).join(', ')} supera $${threshold}: agregá una nota al cierre`,
+    );
+  }
+
+  const totalActual = roundMoney(payments.reduce((sum, p) => sum + p.actual, 0));
+  const { cashBreakdown: _cashBreakdown, ...rest } = closingData;
+  return {
+    ...rest,
+    payments,
+    notes: notes ?? undefined,
+    totalExpected: expected.totalExpected,
+    totalActual,
+    totalDifference: roundMoney(totalActual - expected.totalExpected),
+    differenceThreshold: threshold,
+    pendingOpenAccounts: expected.pendingOpenAccounts,
+    cashMovements: expected.methods.find((m) => m.method === 'efectivo')?.movements,
+    cupsSummary: expected.cups,
+  };
+}
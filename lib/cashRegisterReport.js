@@ -0,0 +1,565 @@
+import { computeExpectedClose } from './cashRegisterClose.js';
+import { modifiersPriceDelta } from './menuModifiers.js';
+import { TextPdfBuilder } from './pdf.js';
+
+/**
+ * Reporte Z (cierre de la noche) de una caja: ventas por categoría y producto,
+ * promociones, descuentos, cobros por medio de pago, cuentas abiertas cerradas,
+ * vasos, margen bruto con los `unit_cost` congelados y diferencias de arqueo.
+ */
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function isoOrUndefined(value) {
+  return value ? new Date(value).toISOString() : undefined;
+}
+
+/** Importe de una línea: precio de lista (o su parte del combo) más opciones. */
+function lineAmount(row) {
+  const qty = Number(row.quantity) || 0;
+  const unit =
+    row.promotion_group_id && row.promotion_unit_price != null
+      ? Number(row.promotion_unit_price)
+      : Number(row.price);
+  return ((Number.isFinite(unit) ? unit : 0) + modifiersPriceDelta(row.modifiers)) * qty;
+}
+
+function addTo(map, key, init) {
+  let entry = map.get(key);
+  if (!entry) {
+    entry = init();
+    map.set(key, entry);
+  }
+  return entry;
+}
+
+function withMargin(entry) {
+  const amount = roundMoney(entry.amount);
+  const cost = roundMoney(entry.cost);
+  return {
+    ...entry,
+    amount,
+    cost,
+    grossMargin: roundMoney(amount - cost),
+  };
+}
+
+/**
+ * @param {import('pg').Pool | import('pg').PoolClient} client
+ * @param {object} cashRegister Fila de `cash_registers`.
+ */
+export async function buildCashRegisterReport(client, cashRegister) {
+  const id = cashRegister.id;
+
+  const ordersResult = await client.query(
+    `SELECT status, COUNT(*)::int AS count, COALESCE(SUM(total), 0)::float AS total
+     FROM orders WHERE cash_register_id = $1
+     GROUP BY status`,
+    [id],
+  );
+  let ordersCount = 0;
+  let ordersTotal = 0;
+  const cancelled = { count: 0, total: 0 };
+  for (const row of ordersResult.rows) {
+    if (row.status === 'cancelled') {
+      cancelled.count = Number(row.count);
+      cancelled.total = roundMoney(Number(row.total));
+    } else {
+      ordersCount += Number(row.count);
+      ordersTotal += Number(row.total);
+    }
+  }
+
+  const linesResult = await client.query(
+    `SELECT oi.menu_item_id, oi.name, oi.category, oi.quantity, oi.price,
+            oi.modifiers, oi.unit_cost, oi.promotion_id, oi.promotion_group_id,
+            oi.promotion_name, oi.promotion_price, oi.promotion_unit_price
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     WHERE o.cash_register_id = $1 AND o.status != 'cancelled'`,
+    [id],
+  );
+  const byCategory = new Map();
+  const byItem = new Map();
+  const promotionGroups = new Map();
+  let itemsRevenue = 0;
+  let itemsCost = 0;
+  let linesWithoutCost = 0;
+  for (const row of linesResult.rows) {
+    const qty = Number(row.quantity) || 0;
+    const amount = lineAmount(row);
+    const hasCost = row.unit_cost != null;
+    const cost = hasCost ? Number(row.unit_cost) * qty : 0;
+    if (!hasCost) linesWithoutCost += 1;
+    itemsRevenue += amount;
+    itemsCost += cost;
+
+    const category = addTo(byCategory, row.category, () => ({
+      category: row.category,
+      quantity: 0,
+      amount: 0,
+      cost: 0,
+    }));
+    category.quantity += qty;
+    category.amount += amount;
+    category.cost += cost;
+
+    const item = addTo(byItem, row.menu_item_id, () => ({
+      menuItemId: row.menu_item_id,
+      name: row.name,
+      category: row.category,
+      quantity: 0,
+      amount: 0,
+      cost: 0,
+    }));
+    item.quantity += qty;
+    item.amount += amount;
+    item.cost += cost;
+
+    if (row.promotion_group_id) {
+      const group = addTo(promotionGroups, row.promotion_group_id, () => ({
+        promotionId: row.promotion_id,
+        name: row.promotion_name,
+        amount: 0,
+      }));
+      group.amount += amount;
+    }
+  }
+
+  const promotionsById = new Map();
+  for (const group of promotionGroups.values()) {
+    const promo = addTo(promotionsById, group.promotionId ?? group.name, () => ({
+      promotionId: group.promotionId || undefined,
+      name: group.name,
+      count: 0,
+      amount: 0,
+    }));
+    promo.count += 1;
+    promo.amount += group.amount;
+  }
+
+  const discountsResult = await client.query(
+    `SELECT COALESCE(NULLIF(TRIM(discount_reason), ''), 'Sin motivo') AS reason,
+            COUNT(*)::int AS count, COALESCE(SUM(discount), 0)::float AS amount
+     FROM orders
+     WHERE cash_register_id = $1 AND status != 'cancelled' AND discount > 0
+     GROUP BY 1
+     ORDER BY amount DESC`,
+    [id],
+  );
+  const discountsByReason = discountsResult.rows.map((row) => ({
+    reason: row.reason,
+    count: Number(row.count),
+    amount: roundMoney(Number(row.amount)),
+  }));
+
+  const openAccountsResult = await client.query(
+    `SELECT oa.id, oa.name, oa.closed_at, oa.payment_method_used,
+            oa.closed_discount, oa.closed_discount_reason,
+            COUNT(o.id)::int AS orders,
+            COALESCE(SUM(o.total), 0)::float AS total
+     FROM open_accounts oa
+     LEFT JOIN orders o ON o.closed_open_account_id = oa.id AND o.status != 'cancelled'
+     WHERE oa.cash_register_id = $1 AND oa.status = 'closed'
+       AND oa.merged_into_open_account_id IS NULL
+     GROUP BY oa.id
+     ORDER BY oa.closed_at`,
+    [id],
+  );
+
+  const expected = await computeExpectedClose(client, cashRegister);
+  const closing = cashRegister.closing_data || null;
+
+  return {
+    cashRegister: {
+      id,
+      pointOfSale: cashRegister.point_of_sale || undefined,
+      eventName: cashRegister.event_name || undefined,
+      date: cashRegister.date,
+      status: cashRegister.status,
+      openedAt: isoOrUndefined(cashRegister.created_at),
+      closedAt: isoOrUndefined(cashRegister.closed_at),
+    },
+    orders: {
+      count: ordersCount,
+      total: roundMoney(ordersTotal),
+      cancelled,
+    },
+    salesByCategory: [...byCategory.values()]
+      .map(withMargin)
+      .sort((a, b) => b.amount - a.amount),
+    salesByItem: [...byItem.values()]
+      .map(withMargin)
+      .sort((a, b) => b.amount - a.amount),
+    promotions: [...promotionsById.values()]
+      .map((p) => ({ ...p, amount: roundMoney(p.amount) }))
+      .sort((a, b) => b.amount - a.amount),
+    discounts: {
+      count: discountsByReason.reduce((sum, d) => sum + d.count, 0),
+      total: roundMoney(discountsByReason.reduce((sum, d) => sum + d.amount, 0)),
+      byReason: discountsByReason,
+    },
+    payments: expected.methods.map((m) => ({
+      method: m.method,
+      label: m.label,
+      sales: m.sales,
+      cupRefunds: m.cupRefunds,
+      crossRegisterCupRefunds: m.crossRegisterCupRefunds,
+      customerPayments: m.customerPayments,
+      openAccountPayments: m.openAccountPayments,
+      net: m.expected,
+    })),
+    openAccounts: openAccountsResult.rows.map((row) => ({
+      id: row.id,
+      name: row.name,
+      closedAt: isoOrUndefined(row.closed_at),
+      paymentMethod: row.payment_method_used || undefined,
+      orders: Number(row.orders),
+      total: roundMoney(Number(row.total)),
+      discount: row.closed_discount != null ? Number(row.closed_discount) : undefined,
+      discountReason: row.closed_discount_reason || undefined,
+    })),
+    pendingOpenAccounts: expected.pendingOpenAccounts,
+    cups: expected.cups,
+    cashMovements: expected.methods.find((m) => m.method === 'efectivo')?.movements,
+    margin: {
+      revenue: roundMoney(itemsRevenue),
+      cost: roundMoney(itemsCost),
+      grossMargin: roundMoney(itemsRevenue - itemsCost),
+      marginPercent:
+        itemsRevenue > 0
+          ? roundMoney(((itemsRevenue - itemsCost) / itemsRevenue) * 100)
+          : null,
+      linesWithoutCost,
+    },
+    cashier: closing
+      ? {
+          payments: (closing.payments ?? []).map((p) => ({
+            method: p.method,
+            label: p.label,
+            expected: p.expected,
+            actual: p.actual,
+            difference:
+              p.difference ??
+              (p.expected != null ? roundMoney(Number(p.actual) - Number(p.expected)) : undefined),
+          })),
+          totalExpected: closing.totalExpected,
+          totalActual: closing.totalActual,
+          totalDifference: closing.totalDifference,
+          notes: closing.notes || undefined,
+        }
+      : null,
+  };
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  // Textos libres (clientes, notas, motivos) que Excel tomaría como fórmula;
+  // los números negativos quedan como números.
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV por secciones (primera columna = sección), con BOM para que Excel
+ * respete las tildes.
+ */
+export function renderReportCsv(report) {
+  const rows = [];
+  const section = (name, header, lines) => {
+    if (rows.length > 0) rows.push([]);
+    rows.push([name, ...header]);
+    for (const line of lines) rows.push([name, ...line]);
+  };
+  const cr = report.cashRegister;
+
+  section('Caja', ['Campo', 'Valor'], [
+    ['Punto de venta', cr.pointOfSale],
+    ['Evento', cr.eventName],
+    ['Fecha', cr.date instanceof Date ? cr.date.toISOString().slice(0, 10) : cr.date],
+    ['Apertura', cr.openedAt],
+    ['Cierre', cr.closedAt],
+    ['Comandas', report.orders.count],
+    ['Total comandas', report.orders.total],
+    ['Anuladas', report.orders.cancelled.count],
+    ['Total anulado', report.orders.cancelled.total],
+  ]);
+  section(
+    'Ventas por categoría',
+    ['Categoría', 'Cantidad', 'Importe', 'Costo', 'Margen'],
+    report.salesByCategory.map((c) => [c.category, c.quantity, c.amount, c.cost, c.grossMargin]),
+  );
+  section(
+    'Ventas por producto',
+    ['Producto', 'Categoría', 'Cantidad', 'Importe', 'Costo', 'Margen'],
+    report.salesByItem.map((i) => [i.name, i.category, i.quantity, i.amount, i.cost, i.grossMargin]),
+  );
+  section(
+    'Promociones',
+    ['Promoción', 'Vendidas', 'Importe'],
+    report.promotions.map((p) => [p.name, p.count, p.amount]),
+  );
+  section(
+    'Descuentos',
+    ['Motivo', 'Comandas', 'Importe'],
+    report.discounts.byReason.map((d) => [d.reason, d.count, d.amount]),
+  );
+  section(
+    'Medios de pago',
+    [
+      'Medio',
+      'Cobrado',
+      'Devoluciones vasos',
+      'Vasos de otras cajas',
+      'Cobros de fiado',
+      'Pagos de cuentas abiertas',
+      'Neto',
+    ],
+    report.payments.map((p) => [
+      p.label,
+      p.sales,
+      p.cupRefunds,
+      p.crossRegisterCupRefunds,
+      p.customerPayments,
+      p.openAccountPayments,
+      p.net,
+    ]),
+  );
+  section(
+    'Cuentas abiertas cerradas',
+    ['Cuenta', 'Comandas', 'Total', 'Medio', 'Descuento', 'Motivo'],
+    report.openAccounts.map((a) => [
+      a.name,
+      a.orders,
+      a.total,
+      a.paymentMethod,
+      a.discount,
+      a.discountReason,
+    ]),
+  );
+  section('Vasos', ['Campo', 'Valor'], [
+    ['Entregados', report.cups.delivered],
+    ['Devueltos', report.cups.returned],
+    ['Sin devolver', report.cups.netNotReturned],
+    ['Cobrado', report.cups.deliveryAmountTotal],
+    ['Reintegrado', report.cups.returnAmountTotal],
+    ['Devueltos de otras cajas', report.cups.fromOtherRegisters?.quantity ?? 0],
+    ['Reintegrado de otras cajas', report.cups.fromOtherRegisters?.amount ?? 0],
+    ['Devueltos en otras cajas', report.cups.returnedElsewhere?.quantity ?? 0],
+    ['Reintegrado en otras cajas', report.cups.returnedElsewhere?.amount ?? 0],
+    // Con más de un tipo de envase, el detalle de cada uno.
+    ...(report.cups.byType?.length > 1
+      ? report.cups.byType.flatMap((t) => [
+          [`${t.name}: entregados`, t.delivered],
+          [`${t.name}: devueltos`, t.returned],
+          [`${t.name}: sin devolver`, t.netNotReturned],
+          [`${t.name}: cobrado`, t.deliveryAmountTotal],
+          [`${t.name}: reintegrado`, t.returnAmountTotal],
+        ])
+      : []),
+  ]);
+  section('Margen bruto', ['Campo', 'Valor'], [
+    ['Ventas de productos', report.margin.revenue],
+    ['Costo', report.margin.cost],
+    ['Margen', report.margin.grossMargin],
+    ['Margen %', report.margin.marginPercent],
+    ['Líneas sin costo', report.margin.linesWithoutCost],
+  ]);
+  if (report.cashier) {
+    section(
+      'Arqueo',
+      ['Medio', 'Esperado', 'Contado', 'Diferencia'],
+      [
+        ...report.cashier.payments.map((p) => [p.label || p.method, p.expected, p.actual, p.difference]),
+        ['Total', report.cashier.totalExpected, report.cashier.totalActual, report.cashier.totalDifference],
+      ],
+    );
+    if (report.cashier.notes) {
+      section('Notas', ['Texto'], [[report.cashier.notes]]);
+    }
+  }
+  return `\ufeff${rows.map((r) => r.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+const moneyFormat = new Intl.NumberFormat('es-AR', {
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 2,
+});
+
+function money(value) {
+  if (value == null) return '-';
+  const n = Number(value) || 0;
+  return `${n < 0 ? '-' : ''}$${moneyFormat.format(Math.abs(n))}`;
+}
+
+function dateTime(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleString('es-AR', {
+    timeZone: process.env.TZ || 'America/Argentina/Buenos_Aires',
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+}
+
+/** Reporte Z en PDF (A4, texto en columnas). */
+export function renderReportPdf(report) {
+  const pdf = new TextPdfBuilder();
+  const cr = report.cashRegister;
+  const wide = pdf.columns;
+
+  pdf.line('REPORTE Z - CIERRE DE CAJA', { bold: true });
+  if (cr.pointOfSale) pdf.pair('Punto de venta', cr.pointOfSale);
+  if (cr.eventName) pdf.pair('Evento', cr.eventName);
+  pdf.pair('Apertura', dateTime(cr.openedAt));
+  pdf.pair('Cierre', cr.closedAt ? dateTime(cr.closedAt) : 'Caja abierta');
+  pdf.pair('Comandas', `${report.orders.count} - ${money(report.orders.total)}`);
+  if (report.orders.cancelled.count > 0) {
+    pdf.pair(
+      'Anuladas',
+      `${report.orders.cancelled.count} - ${money(report.orders.cancelled.total)}`,
+    );
+  }
+
+  const nameWidth = wide - 4 * 13;
+  const table = (title, header, rows) => {
+    pdf.heading(title);
+    pdf.row(header, [nameWidth, 12, 12, 12, 12], { align: 'right', bold: true });
+    for (const r of rows) pdf.row(r, [nameWidth, 12, 12, 12, 12]);
+  };
+  const moneyCells = (e) => [
+    String(e.quantity),
+    money(e.amount),
+    money(e.cost),
+    money(e.grossMargin),
+  ];
+  const rightAligned = (cells) => cells.map((c, i) => (i === 0 ? c : c.padStart(12)));
+
+  table(
+    'Ventas por categoría',
+    ['', 'Cant.', 'Importe', 'Costo', 'Margen'],
+    report.salesByCategory.map((c) => rightAligned([c.category, ...moneyCells(c)])),
+  );
+  table(
+    'Ventas por producto',
+    ['', 'Cant.', 'Importe', 'Costo', 'Margen'],
+    report.salesByItem.map((i) => rightAligned([i.name, ...moneyCells(i)])),
+  );
+
+  if (report.promotions.length > 0) {
+    pdf.heading('Promociones');
+    for (const p of report.promotions) {
+      pdf.pair(`${p.count} x ${p.name}`, money(p.amount));
+    }
+  }
+
+  pdf.heading('Descuentos');
+  for (const d of report.discounts.byReason) {
+    pdf.pair(`${d.reason} (${d.count})`, money(d.amount));
+  }
+  pdf.pair('Total descuentos', money(report.discounts.total), { bold: true });
+
+  pdf.heading('Medios de pago');
+  for (const p of report.payments) {
+    pdf.pair(p.label, money(p.net));
+    if (p.cupRefunds) {
+      pdf.pair(`  Cobrado ${money(p.sales)} - devoluciones vasos`, money(-p.cupRefunds));
+    }
+    if (p.crossRegisterCupRefunds) {
+      pdf.pair('  Vasos de otras cajas (egreso aparte)', money(-p.crossRegisterCupRefunds));
+    }
+    if (p.customerPayments) {
+      pdf.pair('  Cobros de fiado', money(p.customerPayments));
+    }
+    if (p.openAccountPayments) {
+      pdf.pair('  Pagos de cuentas abiertas', money(p.openAccountPayments));
+    }
+  }
+
+  if (report.openAccounts.length > 0) {
+    pdf.heading('Cuentas abiertas cerradas');
+    for (const a of report.openAccounts) {
+      const suffix = a.discount ? ` (desc. ${money(a.discount)})` : '';
+      pdf.pair(`${a.name} - ${a.orders} comandas${suffix}`, money(a.total));
+    }
+  }
+  if (report.pendingOpenAccounts.count > 0) {
+    pdf.pair(
+      `Cuentas sin cerrar (${report.pendingOpenAccounts.count})`,
+      money(report.pendingOpenAccounts.total),
+    );
+  }
+
+  const cups = report.cups;
+  pdf.heading('Vasos');
+  pdf.pair('Entregados / devueltos / sin devolver', `${cups.delivered} / ${cups.returned} / ${cups.netNotReturned}`);
+  pdf.pair('Depósito cobrado', money(cups.deliveryAmountTotal));
+  pdf.pair('Depósito reintegrado', money(cups.returnAmountTotal));
+  if (cups.fromOtherRegisters?.quantity) {
+    pdf.pair(
+      `  De otras cajas (${cups.fromOtherRegisters.quantity})`,
+      money(cups.fromOtherRegisters.amount),
+    );
+  }
+  if (cups.returnedElsewhere?.quantity) {
+    pdf.pair(
+      `Devueltos en otras cajas (${cups.returnedElsewhere.quantity})`,
+      money(cups.returnedElsewhere.amount),
+    );
+  }
+  if (cups.byType?.length > 1) {
+    for (const t of cups.byType) {
+      pdf.pair(
+        `  ${t.name}: ${t.delivered} / ${t.returned} / ${t.netNotReturned}`,
+        money(t.deliveryAmountTotal - t.returnAmountTotal),
+      );
+    }
+  }
+
+  const movements = report.cashMovements;
+  if (movements && (movements.ingresos || movements.retiros || movements.gastos)) {
+    pdf.heading('Movimientos de caja');
+    pdf.pair('Ingresos', money(movements.ingresos));
+    pdf.pair('Retiros', money(-movements.retiros));
+    pdf.pair('Gastos', money(-movements.gastos));
+  }
+
+  pdf.heading('Margen bruto');
+  pdf.pair('Ventas de productos', money(report.margin.revenue));
+  pdf.pair('Costo (unit_cost)', money(report.margin.cost));
+  pdf.pair(
+    'Margen',
+    `${money(report.margin.grossMargin)}${report.margin.marginPercent != null ? ` (${report.margin.marginPercent}%)` : ''}`,
+    { bold: true },
+  );
+  if (report.margin.linesWithoutCost > 0) {
+    pdf.line(`${report.margin.linesWithoutCost} líneas sin costo registrado`);
+  }
+
+  if (report.cashier) {
+    pdf.heading('Arqueo');
+    pdf.row(['', 'Esperado', 'Contado', 'Diferencia'], [nameWidth + 13, 12, 12, 12], {
+      align: 'right',
+      bold: true,
+    });
+    for (const p of report.cashier.payments) {
+      pdf.row(
+        [p.label || p.method, money(p.expected), money(p.actual), money(p.difference)].map(
+          (c, i) => (i === 0 ? c : c.padStart(12)),
+        ),
+        [nameWidth + 13, 12, 12, 12],
+      );
+    }
+    pdf.pair('Diferencia total', money(report.cashier.totalDifference), { bold: true });
+    if (report.cashier.notes) pdf.line(`Notas: ${report.cashier.notes}`);
+  }
+  return pdf.toBuffer();
+}
@@ -0,0 +1,90 @@
+import db from '../database.js';
+
+const DIFFERENCE_THRESHOLD_KEY = 'cash_close_difference_threshold';
+const DEFAULT_DIFFERENCE_THRESHOLD = 1000;
+
+const DENOMINATIONS_KEY = 'cash_denominations';
+/** Billetes y monedas ARS en circulación, de mayor a menor. */
+const DEFAULT_DENOMINATIONS = [
+  20000, 10000, 2000, 1000, 500, 200, 100, 50, 20, 10, 5, 2, 1,
+];
+
+let cache = { threshold: null, denominations: null, at: 0 };
+const TTL_MS = 30_000;
+
+function envThreshold() {
+  const raw = process.env.CASH_CLOSE_DIFFERENCE_THRESHOLD;
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+export function invalidateCashRegisterSettingsCache() {
+  cache = { threshold: null, denominations: null, at: 0 };
+}
+
+/**
+ * Valida una lista de denominaciones: montos positivos, sin repetir, ordenados
+ * de mayor a menor. Devuelve `null` si no es válida.
+ * @param {unknown} value
+ * @returns {number[] | null}
+ */
+export function normalizeDenominations(value) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  const list = value.map(Number);
+  if (list.some((n) => !Number.isFinite(n) || n <= 0)) return null;
+  const unique = [...new Set(list.map((n) => Math.round(n * 100) / 100))];
+  return unique.sort((a, b) => b - a);
+}
+
+async function loadSettings() {
+  const now = Date.now();
+  if (cache.threshold != null && now - cache.at < TTL_MS) return cache;
+
+  let threshold = null;
+  let denominations = null;
+  try {
+    const r = await db.query(
+      'SELECT key, value FROM settings WHERE key = ANY($1::text[])',
+      [[DIFFERENCE_THRESHOLD_KEY, DENOMINATIONS_KEY]],
+    );
+    const byKey = new Map(r.rows.map((row) => [row.key, row.value]));
+    const raw = byKey.get(DIFFERENCE_THRESHOLD_KEY);
+    const fromDb = raw != null && raw !== '' ? Number(raw) : NaN;
+    if (Number.isFinite(fromDb) && fromDb >= 0) threshold = fromDb;
+    try {
+      denominations = normalizeDenominations(
+        JSON.parse(byKey.get(DENOMINATIONS_KEY) ?? 'null'),
+      );
+    } catch {
+      /* default */
+    }
+  } catch {
+    /* fall through */
+  }
+  cache = {
+    threshold: threshold ?? envThreshold() ?? DEFAULT_DIFFERENCE_THRESHOLD,
+    denominations: denominations ?? DEFAULT_DENOMINATIONS,
+    at: now,
+  };
+  return cache;
+}
+
+/**
+ * Diferencia máxima (ARS, en valor absoluto) por medio de pago entre lo
+ * esperado y lo contado al cerrar una caja sin nota obligatoria.
+ * Orden: `settings` → `CASH_CLOSE_DIFFERENCE_THRESHOLD` env → default.
+ */
+export async function getCloseDifferenceThreshold() {
+  return (await loadSettings()).threshold;
+}
+
+/** Denominaciones (ARS) para el conteo de efectivo: `settings` → default. */
+export async function getCashDenominations() {
+  return (await loadSettings()).denominations;
+}
+
+export {
+  DIFFERENCE_THRESHOLD_KEY as CASH_CLOSE_DIFFERENCE_THRESHOLD_SETTINGS_KEY,
+  DENOMINATIONS_KEY as CASH_DENOMINATIONS_SETTINGS_KEY,
+};
@@ -0,0 +1,143 @@
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Personal que trabajó el turno de una caja y ventas por usuario: quién abrió
+ * y cerró, comandas tomadas (y anuladas), cobros por medio de pago, vasos y
+ * movimientos de caja. Lo registrado sin usuario (datos previos) queda en una
+ * fila con `user: null`.
+ * @param {import('pg').PoolClient | import('pg').Pool} client
+ * @param {object} cashRegisterRow Fila de `cash_registers`.
+ */
+export async function getShiftStaff(client, cashRegisterRow) {
+  const cashRegisterId = cashRegisterRow.id;
+  const orders = await client.query(
+    `SELECT created_by,
+            COUNT(*) FILTER (WHERE status != 'cancelled')::int AS orders,
+            COALESCE(SUM(total) FILTER (WHERE status != 'cancelled'), 0)::float AS sales,
+            COALESCE(SUM(COALESCE(discount, 0)) FILTER (WHERE status != 'cancelled'), 0)::float AS discounts
+     FROM orders
+     WHERE cash_register_id = $1
+     GROUP BY created_by`,
+    [cashRegisterId],
+  );
+  const cancellations = await client.query(
+    `SELECT cancelled_by, COUNT(*)::int AS count, COALESCE(SUM(total), 0)::float AS total
+     FROM orders
+     WHERE cash_register_id = $1 AND status = 'cancelled'
+     GROUP BY cancelled_by`,
+    [cashRegisterId],
+  );
+  const payments = await client.query(
+    `SELECT op.created_by, op.method, COALESCE(SUM(op.amount), 0)::float AS amount
+     FROM order_payments op
+     JOIN orders o ON o.id = op.order_id
+     WHERE o.cash_register_id = $1 AND o.status != 'cancelled'
+     GROUP BY op.created_by, op.method`,
+    [cashRegisterId],
+  );
+  const cups = await client.query(
+    `SELECT created_by, type, COALESCE(SUM(quantity), 0)::int AS quantity
+     FROM cup_movements
+     WHERE cash_register_id = $1
+     GROUP BY created_by, type`,
+    [cashRegisterId],
+  );
+  const movements = await client.query(
+    `SELECT created_by, COUNT(*)::int AS count
+     FROM cash_register_movements
+     WHERE cash_register_id = $1
+     GROUP BY created_by`,
+    [cashRegisterId],
+  );
+
+  const byUser = new Map();
+  const entry = (userId) => {
+    const key = userId || null;
+    if (!byUser.has(key)) {
+      byUser.set(key, {
+        userId: key,
+        roles: new Set(),
+        orders: 0,
+        sales: 0,
+        discounts: 0,
+        cancelledOrders: 0,
+        cancelledTotal: 0,
+        collected: { efectivo: 0, mercadopago: 0 },
+        cupsDelivered: 0,
+        cupsReturned: 0,
+        cashMovements: 0,
+      });
+    }
+    return byUser.get(key);
+  };
+
+  if (cashRegisterRow.opened_by) entry(cashRegisterRow.opened_by).roles.add('opened');
+  if (cashRegisterRow.closed_by) entry(cashRegisterRow.closed_by).roles.add('closed');
+  for (const row of orders.rows) {
+    const e = entry(row.created_by);
+    e.roles.add('orders');
+    e.orders += Number(row.orders);
+    e.sales += Number(row.sales);
+    e.discounts += Number(row.discounts);
+  }
+  for (const row of cancellations.rows) {
+    const e = entry(row.cancelled_by);
+    e.roles.add('cancellations');
+    e.cancelledOrders += Number(row.count);
+    e.cancelledTotal += Number(row.total);
+  }
+  for (const row of payments.rows) {
+    const e = entry(row.created_by);
+    e.roles.add('payments');
+    e.collected[row.method] = (e.collected[row.method] ?? 0) + Number(row.amount);
+  }
+  for (const row of cups.rows) {
+    const e = entry(row.created_by);
+    e.roles.add('cups');
+    if (row.type === 'delivery') e.cupsDelivered += Number(row.quantity);
+    else e.cupsReturned += Number(row.quantity);
+  }
+  for (const row of movements.rows) {
+    const e = entry(row.created_by);
+    e.roles.add('cashMovements');
+    e.cashMovements += Number(row.count);
+  }
+
+  const userIds = [...byUser.keys()].filter(Boolean);
+  const names = new Map();
+  if (userIds.length > 0) {
+    const users = await client.query(
+      'SELECT id, name FROM app_users WHERE id = ANY($1::text[])',
+      [userIds],
+    );
+    for (const u of users.rows) names.set(u.id, u.name);
+  }
+
+  return [...byUser.values()]
+    .map((e) => ({
+      user: e.userId ? { id: e.userId, name: names.get(e.userId) } : null,
+      roles: [...e.roles],
+      orders: e.orders,
+      sales: round2(e.sales),
+      discounts: round2(e.discounts),
+      averageTicket: e.orders > 0 ? round2(e.sales / e.orders) : 0,
+      cancelledOrders: e.cancelledOrders,
+      cancelledTotal: round2(e.cancelledTotal),
+      collected: Object.fromEntries(
+        Object.entries(e.collected).map(([method, amount]) => [
+          method,
+          round2(amount),
+        ]),
+      ),
+      cupsDelivered: e.cupsDelivered,
+      cupsReturned: e.cupsReturned,
+      cashMovements: e.cashMovements,
+    }))
+    .sort((a, b) => {
+      // Sin usuario al final; el resto por ventas.
+      if (!a.user !== !b.user) return a.user ? -1 : 1;
+      return b.sales - a.sales;
+    });
+}
@@ -3,7 +3,10 @@ import db from '../database.js';
 const SETTINGS_KEY = 'buffet_cup_price';
 const DEFAULT = 2000;
 
-let cache = { price: null, at: 0 };
+/** Tipo de envase de siempre (el vaso); es el que se usa cuando no se indica otro. */
+export const DEFAULT_CUP_TYPE_ID = 'vaso';
+
+let cache = { types: null, at: 0 };
 const TTL_MS = 30_000;
 
 function envPrice() {
@@ -12,33 +15,113 @@ function envPrice() {
 }
 
 export function invalidateCupPriceCache() {
-  cache = { price: null, at: 0 };
+  cache = { types: null, at: 0 };
+}
+
+export function formatCupType(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    price: Number(row.price),
+    active: Number(row.active) === 1,
+    sortOrder: Number(row.sort_order) || 0,
+    isDefault: row.id === DEFAULT_CUP_TYPE_ID,
+  };
 }
 
 /**
- * Precio unitario depósito vasos (ARS). Orden: `settings` → `CUP_PRICE` env → default.
+ * Catálogo de envases retornables (vaso, pinta, copa…) con su depósito,
+ * incluidos los inactivos (todavía se pueden devolver).
+ * @returns {Promise<ReturnType<typeof formatCupType>[]>}
  */
-export async function getCupPrice() {
+export async function getCupTypes() {
   const now = Date.now();
-  if (cache.price != null && now - cache.at < TTL_MS) {
-    return cache.price;
+  if (cache.types != null && now - cache.at < TTL_MS) {
+    return cache.types;
   }
+  let types = [];
+  try {
+    const r = await db.query(
+      'SELECT * FROM cup_types ORDER BY sort_order ASC, name ASC',
+    );
+    types = r.rows.map(formatCupType);
+  } catch {
+    /* tabla todavía sin crear */
+  }
+  cache = { types, at: now };
+  return types;
+}
+
+/** @param {string} cupTypeId */
+export async function getCupType(cupTypeId) {
+  return (await getCupTypes()).find((t) => t.id === cupTypeId) ?? null;
+}
+
+/**
+ * Precio unitario del depósito (ARS) de un tipo de envase; por defecto, el
+ * vaso. Sin catálogo: `settings` → `CUP_PRICE` env → default.
+ * @param {string} [cupTypeId]
+ */
+export async function getCupPrice(cupTypeId = DEFAULT_CUP_TYPE_ID) {
+  const type = await getCupType(cupTypeId);
+  if (type) return type.price;
+  if (cupTypeId !== DEFAULT_CUP_TYPE_ID) return null;
   try {
     const r = await db.query('SELECT value FROM settings WHERE key = $1', [
       SETTINGS_KEY,
     ]);
     const fromDb = Number(r.rows[0]?.value);
     if (Number.isFinite(fromDb) && fromDb > 0) {
-      const price = Math.round(fromDb);
-      cache = { price, at: now };
-      return price;
+      return Math.round(fromDb);
     }
   } catch {
     /* fall through */
   }
-  const price = envPrice() ?? DEFAULT;
-  cache = { price, at: now };
-  return price;
+  return envPrice() ?? DEFAULT;
+}
+
+const RETURN_DAYS_KEY = 'buffet_cup_return_days';
+let returnDaysCache = { days: undefined, at: 0 };
+
+function envReturnDays() {
+  const n = Number(process.env.CUP_RETURN_DAYS);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+export function invalidateCupReturnDaysCache() {
+  returnDaysCache = { days: undefined, at: 0 };
+}
+
+/**
+ * Días durante los que un vaso entregado se puede devolver en cualquier caja
+ * (`null` = sin límite). Orden: `settings` → `CUP_RETURN_DAYS` env → sin límite.
+ */
+export async function getCupReturnDays() {
+  const now = Date.now();
+  if (returnDaysCache.days !== undefined && now - returnDaysCache.at < TTL_MS) {
+    return returnDaysCache.days;
+  }
+  let days = null;
+  try {
+    const r = await db.query('SELECT value FROM settings WHERE key = $1', [
+      RETURN_DAYS_KEY,
+    ]);
+    const raw = r.rows[0]?.value;
+    if (raw != null && raw !== '') {
+      const fromDb = Number(raw);
+      // 0 guardado explícitamente: sin límite.
+      days = Number.isInteger(fromDb) && fromDb > 0 ? fromDb : null;
+    } else {
+      days = envReturnDays();
+    }
+  } catch {
+    days = envReturnDays();
+  }
+  returnDaysCache = { days, at: now };
+  return days;
 }
 
-export { SETTINGS_KEY as BUFFET_CUP_PRICE_SETTINGS_KEY };
+export {
+  SETTINGS_KEY as BUFFET_CUP_PRICE_SETTINGS_KEY,
+  RETURN_DAYS_KEY as BUFFET_CUP_RETURN_DAYS_SETTINGS_KEY,
+};
@@ -0,0 +1,69 @@
+/**
+ * Devoluciones de vasos contra el pozo global: un vaso entregado en una caja
+ * se puede devolver en otra (la otra barra, o la noche siguiente). Cada
+ * devolución guarda en `origin_cash_register_id` la caja que cobró el depósito
+ * cuando no es la misma que lo reintegra; los vasos pendientes de una caja se
+ * cuentan siempre por origen.
+ */
+
+/** Caja dueña del vaso en un `cup_movements` (alias `cm`). */
+export const CUP_ORIGIN_SQL = 'COALESCE(cm.origin_cash_register_id, cm.cash_register_id)';
+
+/**
+ * Vasos pendientes de devolución por caja de origen (solo las que tienen
+ * alguno), de la más nueva a la más vieja. Con `returnDays`, solo cajas de
+ * los últimos días (además de `includeCashRegisterId`); con `cupTypeId`, solo
+ * ese tipo de envase.
+ * @param {import('pg').Pool | import('pg').PoolClient} client
+ * @param {{ returnDays?: number | null; includeCashRegisterId?: string; cupTypeId?: string }} [options]
+ */
+export async function getOutstandingCupsByRegister(
+  client,
+  { returnDays = null, includeCashRegisterId = null, cupTypeId = null } = {},
+) {
+  const result = await client.query(
+    `SELECT cr.id, to_char(cr.date, 'YYYY-MM-DD') AS date, cr.event_name, cr.point_of_sale,
+            SUM(CASE WHEN cm.type = 'delivery' THEN cm.quantity ELSE -cm.quantity END)::int AS outstanding
+     FROM cup_movements cm
+     JOIN cash_registers cr ON cr.id = ${CUP_ORIGIN_SQL}
+     WHERE ($1::int IS NULL OR cr.date >= CURRENT_DATE - $1::int OR cr.id = $2)
+       AND ($3::text IS NULL OR cm.cup_type_id = $3)
+     GROUP BY cr.id
+     HAVING SUM(CASE WHEN cm.type = 'delivery' THEN cm.quantity ELSE -cm.quantity END) > 0
+     ORDER BY cr.date DESC, cr.created_at DESC`,
+    [returnDays, includeCashRegisterId, cupTypeId],
+  );
+  return result.rows.map((r) => ({
+    cashRegisterId: r.id,
+    date: r.date,
+    eventName: r.event_name || undefined,
+    pointOfSale: r.point_of_sale || undefined,
+    outstanding: Number(r.outstanding),
+  }));
+}
+
+/**
+ * Reparte una devolución entre las cajas de origen: primero los vasos de la
+ * propia caja, después los de las cajas más recientes.
+ * @param {{ cashRegisterId: string; outstanding: number }[]} outstanding
+ * @param {string} cashRegisterId Caja que recibe la devolución.
+ * @param {number} quantity
+ * @returns {{ originCashRegisterId: string; quantity: number }[] | null}
+ *   `null` si el pozo no alcanza.
+ */
+export function allocateCupReturn(outstanding, cashRegisterId, quantity) {
+  const ordered = [
+    ...outstanding.filter((o) => o.cashRegisterId === cashRegisterId),
+    ...outstanding.filter((o) => o.cashRegisterId !== cashRegisterId),
+  ];
+  const parts = [];
+  let left = quantity;
+  for (const o of ordered) {
+    if (left <= 0) break;
+    const take = Math.min(left, o.outstanding);
+    if (take <= 0) continue;
+    parts.push({ originCashRegisterId: o.cashRegisterId, quantity: take });
+    left -= take;
+  }
+  return left > 0 ? null : parts;
+}
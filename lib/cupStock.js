@@ -0,0 +1,325 @@
+/**
+ * Inventario físico de vasos retornables (`cup_stock_movements`): compras,
+ * roturas, pérdidas y conteos de fin de noche. `cup_movements` sigue siendo
+ * el registro del depósito cobrado/reintegrado por caja; acá se concilia
+ * contra lo que hay realmente en el local.
+ *
+ * El stock propio parte del último conteo: lo contado + compras − roturas −
+ * pérdidas registradas después. Cada conteo concilia las cajas cerradas que
+ * todavía no entraron en uno (`cash_register_ids`): lo esperado es el stock
+ * propio menos los vasos que esas cajas dejaron sin devolver (`netNotReturned`).
+ * El primer conteo fija el stock inicial (sin esperado ni diferencia).
+ *
+ * Cada tipo de envase (`cup_type_id`) lleva su propio stock y sus propios
+ * conteos; todas las funciones trabajan sobre un tipo, el default si no se indica.
+ */
+
+import { DEFAULT_CUP_TYPE_ID } from './cupPrice.js';
+import { CUP_ORIGIN_SQL } from './cupReturns.js';
+
+/** Movimientos que se cargan a mano (los conteos tienen su propio endpoint). */
+export const CUP_STOCK_TYPES = ['purchase', 'broken', 'lost'];
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export function cupStockError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/** `params[0]` es siempre el tipo de envase: los conteos concilian por tipo. */
+function registerFilter(column, cashRegisterIds, params) {
+  if (cashRegisterIds) {
+    params.push(cashRegisterIds);
+    return `${column} = ANY($${params.length}::text[])`;
+  }
+  return `NOT EXISTS (
+    SELECT 1 FROM cup_stock_movements s
+    WHERE s.type = 'count' AND s.cup_type_id = $1
+      AND ${column} = ANY(s.cash_register_ids)
+  )`;
+}
+
+/**
+ * Vasos sin devolver por caja de origen (entregados − devueltos en cualquier
+ * caja), solo cajas con movimientos. Sin `cashRegisterIds`: las cajas que
+ * ningún conteo concilió.
+ * @param {import('pg').Pool | import('pg').PoolClient} client
+ * @param {string[]} [cashRegisterIds]
+ * @param {string} [cupTypeId]
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function getNotReturnedByRegister(
+  client,
+  cashRegisterIds,
+  cupTypeId = DEFAULT_CUP_TYPE_ID,
+) {
+  const params = [cupTypeId];
+  const result = await client.query(
+    `SELECT ${CUP_ORIGIN_SQL} AS cash_register_id,
+            COALESCE(SUM(CASE WHEN cm.type = 'delivery' THEN cm.quantity ELSE -cm.quantity END), 0)::int AS net
+     FROM cup_movements cm
+     WHERE cm.cup_type_id = $1
+       AND ${registerFilter(CUP_ORIGIN_SQL, cashRegisterIds, params)}
+     GROUP BY 1`,
+    params,
+  );
+  return new Map(
+    result.rows.map((r) => [r.cash_register_id, Math.max(0, Number(r.net))]),
+  );
+}
+
+/**
+ * Cajas con movimientos de vasos que ningún conteo concilió todavía.
+ * @param {import('pg').Pool | import('pg').PoolClient} client
+ * @param {string} [cupTypeId]
+ * @returns {Promise<string[]>}
+ */
+export async function getUnreconciledCashRegisterIds(client, cupTypeId = DEFAULT_CUP_TYPE_ID) {
+  const params = [cupTypeId];
+  const result = await client.query(
+    `SELECT DISTINCT cm.cash_register_id FROM cup_movements cm
+     WHERE cm.cup_type_id = $1
+       AND ${registerFilter('cm.cash_register_id', null, params)}`,
+    params,
+  );
+  return result.rows.map((r) => r.cash_register_id);
+}
+
+/**
+ * Vasos devueltos en estas cajas (o en las no conciliadas) que se entregaron
+ * en una caja ya conciliada: aquel conteo los dio por perdidos y volvieron.
+ * @param {import('pg').Pool | import('pg').PoolClient} client
+ * @param {string[]} [cashRegisterIds]
+ * @param {string} [cupTypeId]
+ */
+export async function getLateCupReturns(
+  client,
+  cashRegisterIds,
+  cupTypeId = DEFAULT_CUP_TYPE_ID,
+) {
+  const params = [cupTypeId];
+  const result = await client.query(
+    `SELECT COALESCE(SUM(cm.quantity), 0)::int AS quantity
+     FROM cup_movements cm
+     WHERE cm.type = 'return' AND cm.origin_cash_register_id IS NOT NULL
+       AND cm.cup_type_id = $1
+       AND ${registerFilter('cm.cash_register_id', cashRegisterIds, params)}
+       AND EXISTS (
+         SELECT 1 FROM cup_stock_movements s
+         WHERE s.type = 'count' AND s.cup_type_id = $1
+           AND cm.origin_cash_register_id = ANY(s.cash_register_ids)
+       )`,
+    params,
+  );
+  return Number(result.rows[0].quantity) || 0;
+}
+
+/**
+ * Costo de reposición por envase: el de la última compra con costo cargado.
+ * @param {import('pg').Pool | import('pg').PoolClient} client
+ * @param {string} [cupTypeId]
+ * @returns {Promise<number | null>}
+ */
+export async function getReplacementUnitCost(client, cupTypeId = DEFAULT_CUP_TYPE_ID) {
+  const result = await client.query(
+    `SELECT unit_cost FROM cup_stock_movements
+     WHERE type = 'purchase' AND unit_cost IS NOT NULL AND cup_type_id = $1
+     ORDER BY created_at DESC, id DESC LIMIT 1`,
+    [cupTypeId],
+  );
+  const row = result.rows[0];
+  return row ? Number(row.unit_cost) : null;
+}
+
+/**
+ * Stock propio actual de un tipo de envase y lo que falta conciliar.
+ * @param {import('pg').Pool | import('pg').PoolClient} client
+ * @param {string} [cupTypeId]
+ */
+export async function getCupStock(client, cupTypeId = DEFAULT_CUP_TYPE_ID) {
+  const lastCount = (
+    await client.query(
+      `SELECT * FROM cup_stock_movements WHERE type = 'count' AND cup_type_id = $1
+       ORDER BY created_at DESC, id DESC LIMIT 1`,
+      [cupTypeId],
+    )
+  ).rows[0];
+  const since = await client.query(
+    `SELECT type, COALESCE(SUM(quantity), 0)::int AS quantity
+     FROM cup_stock_movements
+     WHERE type != 'count' AND cup_type_id = $2
+       AND ($1::timestamp IS NULL OR created_at > $1)
+     GROUP BY type`,
+    [lastCount ? lastCount.created_at : null, cupTypeId],
+  );
+  const totals = { purchase: 0, broken: 0, lost: 0 };
+  for (const row of since.rows) totals[row.type] = Number(row.quantity);
+
+  const owned =
+    (lastCount ? Number(lastCount.quantity) : 0) +
+    totals.purchase -
+    totals.broken -
+    totals.lost;
+  const pending = await getNotReturnedByRegister(client, undefined, cupTypeId);
+  const notReturned =
+    [...pending.values()].reduce((sum, n) => sum + n, 0) -
+    (await getLateCupReturns(client, undefined, cupTypeId));
+
+  return {
+    cupTypeId,
+    owned,
+    purchasedSinceCount: totals.purchase,
+    brokenSinceCount: totals.broken,
+    lostSinceCount: totals.lost,
+    // Vasos que se llevaron en cajas todavía no conciliadas por un conteo.
+    notReturnedPending: notReturned,
+    pendingCashRegisterIds: [...pending.keys()],
+    expectedOnHand: lastCount ? owned - notReturned : null,
+    lastCount: lastCount
+      ? {
+          id: lastCount.id,
+          quantity: Number(lastCount.quantity),
+          washed: lastCount.washed_quantity != null ? Number(lastCount.washed_quantity) : undefined,
+          expected: lastCount.expected_quantity != null ? Number(lastCount.expected_quantity) : undefined,
+          countedAt: new Date(lastCount.created_at).toISOString(),
+        }
+      : null,
+    replacementUnitCost: await getReplacementUnitCost(client, cupTypeId),
+  };
+}
+
+/**
+ * Merma de vasos por evento (cajas agrupadas por `event_id`, o por fecha si
+ * no tienen evento): vasos sin devolver, rotos, perdidos y la diferencia de
+ * los conteos, contra el depósito retenido y el costo de reponerlos. Las
+ * devoluciones cuentan para el evento que entregó el vaso, aunque se hayan
+ * hecho en otra caja. Un tipo de envase por reporte.
+ * @param {import('pg').Pool | import('pg').PoolClient} client
+ * @param {{ dateFrom?: string; dateTo?: string; cupTypeId?: string }} range
+ */
+export async function buildCupShrinkageReport(
+  client,
+  { dateFrom, dateTo, cupTypeId = DEFAULT_CUP_TYPE_ID },
+) {
+  const registers = (
+    await client.query(
+      `SELECT id, to_char(date, 'YYYY-MM-DD') AS date, event_id, event_name, created_at FROM cash_registers
+       WHERE ($1::date IS NULL OR date >= $1::date) AND ($2::date IS NULL OR date <= $2::date)
+       ORDER BY date ASC, created_at ASC`,
+      [dateFrom || null, dateTo || null],
+    )
+  ).rows;
+  const ids = registers.map((r) => r.id);
+  const unitCost = await getReplacementUnitCost(client, cupTypeId);
+  if (ids.length === 0) {
+    return {
+      cupTypeId,
+      replacementUnitCost: unitCost,
+      events: [],
+      totals: summarize([], unitCost),
+    };
+  }
+
+  const cups = await client.query(
+    `SELECT ${CUP_ORIGIN_SQL} AS cash_register_id,
+            COALESCE(SUM(CASE WHEN cm.type = 'delivery' THEN cm.quantity ELSE 0 END), 0)::int AS delivered,
+            COALESCE(SUM(CASE WHEN cm.type = 'return' THEN cm.quantity ELSE 0 END), 0)::int AS returned,
+            COALESCE(SUM(CASE WHEN cm.type = 'delivery' THEN cm.amount ELSE -cm.amount END), 0)::float AS retained
+     FROM cup_movements cm WHERE ${CUP_ORIGIN_SQL} = ANY($1::text[]) AND cm.cup_type_id = $2
+     GROUP BY 1`,
+    [ids, cupTypeId],
+  );
+  const writeOffs = await client.query(
+    `SELECT cash_register_id, type, COALESCE(SUM(quantity), 0)::int AS quantity
+     FROM cup_stock_movements
+     WHERE type IN ('broken', 'lost') AND cash_register_id = ANY($1::text[])
+       AND cup_type_id = $2
+     GROUP BY cash_register_id, type`,
+    [ids, cupTypeId],
+  );
+  const counts = await client.query(
+    `SELECT id, quantity, expected_quantity, cash_register_ids FROM cup_stock_movements
+     WHERE type = 'count' AND expected_quantity IS NOT NULL
+       AND cash_register_ids && $1::text[] AND cup_type_id = $2`,
+    [ids, cupTypeId],
+  );
+
+  const byEvent = new Map();
+  const eventOfRegister = new Map();
+  for (const r of registers) {
+    const key = r.event_id ? `event:${r.event_id}` : `date:${r.date}`;
+    if (!byEvent.has(key)) {
+      byEvent.set(key, {
+        eventId: r.event_id || undefined,
+        eventName: r.event_name || undefined,
+        date: r.date,
+        cashRegisterIds: [],
+        delivered: 0,
+        returned: 0,
+        notReturned: 0,
+        broken: 0,
+        lost: 0,
+        countDifference: 0,
+        depositRetained: 0,
+      });
+    }
+    byEvent.get(key).cashRegisterIds.push(r.id);
+    eventOfRegister.set(r.id, key);
+  }
+  for (const row of cups.rows) {
+    const e = byEvent.get(eventOfRegister.get(row.cash_register_id));
+    e.delivered += Number(row.delivered);
+    e.returned += Number(row.returned);
+    e.notReturned += Math.max(0, Number(row.delivered) - Number(row.returned));
+    e.depositRetained += Number(row.retained);
+  }
+  for (const row of writeOffs.rows) {
+    byEvent.get(eventOfRegister.get(row.cash_register_id))[row.type] += Number(row.quantity);
+  }
+  // Un conteo puede conciliar varias cajas: la diferencia va al evento de la
+  // última caja que concilió (la noche que se contó).
+  for (const row of counts.rows) {
+    const last = registers.filter((r) => row.cash_register_ids.includes(r.id)).pop();
+    byEvent.get(eventOfRegister.get(last.id)).countDifference +=
+      Number(row.quantity) - Number(row.expected_quantity);
+  }
+
+  const events = [...byEvent.values()]
+    .filter((e) => e.delivered || e.broken || e.lost || e.countDifference)
+    .map((e) => ({ ...e, ...summarize([e], unitCost) }));
+  return {
+    cupTypeId,
+    replacementUnitCost: unitCost,
+    events,
+    totals: summarize(events, unitCost),
+  };
+}
+
+function summarize(events, unitCost) {
+  const sum = (field) => events.reduce((acc, e) => acc + e[field], 0);
+  const notReturned = sum('notReturned');
+  const broken = sum('broken');
+  const lost = sum('lost');
+  const countDifference = sum('countDifference');
+  // Faltante del conteo (o sobrante si es negativo) además de lo ya registrado.
+  const missing = -countDifference;
+  const shrinkage = notReturned + broken + lost + missing;
+  const depositRetained = roundMoney(sum('depositRetained'));
+  const replacementCost = unitCost != null ? roundMoney(shrinkage * unitCost) : null;
+  return {
+    delivered: sum('delivered'),
+    returned: sum('returned'),
+    notReturned,
+    broken,
+    lost,
+    countDifference,
+    shrinkage,
+    depositRetained,
+    replacementCost,
+    net: replacementCost != null ? roundMoney(depositRetained - replacementCost) : null,
+  };
+}
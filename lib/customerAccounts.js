@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+
+/** Tramos del reporte de antigüedad de deuda, en días desde el cargo. */
+export const AGING_BUCKETS = [
+  { key: '0-30', maxDays: 30 },
+  { key: '31-60', maxDays: 60 },
+  { key: '61-90', maxDays: 90 },
+  { key: '90+', maxDays: Infinity },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export function customerAccountError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/** Saldo (cargos − pagos) por cliente. */
+export const CUSTOMER_BALANCE_SQL = `
+  COALESCE((SELECT SUM(CASE WHEN e.type = 'charge' THEN e.amount ELSE -e.amount END)
+            FROM customer_account_entries e
+            WHERE e.customer_account_id = ca.id), 0)::float`;
+
+/**
+ * Carga la deuda de una cuenta abierta cerrada al fiado.
+ * @param {import('pg').PoolClient} client
+ */
+export async function chargeCustomerAccount(
+  client,
+  { customerAccountId, amount, description, openAccountId, cashRegisterId, userId },
+) {
+  const id = crypto.randomUUID();
+  await client.query(
+    `INSERT INTO customer_account_entries
+      (id, customer_account_id, type, amount, description, open_account_id, cash_register_id, created_by)
+     VALUES ($1, $2, 'charge', $3, $4, $5, $6, $7)`,
+    [
+      id,
+      customerAccountId,
+      roundMoney(amount),
+      description ?? null,
+      openAccountId ?? null,
+      cashRegisterId ?? null,
+      userId ?? null,
+    ],
+  );
+  return id;
+}
+
+/**
+ * Antigüedad del saldo de un cliente: los pagos cancelan primero los cargos
+ * más viejos (FIFO) y lo que queda de cada cargo cae en el tramo según los
+ * días transcurridos hasta `asOf`.
+ * @param {{ type: 'charge' | 'payment'; amount: number; created_at: Date | string }[]} entries
+ * @param {Date} asOf
+ */
+export function computeAging(entries, asOf) {
+  const sorted = [...entries].sort(
+    (a, b) => new Date(a.created_at) - new Date(b.created_at),
+  );
+  let paid = sorted
+    .filter((e) => e.type === 'payment')
+    .reduce((sum, e) => sum + Number(e.amount), 0);
+  const buckets = Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+  let oldestUnpaidAt = null;
+  for (const charge of sorted.filter((e) => e.type === 'charge')) {
+    const amount = Number(charge.amount);
+    const covered = Math.min(paid, amount);
+    paid -= covered;
+    const remaining = amount - covered;
+    if (remaining <= 0.005) continue;
+    const days = Math.max(
+      0,
+      Math.floor((asOf - new Date(charge.created_at)) / DAY_MS),
+    );
+    const bucket = AGING_BUCKETS.find((b) => days <= b.maxDays);
+    buckets[bucket.key] += remaining;
+    oldestUnpaidAt ??= new Date(charge.created_at);
+  }
+  for (const key of Object.keys(buckets)) buckets[key] = roundMoney(buckets[key]);
+  return {
+    buckets,
+    balance: roundMoney(Object.values(buckets).reduce((sum, v) => sum + v, 0)),
+    oldestUnpaidAt: oldestUnpaidAt ? oldestUnpaidAt.toISOString() : null,
+    daysOutstanding: oldestUnpaidAt
+      ? Math.max(0, Math.floor((asOf - oldestUnpaidAt) / DAY_MS))
+      : 0,
+  };
+}
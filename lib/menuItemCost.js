@@ -119,18 +119,32 @@ export function getMenuItemCostFailureReason(row, suppliesById, latestPurchaseMa
 }
 
 /**
- * Snapshot costs for many menu items in one round-trip (supplies loaded once).
- * @param {string[]} menuItemIds
- * @returns {Promise<Map<string, number|null>>}
+ * Costo por unidad de las opciones elegidas (`order_items.modifiers`): sus
+ * líneas de receta se suman tal cual, sin dividir por porciones.
+ * @returns {number|null} `null` si algún insumo no tiene costo.
  */
-export async function getUnitCostsForMenuItemIds(menuItemIds) {
-  const unique = [...new Set(menuItemIds.filter(Boolean))];
+function modifiersUnitCost(modifiers, suppliesById, latestPurchaseMap) {
+  let total = 0;
+  for (const modifier of Array.isArray(modifiers) ? modifiers : []) {
+    for (const line of normalizeMenuRecipe(modifier?.recipe)) {
+      const sub = suppliesById[line.supplyId];
+      if (!sub) return null;
+      try {
+        const info = getSupplyCostInfo(sub, suppliesById, latestPurchaseMap);
+        if (info.costPerUnit == null) return null;
+        total += info.costPerUnit * line.quantity;
+      } catch {
+        return null;
+      }
+    }
+  }
+  return total;
+}
+
+async function loadMenuUnitCosts(unique, { suppliesById, latestPurchaseMap }) {
   const out = new Map();
   for (const id of unique) out.set(id, null);
   if (unique.length === 0) return out;
-
-  const { suppliesById, latestPurchaseMap } = await buildMenuCostContext();
-
   const menuRes = await db.query(
     `SELECT id, recipe, portions FROM menu_items WHERE id = ANY($1::text[])`,
     [unique],
@@ -143,3 +157,28 @@ export async function getUnitCostsForMenuItemIds(menuItemIds) {
   }
   return out;
 }
+
+/**
+ * Costo por unidad de líneas de comanda: receta del producto más el delta de
+ * receta de las opciones elegidas.
+ * @param {{ menuItemId: string; modifiers?: any[] | null }[]} lines
+ * @returns {Promise<(number|null)[]>} En el mismo orden que `lines`.
+ */
+export async function getUnitCostsForOrderLines(lines) {
+  if (lines.length === 0) return [];
+  const context = await buildMenuCostContext();
+  const baseCosts = await loadMenuUnitCosts(
+    [...new Set(lines.map((line) => line.menuItemId).filter(Boolean))],
+    context,
+  );
+  return lines.map((line) => {
+    const base = baseCosts.get(line.menuItemId) ?? null;
+    if (base == null) return null;
+    const delta = modifiersUnitCost(
+      line.modifiers,
+      context.suppliesById,
+      context.latestPurchaseMap,
+    );
+    return delta == null ? null : Math.max(0, base + delta);
+  });
+}
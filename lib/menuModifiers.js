@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+
+/**
+ * Grupos de modificadores de un producto (tamaño, extras, "sin cebolla"),
+ * guardados como JSON en `menu_items.modifier_groups`:
+ * [{ id, name, minSelect, maxSelect, options: [{ id, name, priceDelta, recipe, available }] }]
+ * `recipe` son líneas { supplyId, quantity } que se suman (o restan, con
+ * cantidad negativa) a la receta del producto, por unidad vendida.
+ */
+
+function modifiersError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function normalizeRecipeDelta(recipe) {
+  if (!Array.isArray(recipe)) return [];
+  return recipe
+    .filter(
+      (line) =>
+        line &&
+        (line.supplyId != null || line.supply_id != null) &&
+        Number.isFinite(Number(line.quantity)) &&
+        Number(line.quantity) !== 0,
+    )
+    .map((line) => ({
+      supplyId: String(line.supplyId ?? line.supply_id),
+      quantity: Number(line.quantity),
+    }));
+}
+
+/** @returns {any[]} Grupos guardados en `menu_items.modifier_groups`. */
+export function parseModifierGroups(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+  try {
+    const arr = JSON.parse(value);
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Valida los grupos enviados al guardar un producto y completa ids faltantes.
+ * @param {unknown} groups
+ */
+export function normalizeModifierGroups(groups) {
+  if (!Array.isArray(groups)) {
+    throw modifiersError('modifierGroups debe ser un arreglo');
+  }
+  const optionIds = new Set();
+  return groups.map((group) => {
+    const name = typeof group?.name === 'string' ? group.name.trim() : '';
+    if (!name) {
+      throw modifiersError('Cada grupo de modificadores necesita un nombre');
+    }
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      throw modifiersError(`El grupo "${name}" no tiene opciones`);
+    }
+    const minSelect = Math.max(0, Math.floor(Number(group.minSelect) || 0));
+    const maxSelect =
+      group.maxSelect == null || group.maxSelect === ''
+        ? group.options.length
+        : Math.floor(Number(group.maxSelect));
+    if (!Number.isFinite(maxSelect) || maxSelect < 1 || maxSelect < minSelect) {
+      throw modifiersError(`Mínimo/máximo inválidos en el grupo "${name}"`);
+    }
+    const options = group.options.map((option) => {
+      const optionName =
+        typeof option?.name === 'string' ? option.name.trim() : '';
+      if (!optionName) {
+        throw modifiersError(`Opción sin nombre en el grupo "${name}"`);
+      }
+      const priceDelta =
+        option.priceDelta == null || option.priceDelta === ''
+          ? 0
+          : Number(option.priceDelta);
+      if (!Number.isFinite(priceDelta)) {
+        throw modifiersError(`Precio inválido en la opción "${optionName}"`);
+      }
+      const id = option.id ? String(option.id) : crypto.randomUUID();
+      if (optionIds.has(id)) {
+        throw modifiersError(`Opción repetida (id: ${id})`);
+      }
+      optionIds.add(id);
+      return {
+        id,
+        name: optionName,
+        priceDelta,
+        recipe: normalizeRecipeDelta(option.recipe),
+        available: option.available !== false,
+      };
+    });
+    return {
+      id: group.id ? String(group.id) : crypto.randomUUID(),
+      name,
+      minSelect,
+      maxSelect,
+      options,
+    };
+  });
+}
+
+/**
+ * Resuelve las opciones elegidas para una línea de comanda contra los grupos
+ * vigentes del producto y devuelve el snapshot que se guarda en
+ * `order_items.modifiers`.
+ * @param {{ name: string; modifier_groups?: string }} menu Fila de `menu_items`.
+ * @param {unknown} selected [{ optionId }] (o ids sueltos).
+ * @returns {{ groupId: string; groupName: string; optionId: string; name: string; priceDelta: number; recipe: { supplyId: string; quantity: number }[] }[]}
+ */
+export function resolveOrderItemModifiers(menu, selected) {
+  const groups = parseModifierGroups(menu.modifier_groups);
+  const selectedIds = (Array.isArray(selected) ? selected : []).map((s) =>
+    String(typeof s === 'object' && s !== null ? s.optionId : s),
+  );
+  if (new Set(selectedIds).size !== selectedIds.length) {
+    throw modifiersError(`Opción repetida en "${menu.name}"`);
+  }
+
+  const chosen = [];
+  const remaining = new Set(selectedIds);
+  for (const group of groups) {
+    const inGroup = (group.options || []).filter((o) => remaining.has(o.id));
+    for (const option of inGroup) {
+      remaining.delete(option.id);
+      if (option.available === false) {
+        throw modifiersError(`"${option.name}" no está disponible`);
+      }
+      chosen.push({
+        groupId: group.id,
+        groupName: group.name,
+        optionId: option.id,
+        name: option.name,
+        priceDelta: Number(option.priceDelta) || 0,
+        recipe: normalizeRecipeDelta(option.recipe),
+      });
+    }
+    if (inGroup.length < (Number(group.minSelect) || 0)) {
+      throw modifiersError(
+        `Elegí una opción de "${group.name}" para "${menu.name}"`,
+      );
+    }
+    if (group.maxSelect != null && inGroup.length > Number(group.maxSelect)) {
+      throw modifiersError(
+        `Demasiadas opciones de "${group.name}" para "${menu.name}"`,
+      );
+    }
+  }
+  if (remaining.size > 0) {
+    throw modifiersError(`Opción no encontrada para "${menu.name}"`);
+  }
+  return chosen;
+}
+
+/** Suma de deltas de precio de las opciones de una línea (por unidad). */
+export function modifiersPriceDelta(modifiers) {
+  if (!Array.isArray(modifiers)) return 0;
+  return modifiers.reduce((sum, m) => sum + (Number(m?.priceDelta) || 0), 0);
+}
+
+/** Clave estable de las opciones elegidas, para agrupar líneas iguales. */
+export function modifiersKey(modifiers) {
+  if (!Array.isArray(modifiers) || modifiers.length === 0) return '';
+  return modifiers
+    .map((m) => m.optionId)
+    .sort()
+    .join(',');
+}
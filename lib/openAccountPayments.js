@@ -0,0 +1,89 @@
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Saldo de una cuenta abierta: comandas no anuladas menos los vasos devueltos
+ * a la cuenta y los pagos parciales ya registrados.
+ * @param {import('pg').Pool | import('pg').PoolClient} client
+ * @param {string} openAccountId
+ */
+export async function getOpenAccountBalance(client, openAccountId) {
+  const result = await client.query(
+    `SELECT
+       COALESCE((SELECT SUM(o.total) FROM orders o
+                 WHERE (o.open_account_id = $1 OR o.closed_open_account_id = $1)
+                   AND o.status != 'cancelled'), 0)::float AS orders_total,
+       COALESCE((SELECT SUM(cm.amount) FROM cup_movements cm
+                 WHERE cm.type = 'return' AND cm.payment_method = 'cuenta_abierta'
+                   AND cm.open_account_id = $1), 0)::float AS cup_credit,
+       COALESCE((SELECT SUM(p.amount) FROM open_account_payments p
+                 WHERE p.open_account_id = $1), 0)::float AS paid`,
+    [openAccountId],
+  );
+  const row = result.rows[0];
+  const ordersTotal = Number(row.orders_total) || 0;
+  const cupCredit = Number(row.cup_credit) || 0;
+  const paid = Number(row.paid) || 0;
+  const total = roundMoney(Math.max(0, ordersTotal - cupCredit));
+  return {
+    ordersTotal: roundMoney(ordersTotal),
+    cupCredit: roundMoney(cupCredit),
+    total,
+    paid: roundMoney(paid),
+    balance: roundMoney(total - paid),
+  };
+}
+
+/**
+ * Partes iguales de `amount` entre `people`; los centavos que sobran van a
+ * las primeras partes para que la suma dé exacto.
+ */
+export function splitEvenly(amount, people) {
+  const cents = Math.round(amount * 100);
+  const base = Math.floor(cents / people);
+  const extra = cents - base * people;
+  return Array.from({ length: people }, (_, i) => (base + (i < extra ? 1 : 0)) / 100);
+}
+
+/**
+ * Reparte los pagos de la cuenta entre sus comandas (en orden de creación)
+ * para guardarlos como `order_payments`: cada comanda recibe lo que alcanza a
+ * cubrir su total, y un pago puede quedar dividido entre dos comandas.
+ * @param {{ id: string; total: number }[]} orders
+ * @param {{ method: string; amount: number; mercadoPagoAccountId: string | null }[]} tenders
+ * @returns {Map<string, { method: string; amount: number; mercadoPagoAccountId: string | null }[]>}
+ */
+export function allocateTendersToOrders(orders, tenders) {
+  const queue = tenders.map((t) => ({ ...t, amount: Math.round(t.amount * 100) }));
+  const allocation = new Map();
+  for (const order of orders) {
+    let need = Math.round(Number(order.total) * 100);
+    const lines = [];
+    while (need > 0 && queue.length > 0) {
+      const tender = queue[0];
+      const take = Math.min(need, tender.amount);
+      const same = lines.find(
+        (l) =>
+          l.method === tender.method &&
+          l.mercadoPagoAccountId === tender.mercadoPagoAccountId,
+      );
+      if (same) same.amount += take;
+      else {
+        lines.push({
+          method: tender.method,
+          amount: take,
+          mercadoPagoAccountId: tender.mercadoPagoAccountId,
+        });
+      }
+      need -= take;
+      tender.amount -= take;
+      if (tender.amount <= 0) queue.shift();
+    }
+    allocation.set(
+      order.id,
+      lines.map((l) => ({ ...l, amount: l.amount / 100 })),
+    );
+  }
+  return allocation;
+}
@@ -0,0 +1,32 @@
+/**
+ * Agrega una entrada al historial de una comanda (`order_events`).
+ * @param {import('pg').PoolClient} client
+ * @param {string} orderId
+ * @param {string} type
+ * @param {string | null | undefined} userId Usuario del JWT que hizo el cambio.
+ * @param {object | null} [data] Detalle del cambio (se guarda como JSONB).
+ */
+export async function recordOrderEvent(client, orderId, type, userId, data = null) {
+  await client.query(
+    `INSERT INTO order_events (order_id, type, user_id, data)
+     VALUES ($1, $2, $3, $4)`,
+    [orderId, type, userId ?? null, data ? JSON.stringify(data) : null],
+  );
+}
+
+/**
+ * Agrega una entrada al historial de una cuenta abierta (`open_account_events`):
+ * traspasos de comandas y vasos, uniones y separaciones.
+ * @param {import('pg').PoolClient} client
+ * @param {string} openAccountId
+ * @param {string} type
+ * @param {string | null | undefined} userId
+ * @param {object | null} [data]
+ */
+export async function recordOpenAccountEvent(client, openAccountId, type, userId, data = null) {
+  await client.query(
+    `INSERT INTO open_account_events (open_account_id, type, user_id, data)
+     VALUES ($1, $2, $3, $4)`,
+    [openAccountId, type, userId ?? null, data ? JSON.stringify(data) : null],
+  );
+}
@@ -0,0 +1,153 @@
+// Build order SELECT with items as JSON (PostgreSQL)
+export const orderSelectWithItems = `
+  SELECT
+    o.*,
+    (SELECT COALESCE(json_agg(json_build_object(
+      'id', oi.id,
+      'menuItem', json_build_object(
+        'id', oi.menu_item_id,
+        'name', oi.name,
+        'description', oi.description,
+        'price', oi.price,
+        'category', oi.category,
+        'type', oi.type,
+        'unitCost', oi.unit_cost
+      ),
+      'quantity', oi.quantity,
+      'notes', oi.notes,
+      'isDelivered', oi.is_delivered,
+      'createdAt', oi.created_at,
+      'deliveredAt', oi.delivered_at,
+      'promotionId', oi.promotion_id,
+      'promotionGroupId', oi.promotion_group_id,
+      'promotionName', oi.promotion_name,
+      'promotionPrice', oi.promotion_price,
+      'promotionUnitPrice', oi.promotion_unit_price,
+      'promotionGroupCost', oi.promotion_group_cost,
+      'modifiers', oi.modifiers
+    )), '[]'::json)
+    FROM order_items oi WHERE oi.order_id = o.id) AS items_json,
+    (SELECT COALESCE(json_agg(json_build_object(
+      'id', op.id,
+      'method', op.method,
+      'amount', op.amount,
+      'mercadoPagoAccountId', op.mercado_pago_account_id
+    ) ORDER BY op.created_at, op.id), '[]'::json)
+    FROM order_payments op WHERE op.order_id = o.id) AS payments_json,
+    (SELECT COALESCE(json_agg(json_build_object(
+      'cupTypeId', cm.cup_type_id,
+      'name', ct.name,
+      'quantity', cm.quantity,
+      'amount', cm.amount
+    ) ORDER BY ct.sort_order, ct.name), '[]'::json)
+    FROM cup_movements cm
+    LEFT JOIN cup_types ct ON ct.id = cm.cup_type_id
+    WHERE cm.order_id = o.id AND cm.type = 'delivery') AS cups_json
+  FROM orders o
+`;
+
+/**
+ * Comanda en formato API a partir de una fila de `orderSelectWithItems`.
+ */
+export function formatOrder(order) {
+  const items = Array.isArray(order.items_json)
+    ? order.items_json
+    : order.items_json
+      ? JSON.parse(order.items_json)
+      : [];
+  return {
+    id: order.id,
+    customerName: order.customer_name,
+    items: items.map((item) => {
+      const mi = item.menuItem || {};
+      const menuItem = {
+        id: mi.id,
+        name: mi.name,
+        description: mi.description,
+        price: Number(mi.price),
+        category: mi.category,
+        type: mi.type,
+      };
+      if (mi.unitCost != null && mi.unitCost !== '') {
+        menuItem.unitCost = Number(mi.unitCost);
+      }
+      return {
+        id: item.id,
+        menuItem,
+        quantity: item.quantity,
+        notes: item.notes || undefined,
+        isDelivered: Boolean(item.isDelivered),
+        createdAt: item.createdAt
+          ? new Date(item.createdAt).toISOString()
+          : undefined,
+        deliveredAt: item.deliveredAt
+          ? new Date(item.deliveredAt).toISOString()
+          : undefined,
+        promotionId: item.promotionId || undefined,
+        promotionGroupId: item.promotionGroupId || undefined,
+        promotionName: item.promotionName || undefined,
+        promotionPrice:
+          item.promotionPrice != null && item.promotionPrice !== ''
+            ? Number(item.promotionPrice)
+            : undefined,
+        promotionUnitPrice:
+          item.promotionUnitPrice != null && item.promotionUnitPrice !== ''
+            ? Number(item.promotionUnitPrice)
+            : undefined,
+        promotionGroupCost:
+          item.promotionGroupCost != null && item.promotionGroupCost !== ''
+            ? Number(item.promotionGroupCost)
+            : undefined,
+        modifiers:
+          Array.isArray(item.modifiers) && item.modifiers.length > 0
+            ? item.modifiers.map((m) => ({
+                groupId: m.groupId,
+                groupName: m.groupName,
+                optionId: m.optionId,
+                name: m.name,
+                priceDelta: Number(m.priceDelta) || 0,
+              }))
+            : undefined,
+      };
+    }),
+    total: Number(order.total),
+    status: order.status,
+    paymentMethod: order.payment_method,
+    mercadoPagoAccountId: order.mercado_pago_account_id || undefined,
+    payments: (Array.isArray(order.payments_json) ? order.payments_json : []).map(
+      (p) => ({
+        id: p.id,
+        method: p.method,
+        amount: Number(p.amount),
+        mercadoPagoAccountId: p.mercadoPagoAccountId || undefined,
+      }),
+    ),
+    cashRegisterId: order.cash_register_id || undefined,
+    openAccountId: order.open_account_id || undefined,
+    closedOpenAccountId: order.closed_open_account_id || undefined,
+    closedOpenAccountName: order.closed_open_account_name || undefined,
+    discount: order.discount != null ? Number(order.discount) : undefined,
+    discountReason: order.discount_reason || undefined,
+    notes: order.notes || undefined,
+    cancelledAt: order.cancelled_at
+      ? new Date(order.cancelled_at).toISOString()
+      : undefined,
+    cancelledBy: order.cancelled_by || undefined,
+    cancellationReason: order.cancellation_reason || undefined,
+    createdBy: order.created_by || undefined,
+    createdAt: new Date(order.created_at).toISOString(),
+    updatedAt: order.updated_at
+      ? new Date(order.updated_at).toISOString()
+      : undefined,
+    cupsDelivered:
+      order.cups_delivered != null && order.cups_delivered !== ''
+        ? Number(order.cups_delivered)
+        : 0,
+    cups: (Array.isArray(order.cups_json) ? order.cups_json : []).map((c) => ({
+      cupTypeId: c.cupTypeId,
+      name: c.name || undefined,
+      quantity: Number(c.quantity),
+      amount: Number(c.amount),
+    })),
+  };
+}
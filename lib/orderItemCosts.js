@@ -1,4 +1,4 @@
-import { getUnitCostsForMenuItemIds } from './menuItemCost.js';
+import { getUnitCostsForOrderLines } from './menuItemCost.js';
 
 /**
  * Congela unit_cost y promotion_group_cost de una comanda con los costos vigentes
@@ -8,7 +8,7 @@ import { getUnitCostsForMenuItemIds } from './menuItemCost.js';
  */
 export async function snapshotCostsForOrder(client, orderId) {
   const itemsResult = await client.query(
-    `SELECT id, menu_item_id, quantity, promotion_group_id
+    `SELECT id, menu_item_id, quantity, promotion_group_id, modifiers
      FROM order_items
      WHERE order_id = $1`,
     [orderId],
@@ -16,14 +16,16 @@ export async function snapshotCostsForOrder(client, orderId) {
   const rows = itemsResult.rows;
   if (rows.length === 0) return;
 
-  const menuIds = rows.map((r) => r.menu_item_id);
-  const unitCostMap = await getUnitCostsForMenuItemIds(menuIds);
+  const unitCosts = await getUnitCostsForOrderLines(
+    rows.map((r) => ({ menuItemId: r.menu_item_id, modifiers: r.modifiers })),
+  );
+  const unitCostByRow = new Map(rows.map((r, i) => [r, unitCosts[i]]));
 
   const promotionGroupCostMap = new Map();
   for (const row of rows) {
     if (!row.promotion_group_id) continue;
     const qty = Math.max(1, Math.floor(Number(row.quantity) || 1));
-    const unitCost = unitCostMap.get(row.menu_item_id) ?? 0;
+    const unitCost = unitCostByRow.get(row) ?? 0;
     const prev = promotionGroupCostMap.get(row.promotion_group_id) ?? 0;
     promotionGroupCostMap.set(
       row.promotion_group_id,
@@ -32,7 +34,7 @@ export async function snapshotCostsForOrder(client, orderId) {
   }
 
   for (const row of rows) {
-    const unitCost = unitCostMap.get(row.menu_item_id) ?? null;
+    const unitCost = unitCostByRow.get(row) ?? null;
     const promotionGroupCost = row.promotion_group_id
       ? promotionGroupCostMap.get(row.promotion_group_id) ?? null
       : null;
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+
+const TENDER_METHODS = ['efectivo', 'mercadopago'];
+
+function paymentsError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Valida los medios de pago de una comanda (pago dividido) contra su total.
+ * @param {unknown} payments [{ method, amount, mercadoPagoAccountId? }]
+ * @param {number} total
+ * @returns {{ method: string; amount: number; mercadoPagoAccountId: string | null }[]}
+ */
+export function normalizeOrderPayments(payments, total) {
+  if (!Array.isArray(payments)) {
+    throw paymentsError('payments debe ser un arreglo');
+  }
+  const normalized = payments.map((p) => {
+    const method = p?.method;
+    if (!TENDER_METHODS.includes(method)) {
+      throw paymentsError('Medio de pago inválido');
+    }
+    const amount = Number(p.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw paymentsError('Monto de pago inválido');
+    }
+    if (method === 'mercadopago' && !p.mercadoPagoAccountId) {
+      throw paymentsError('mercadoPagoAccountId requerido para Mercado Pago');
+    }
+    return {
+      method,
+      amount,
+      mercadoPagoAccountId:
+        method === 'mercadopago' ? String(p.mercadoPagoAccountId) : null,
+    };
+  });
+  const sum = normalized.reduce((s, p) => s + p.amount, 0);
+  if (Math.abs(sum - Number(total)) > 0.02) {
+    throw paymentsError('La suma de los pagos no coincide con el total');
+  }
+  return normalized;
+}
+
+/**
+ * Medio de pago resumido para `orders.payment_method`: el de los pagos si es
+ * uno solo, `mixto` si hay varios.
+ */
+export function summarizeOrderPaymentMethod(payments, fallbackMethod) {
+  const methods = new Set(payments.map((p) => p.method));
+  const accounts = new Set(
+    payments.filter((p) => p.method === 'mercadopago').map((p) => p.mercadoPagoAccountId),
+  );
+  if (methods.size === 0) {
+    return { paymentMethod: fallbackMethod, mercadoPagoAccountId: null };
+  }
+  if (methods.size > 1 || accounts.size > 1) {
+    return { paymentMethod: 'mixto', mercadoPagoAccountId: null };
+  }
+  const [method] = methods;
+  return {
+    paymentMethod: method,
+    mercadoPagoAccountId: method === 'mercadopago' ? [...accounts][0] ?? null : null,
+  };
+}
+
+async function assertTenderAccountsExist(client, payments) {
+  const ids = [
+    ...new Set(
+      payments.map((p) => p.mercadoPagoAccountId).filter(Boolean),
+    ),
+  ];
+  if (ids.length === 0) return;
+  const result = await client.query(
+    "SELECT id FROM mercado_pago_accounts WHERE id = ANY($1::text[]) AND id != 'efectivo'",
+    [ids],
+  );
+  if (result.rows.length !== ids.length) {
+    throw paymentsError('Cuenta de Mercado Pago no encontrada');
+  }
+}
+
+/**
+ * Reemplaza los pagos de una comanda y actualiza su medio de pago resumido.
+ * @param {import('pg').PoolClient} client
+ * @param {string} orderId
+ * @param {{ method: string; amount: number; mercadoPagoAccountId: string | null }[]} payments
+ * @param {string | null | undefined} userId
+ */
+export async function replaceOrderPayments(client, orderId, payments, userId) {
+  await assertTenderAccountsExist(client, payments);
+  await client.query('DELETE FROM order_payments WHERE order_id = $1', [
+    orderId,
+  ]);
+  for (const p of payments) {
+    await client.query(
+      `INSERT INTO order_payments (id, order_id, method, amount, mercado_pago_account_id, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        crypto.randomUUID(),
+        orderId,
+        p.method,
+        p.amount,
+        p.mercadoPagoAccountId,
+        userId ?? null,
+      ],
+    );
+  }
+  if (payments.length > 0) {
+    const summary = summarizeOrderPaymentMethod(payments);
+    await client.query(
+      `UPDATE orders
+       SET payment_method = $1, mercado_pago_account_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [summary.paymentMethod, summary.mercadoPagoAccountId, orderId],
+    );
+  }
+}
@@ -0,0 +1,417 @@
+import { DEFAULT_CUP_TYPE_ID, getCupPrice, getCupTypes } from './cupPrice.js';
+import {
+  modifiersPriceDelta,
+  resolveOrderItemModifiers,
+} from './menuModifiers.js';
+
+function pricingError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Suma de líneas de una comanda: cada grupo de promoción cuenta una vez a su
+ * `promotionPrice`; el resto a `promotionUnitPrice` o `menuItem.price` × cantidad.
+ * Las opciones elegidas (`modifiers`) suman su `priceDelta` × cantidad en
+ * todas las líneas, también dentro de una promoción.
+ */
+export function computeOrderItemsSubtotal(items) {
+  const countedPromoGroups = new Set();
+  let sum = 0;
+  for (const item of items) {
+    if (!item?.menuItem?.id || item.quantity == null) continue;
+    const qty = Math.floor(Number(item.quantity));
+    if (!Number.isFinite(qty) || qty <= 0) continue;
+    sum += modifiersPriceDelta(item.modifiers) * qty;
+
+    const groupId = item.promotionGroupId;
+    if (groupId) {
+      if (countedPromoGroups.has(groupId)) continue;
+      countedPromoGroups.add(groupId);
+      const promoPrice =
+        item.promotionPrice != null && item.promotionPrice !== ''
+          ? Number(item.promotionPrice)
+          : null;
+      if (promoPrice != null && Number.isFinite(promoPrice)) {
+        sum += promoPrice;
+        continue;
+      }
+    }
+
+    const unitPrice =
+      item.promotionUnitPrice != null && item.promotionUnitPrice !== ''
+        ? Number(item.promotionUnitPrice)
+        : Number(item.menuItem.price);
+    if (!Number.isFinite(unitPrice)) continue;
+    sum += unitPrice * qty;
+  }
+  return sum;
+}
+
+async function loadMenuItems(client, menuItemIds) {
+  const unique = [...new Set(menuItemIds)];
+  const result = await client.query(
+    `SELECT id, name, description, price, category, type, available, modifier_groups
+     FROM menu_items WHERE id = ANY($1::text[])`,
+    [unique],
+  );
+  return new Map(result.rows.map((r) => [r.id, r]));
+}
+
+async function loadPromotions(client, promotionIds) {
+  const unique = [...new Set(promotionIds)];
+  if (unique.length === 0) return new Map();
+  const result = await client.query(
+    `SELECT
+       p.id, p.name, p.price, p.active,
+       (SELECT COALESCE(json_agg(json_build_object(
+          'menuItemId', pi.menu_item_id,
+          'quantity', pi.quantity
+        )), '[]'::json)
+        FROM promotion_items pi WHERE pi.promotion_id = p.id) AS items_json
+     FROM promotions p
+     WHERE p.id = ANY($1::text[])`,
+    [unique],
+  );
+  return new Map(result.rows.map((r) => [r.id, r]));
+}
+
+export async function loadDiscountPreset(client, presetId) {
+  const result = await client.query(
+    `SELECT
+       dp.id, dp.name, dp.percent,
+       (SELECT COALESCE(json_agg(dpm.menu_item_id), '[]'::json)
+        FROM discount_preset_menu_items dpm
+        WHERE dpm.discount_preset_id = dp.id) AS menu_item_ids_json
+     FROM discount_presets dp
+     WHERE dp.id = $1`,
+    [presetId],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Descuento de un preset sobre las líneas de la comanda (mismo formato que
+ * `computeOrderItemsSubtotal`). Los combos ya tienen precio promocional: el
+ * descuento aplica a líneas sueltas de los productos del preset (o todas si
+ * no tiene productos).
+ */
+export function computePresetDiscount(preset, items) {
+  const scopedIds = new Set((preset.menu_item_ids_json || []).map(String));
+  const eligibleSubtotal = items
+    .filter(
+      (item) =>
+        !item.promotionGroupId &&
+        (scopedIds.size === 0 || scopedIds.has(String(item.menuItem.id))),
+    )
+    .reduce(
+      (sum, item) =>
+        sum +
+        (Number(item.menuItem.price) + modifiersPriceDelta(item.modifiers)) *
+          item.quantity,
+      0,
+    );
+  return {
+    amount: roundMoney((eligibleSubtotal * Number(preset.percent)) / 100),
+    eligibleSubtotal,
+  };
+}
+
+/**
+ * Total de la comanda: el descuento sólo rebaja los productos; el depósito de
+ * los vasos se cobra completo porque se reintegra al devolverlos.
+ */
+export function computeOrderTotal(itemsSubtotal, discount, cupsAmount) {
+  return roundMoney(Math.max(0, itemsSubtotal - discount) + cupsAmount);
+}
+
+/**
+ * Verifica que las líneas de un grupo coincidan exactamente con la composición
+ * de la promoción (mismos productos y cantidades).
+ */
+function assertPromotionGroupMatches(promotion, groupLines) {
+  const expected = new Map();
+  for (const it of promotion.items_json || []) {
+    expected.set(String(it.menuItemId), Number(it.quantity));
+  }
+  const actual = new Map();
+  for (const line of groupLines) {
+    actual.set(line.menuItemId, (actual.get(line.menuItemId) ?? 0) + line.qty);
+  }
+  const matches =
+    expected.size === actual.size &&
+    [...expected].every(([id, qty]) => actual.get(id) === qty);
+  if (!matches) {
+    throw pricingError(
+      `Los productos no coinciden con la promoción "${promotion.name}"`,
+    );
+  }
+}
+
+/**
+ * Envases entregados por tipo: `cups: [{ cupTypeId, quantity }]` o, como
+ * hasta ahora, `cupsDelivered` (vasos del tipo por defecto). Agrupa por tipo
+ * y descarta cantidades en 0.
+ * @param {{ cups?: any; cupsDelivered?: number | string | null }} input
+ * @returns {{ cupTypeId: string; quantity: number }[]}
+ */
+export function normalizeCupsInput({ cups, cupsDelivered }) {
+  const byType = new Map();
+  const add = (cupTypeId, rawQty) => {
+    const quantity = Number(rawQty);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw pricingError('Cantidad de vasos inválida');
+    }
+    byType.set(cupTypeId, (byType.get(cupTypeId) ?? 0) + quantity);
+  };
+  if (cups != null) {
+    if (!Array.isArray(cups)) {
+      throw pricingError('cups debe ser una lista');
+    }
+    for (const line of cups) {
+      add(String(line?.cupTypeId || DEFAULT_CUP_TYPE_ID), line?.quantity);
+    }
+  } else if (cupsDelivered != null && cupsDelivered !== '') {
+    add(DEFAULT_CUP_TYPE_ID, Math.max(0, Math.floor(Number(cupsDelivered) || 0)));
+  }
+  return [...byType.entries()]
+    .filter(([, quantity]) => quantity > 0)
+    .map(([cupTypeId, quantity]) => ({ cupTypeId, quantity }));
+}
+
+/**
+ * Recalcula precios de una comanda con los datos vigentes en la base: precio de
+ * cada producto, precio de cada grupo de promoción y descuento predefinido.
+ * Lo que manda el cliente sólo se usa para identificar productos, cantidades,
+ * grupos, opciones elegidas (`modifiers: [{ optionId }]`) y notas.
+ *
+ * @param {import('pg').Pool | import('pg').PoolClient} client
+ * @param {{
+ *   items: any[];
+ *   cups?: { cupTypeId: string; quantity: number }[];
+ *   cupsDelivered?: number;
+ *   discount?: number | string | null;
+ *   discountReason?: string | null;
+ *   discountPresetId?: string | null;
+ * }} input
+ * @returns {Promise<{ items: any[]; total: number; discount: number | null; discountReason: string | null; discountPresetId: string | null; breakdown: object }>}
+ */
+export async function priceOrder(client, input) {
+  const { items, discountReason, discountPresetId } = input;
+  const cupLines = normalizeCupsInput(input);
+
+  for (const item of items) {
+    if (!item?.menuItem?.id || item.quantity == null) {
+      throw pricingError('Ítem de pedido inválido');
+    }
+    const qty = Math.floor(Number(item.quantity));
+    if (!Number.isFinite(qty) || qty <= 0) {
+      throw pricingError('Cantidad de ítem inválida');
+    }
+  }
+
+  const menuById = await loadMenuItems(
+    client,
+    items.map((item) => String(item.menuItem.id)),
+  );
+  const promotionsById = await loadPromotions(
+    client,
+    items
+      .filter((item) => item.promotionGroupId)
+      .map((item) => String(item.promotionId || '')),
+  );
+
+  const lines = [];
+  for (const item of items) {
+    const menuItemId = String(item.menuItem.id);
+    const menu = menuById.get(menuItemId);
+    if (!menu) {
+      throw pricingError(`Producto no encontrado (id: ${menuItemId})`);
+    }
+    if (!Number(menu.available)) {
+      throw pricingError(`"${menu.name}" no está disponible`);
+    }
+    lines.push({
+      source: item,
+      menu,
+      modifiers: resolveOrderItemModifiers(menu, item.modifiers),
+      menuItemId,
+      qty: Math.floor(Number(item.quantity)),
+      promotionGroupId: item.promotionGroupId
+        ? String(item.promotionGroupId)
+        : null,
+    });
+  }
+
+  const groups = new Map();
+  for (const line of lines) {
+    if (!line.promotionGroupId) continue;
+    const group = groups.get(line.promotionGroupId) ?? [];
+    group.push(line);
+    groups.set(line.promotionGroupId, group);
+  }
+
+  const promotionsBreakdown = [];
+  const unitPriceByLine = new Map();
+  for (const [groupId, groupLines] of groups) {
+    const promotionIds = new Set(
+      groupLines.map((line) => String(line.source.promotionId || '')),
+    );
+    const promotion =
+      promotionIds.size === 1 ? promotionsById.get([...promotionIds][0]) : null;
+    if (!promotion) {
+      throw pricingError('Promoción inválida en la comanda');
+    }
+    if (!Number(promotion.active)) {
+      throw pricingError(`La promoción "${promotion.name}" no está activa`);
+    }
+    assertPromotionGroupMatches(promotion, groupLines);
+
+    const price = Number(promotion.price);
+    const listPrice = groupLines.reduce(
+      (sum, line) => sum + Number(line.menu.price) * line.qty,
+      0,
+    );
+    for (const line of groupLines) {
+      // Reparte el precio del combo en proporción al precio de lista.
+      const share =
+        listPrice > 0
+          ? (Number(line.menu.price) / listPrice) * price
+          : price / groupLines.reduce((s, l) => s + l.qty, 0);
+      unitPriceByLine.set(line, roundMoney(share));
+    }
+    promotionsBreakdown.push({
+      promotionGroupId: groupId,
+      promotionId: promotion.id,
+      name: promotion.name,
+      price,
+      listPrice,
+    });
+  }
+
+  const pricedItems = lines.map((line) => {
+    const promotion = line.promotionGroupId
+      ? promotionsById.get(String(line.source.promotionId))
+      : null;
+    return {
+      menuItem: {
+        id: line.menu.id,
+        name: line.menu.name,
+        description: line.menu.description,
+        price: Number(line.menu.price),
+        category: line.menu.category,
+        type: line.menu.type,
+      },
+      quantity: line.qty,
+      notes: line.source.notes || undefined,
+      modifiers: line.modifiers.length > 0 ? line.modifiers : undefined,
+      promotionId: promotion ? promotion.id : undefined,
+      promotionGroupId: line.promotionGroupId || undefined,
+      promotionName: promotion ? promotion.name : undefined,
+      promotionPrice: promotion ? Number(promotion.price) : undefined,
+      promotionUnitPrice: promotion ? unitPriceByLine.get(line) : undefined,
+    };
+  });
+
+  const itemsSubtotal = roundMoney(computeOrderItemsSubtotal(pricedItems));
+  // Cada tipo de envase a su depósito vigente; solo se entregan tipos activos.
+  const cupTypes = await getCupTypes();
+  const cups = cupLines.map((line) => {
+    const type = cupTypes.find((t) => t.id === line.cupTypeId);
+    if (!type) {
+      throw pricingError('Tipo de envase no encontrado');
+    }
+    if (!type.active) {
+      throw pricingError(`El envase "${type.name}" no está activo`);
+    }
+    return {
+      cupTypeId: type.id,
+      name: type.name,
+      quantity: line.quantity,
+      price: type.price,
+      amount: roundMoney(type.price * line.quantity),
+    };
+  });
+  const cupsDelivered = cups.reduce((sum, c) => sum + c.quantity, 0);
+  const cupPrice = await getCupPrice();
+  const cupsAmount = roundMoney(cups.reduce((sum, c) => sum + c.amount, 0));
+
+  let discountAmount = 0;
+  let finalDiscountReason =
+    discountReason != null && String(discountReason).trim()
+      ? String(discountReason).trim()
+      : null;
+  let presetBreakdown;
+  if (discountPresetId) {
+    const preset = await loadDiscountPreset(client, String(discountPresetId));
+    if (!preset) {
+      throw pricingError('Descuento no encontrado');
+    }
+    const presetDiscount = computePresetDiscount(preset, pricedItems);
+    const { eligibleSubtotal } = presetDiscount;
+    discountAmount = presetDiscount.amount;
+    finalDiscountReason = finalDiscountReason ?? preset.name;
+    presetBreakdown = {
+      id: preset.id,
+      name: preset.name,
+      percent: Number(preset.percent),
+      eligibleSubtotal,
+    };
+  } else if (input.discount != null && input.discount !== '') {
+    discountAmount = Number(input.discount);
+    if (!Number.isFinite(discountAmount) || discountAmount < 0) {
+      throw pricingError('discount inválido');
+    }
+    // El descuento manual sólo rebaja lo consumido: el depósito de los vasos
+    // se reintegra al devolverlos y no se descuenta.
+    if (discountAmount > itemsSubtotal + 0.005) {
+      throw pricingError('El descuento no puede superar el subtotal de los productos');
+    }
+    if (discountAmount > 0 && !finalDiscountReason) {
+      throw pricingError('El motivo del descuento es requerido');
+    }
+  }
+
+  const total = computeOrderTotal(itemsSubtotal, discountAmount, cupsAmount);
+
+  return {
+    items: pricedItems,
+    total,
+    discount: discountAmount > 0 ? discountAmount : null,
+    discountReason: discountAmount > 0 ? finalDiscountReason : null,
+    discountPresetId: discountAmount > 0 && presetBreakdown ? presetBreakdown.id : null,
+    breakdown: {
+      lines: pricedItems.map((item) => ({
+        menuItemId: item.menuItem.id,
+        name: item.menuItem.name,
+        quantity: item.quantity,
+        unitPrice: item.menuItem.price,
+        promotionGroupId: item.promotionGroupId,
+        promotionUnitPrice: item.promotionUnitPrice,
+        modifiers: item.modifiers?.map((m) => ({
+          optionId: m.optionId,
+          name: m.name,
+          priceDelta: m.priceDelta,
+        })),
+        modifiersPriceDelta: modifiersPriceDelta(item.modifiers),
+      })),
+      promotions: promotionsBreakdown,
+      itemsSubtotal,
+      cupsDelivered,
+      cupPrice,
+      cups,
+      cupsAmount,
+      discount: {
+        amount: discountAmount,
+        reason: discountAmount > 0 ? finalDiscountReason : undefined,
+        preset: presetBreakdown,
+      },
+      total,
+    },
+  };
+}
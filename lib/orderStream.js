@@ -0,0 +1,54 @@
+/**
+ * Difusión en memoria de cambios de comandas para las pantallas de cocina/barra
+ * (Server-Sent Events). Los suscriptores viven en este proceso.
+ */
+
+const subscribers = new Set();
+let lastEventId = 0;
+
+/**
+ * Eventos que llegan aunque la comanda quede sin líneas del `type`: la pantalla
+ * tiene que sacar las líneas quitadas (o la comanda borrada) que ya mostraba.
+ */
+const ALWAYS_SENT_EVENTS = new Set(['order.items_changed', 'order.deleted']);
+
+/**
+ * @param {{ type?: 'comida' | 'bebida'; cashRegisterId?: string }} filters
+ * @param {(event: { id: number; name: string; data: object }) => void} send
+ * @returns {() => void} Cancela la suscripción.
+ */
+export function subscribeOrderStream(filters, send) {
+  const subscriber = { filters, send };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+}
+
+/**
+ * Publica un evento con la comanda formateada. A cada suscriptor le llegan sólo
+ * las líneas de su `type`; si no tiene ninguna, no recibe el evento, salvo
+ * `order.items_changed` y `order.deleted`, que llegan con `items: []`.
+ * @param {string} name p. ej. `order.created`
+ * @param {object} order Comanda en formato API (`formatOrder`).
+ * @param {object} [extra] Campos adicionales del evento (p. ej. `itemId`); si
+ *   trae `itemType`, el evento sólo llega a los suscriptores de ese tipo.
+ */
+export function publishOrderEvent(name, order, extra = {}) {
+  if (!order || subscribers.size === 0) return;
+  const id = ++lastEventId;
+  for (const { filters, send } of subscribers) {
+    if (filters.cashRegisterId && order.cashRegisterId !== filters.cashRegisterId) {
+      continue;
+    }
+    let items = order.items;
+    if (filters.type) {
+      if (extra.itemType && extra.itemType !== filters.type) continue;
+      items = items.filter((item) => item.menuItem?.type === filters.type);
+      if (items.length === 0 && !ALWAYS_SENT_EVENTS.has(name)) continue;
+    }
+    try {
+      send({ id, name, data: { ...extra, order: { ...order, items } } });
+    } catch (e) {
+      console.error('Error sending order stream event:', e);
+    }
+  }
+}
@@ -0,0 +1,130 @@
+const PAGE_WIDTH = 595.28; // A4 en puntos
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 40;
+
+/** Las fuentes estándar de PDF usan WinAnsi: Latin-1 alcanza para castellano. */
+function toWinAnsi(text) {
+  return String(text ?? '')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+function escapePdfString(text) {
+  return text.replace(/[\\()]/g, (c) => `\\${c}`);
+}
+
+/**
+ * PDF mínimo de texto en Courier (ancho fijo, para alinear columnas como en
+ * los tickets) con salto de página automático.
+ */
+export class TextPdfBuilder {
+  constructor({ fontSize = 9 } = {}) {
+    this.fontSize = fontSize;
+    this.leading = fontSize * 1.35;
+    // Courier: cada carácter mide 0,6 × el tamaño de fuente.
+    this.columns = Math.floor((PAGE_WIDTH - MARGIN * 2) / (fontSize * 0.6));
+    this.linesPerPage = Math.floor((PAGE_HEIGHT - MARGIN * 2) / this.leading);
+    this.pages = [[]];
+  }
+
+  line(text = '', { bold = false } = {}) {
+    let page = this.pages[this.pages.length - 1];
+    if (page.length >= this.linesPerPage) {
+      page = [];
+      this.pages.push(page);
+    }
+    page.push({ text: toWinAnsi(text).slice(0, this.columns), bold });
+    return this;
+  }
+
+  /** Texto a izquierda y derecha en la misma línea. */
+  pair(left, right, options) {
+    const r = toWinAnsi(right);
+    const width = Math.max(1, this.columns - r.length - 1);
+    const l = toWinAnsi(left).slice(0, width);
+    return this.line(`${l.padEnd(width)} ${r}`, options);
+  }
+
+  /** Fila de columnas de ancho fijo; números (o `align: 'right'`) a la derecha. */
+  row(cells, widths, options) {
+    const text = cells
+      .map((cell, i) => {
+        const value = toWinAnsi(cell).slice(0, widths[i]);
+        return typeof cell === 'number' || options?.align === 'right'
+          ? value.padStart(widths[i])
+          : value.padEnd(widths[i]);
+      })
+      .join(' ');
+    return this.line(text, options);
+  }
+
+  separator(char = '-') {
+    return this.line(char.repeat(this.columns));
+  }
+
+  /** Título de sección: línea en blanco y texto en negrita. */
+  heading(text) {
+    const page = this.pages[this.pages.length - 1];
+    if (page.length > 0) this.line();
+    return this.line(text, { bold: true });
+  }
+
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const regularId = add(
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    );
+    const boldId = add(
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+    );
+
+    const pageIds = this.pages.map((lines) => {
+      const top = PAGE_HEIGHT - MARGIN - this.fontSize;
+      const ops = [
+        'BT',
+        `${this.leading.toFixed(2)} TL`,
+        `${MARGIN} ${top.toFixed(2)} Td`,
+      ];
+      let bold = null;
+      for (const l of lines) {
+        if (l.bold !== bold) {
+          ops.push(`/${l.bold ? 'F2' : 'F1'} ${this.fontSize} Tf`);
+          bold = l.bold;
+        }
+        ops.push(`(${escapePdfString(l.text)}) Tj T*`);
+      }
+      ops.push('ET');
+      const stream = ops.join('\n');
+      const contentId = add(
+        `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`,
+      );
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`,
+      );
+    });
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] =
+      `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let out = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const offset = Buffer.byteLength(out, 'latin1');
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xrefOffset = Buffer.byteLength(out, 'latin1');
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    for (const offset of offsets) {
+      out += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    }
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(out, 'latin1');
+  }
+}
@@ -0,0 +1,149 @@
+import net from 'net';
+import fs from 'fs/promises';
+import path from 'path';
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const DEFAULT_PORT = 9100;
+const SEND_TIMEOUT_MS = 5_000;
+
+/** Columnas por línea (Font A): 48 en 80 mm, 32 en 58 mm. */
+export function getPrinterColumns() {
+  const n = Number(process.env.PRINTER_COLUMNS);
+  return Number.isInteger(n) && n >= 24 ? n : 48;
+}
+
+/**
+ * Las impresoras térmicas no traen UTF-8: se imprime ASCII sin tildes.
+ */
+function toPrintable(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[¡¿]/g, '')
+    .replace(/[^\x20-\x7e\n]/g, '?');
+}
+
+/**
+ * Armado mínimo de un ticket ESC/POS.
+ */
+export class EscPosBuilder {
+  constructor(columns = getPrinterColumns()) {
+    this.columns = columns;
+    this.chunks = [Buffer.from([ESC, 0x40])];
+  }
+
+  raw(bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  align(where) {
+    const n = where === 'center' ? 1 : where === 'right' ? 2 : 0;
+    return this.raw([ESC, 0x61, n]);
+  }
+
+  bold(on = true) {
+    return this.raw([ESC, 0x45, on ? 1 : 0]);
+  }
+
+  /** Doble alto y ancho (títulos). */
+  large(on = true) {
+    return this.raw([GS, 0x21, on ? 0x11 : 0x00]);
+  }
+
+  line(text = '') {
+    this.chunks.push(Buffer.from(`${toPrintable(text)}\n`, 'latin1'));
+    return this;
+  }
+
+  /** Texto a izquierda y derecha en la misma línea (ítem y monto). */
+  pair(left, right) {
+    const r = toPrintable(right);
+    const width = Math.max(1, this.columns - r.length - 1);
+    let l = toPrintable(left);
+    if (l.length > width) l = l.slice(0, width);
+    return this.line(`${l.padEnd(width)} ${r}`);
+  }
+
+  separator(char = '-') {
+    return this.line(char.repeat(this.columns));
+  }
+
+  feed(lines = 1) {
+    return this.raw([ESC, 0x64, lines]);
+  }
+
+  cut() {
+    return this.feed(3).raw([GS, 0x56, 0x00]);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * Destino de impresión según env. `target` = 'kitchen' usa `KITCHEN_PRINTER_HOST`
+ * si está definido; si no, la impresora general. `PRINTER_SPOOL_DIR` guarda los
+ * tickets como archivos en vez de mandarlos por red.
+ * @returns {{ kind: 'tcp'; host: string; port: number } | { kind: 'spool'; dir: string } | null}
+ */
+export function getPrinterDestination(target = 'default') {
+  const host =
+    (target === 'kitchen' && process.env.KITCHEN_PRINTER_HOST) ||
+    process.env.PRINTER_HOST;
+  if (host) {
+    const port = Number(
+      (target === 'kitchen' && process.env.KITCHEN_PRINTER_PORT) ||
+        process.env.PRINTER_PORT,
+    );
+    return {
+      kind: 'tcp',
+      host,
+      port: Number.isInteger(port) && port > 0 ? port : DEFAULT_PORT,
+    };
+  }
+  if (process.env.PRINTER_SPOOL_DIR) {
+    return { kind: 'spool', dir: process.env.PRINTER_SPOOL_DIR };
+  }
+  return null;
+}
+
+function sendTcp(host, port, data) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(SEND_TIMEOUT_MS);
+    socket.once('connect', () => socket.end(data));
+    socket.once('timeout', () => {
+      socket.destroy(new Error('Tiempo de espera agotado con la impresora'));
+    });
+    socket.once('error', reject);
+    socket.once('close', (hadError) => {
+      if (!hadError) resolve();
+    });
+  });
+}
+
+/**
+ * Envía un ticket ya armado (raw TCP 9100 o archivo en el spool).
+ * @param {Buffer} data
+ * @param {{ target?: 'default' | 'kitchen'; name: string }} options `name` se usa para el archivo del spool.
+ */
+export async function printTicket(data, { target = 'default', name }) {
+  const destination = getPrinterDestination(target);
+  if (!destination) {
+    const err = new Error('No hay impresora configurada');
+    err.statusCode = 503;
+    throw err;
+  }
+  if (destination.kind === 'tcp') {
+    await sendTcp(destination.host, destination.port, data);
+    return { destination: `${destination.host}:${destination.port}` };
+  }
+  await fs.mkdir(destination.dir, { recursive: true });
+  const safeName = String(name).replace(/[^a-zA-Z0-9_-]+/g, '_');
+  const file = path.join(destination.dir, `${Date.now()}-${safeName}.bin`);
+  await fs.writeFile(file, data);
+  return { destination: file };
+}
@@ -0,0 +1,280 @@
+import { EscPosBuilder } from './printer.js';
+import { computeOrderItemsSubtotal } from './orderPricing.js';
+import { DEFAULT_CUP_TYPE_ID } from './cupPrice.js';
+import { modifiersKey, modifiersPriceDelta } from './menuModifiers.js';
+
+const moneyFormat = new Intl.NumberFormat('es-AR', {
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 2,
+});
+
+function money(value) {
+  const n = Number(value) || 0;
+  return `${n < 0 ? '-' : ''}$${moneyFormat.format(Math.abs(n))}`;
+}
+
+function dateTime(value) {
+  const d = value ? new Date(value) : new Date();
+  return d.toLocaleString('es-AR', {
+    timeZone: process.env.TZ || 'America/Argentina/Buenos_Aires',
+    day: '2-digit',
+    month: '2-digit',
+    year: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+}
+
+const PAYMENT_LABELS = {
+  efectivo: 'Efectivo',
+  mercadopago: 'Mercado Pago',
+  mixto: 'Mixto',
+  cuenta_abierta: 'Cuenta abierta',
+};
+
+function header(ticket, title, { reprint }) {
+  ticket.align('center').bold().large().line(title).large(false).bold(false);
+  if (reprint) ticket.line('*** REIMPRESION ***');
+  return ticket.align('left');
+}
+
+function modifierLines(ticket, modifiers, indent) {
+  for (const m of modifiers ?? []) ticket.line(`${indent}+ ${m.name}`);
+}
+
+/**
+ * Ticket de cocina: sólo las líneas `comida` de la comanda, agrupadas por
+ * ítem, opciones y nota (comida se guarda una fila por unidad).
+ * @param {object} order Comanda en formato API (`formatOrder`).
+ * @returns {Buffer | null} `null` si la comanda no tiene comida.
+ */
+export function renderKitchenTicket(order, { reprint = false } = {}) {
+  const lines = new Map();
+  for (const item of order.items) {
+    if (item.menuItem?.type !== 'comida') continue;
+    const key = [
+      item.menuItem.id,
+      modifiersKey(item.modifiers),
+      item.notes ?? '',
+    ].join('\u0000');
+    const line = lines.get(key);
+    if (line) line.quantity += Number(item.quantity) || 0;
+    else {
+      lines.set(key, {
+        name: item.menuItem.name,
+        modifiers: item.modifiers,
+        notes: item.notes,
+        quantity: Number(item.quantity) || 0,
+      });
+    }
+  }
+  if (lines.size === 0) return null;
+
+  const ticket = header(new EscPosBuilder(), 'COCINA', { reprint });
+  ticket.align('center').large().line(order.id).large(false).align('left');
+  ticket.line(order.customerName);
+  ticket.line(dateTime(order.createdAt));
+  ticket.separator();
+  ticket.bold();
+  for (const line of lines.values()) {
+    ticket.line(`${line.quantity} x ${line.name}`);
+    modifierLines(ticket, line.modifiers, '   ');
+    if (line.notes) ticket.bold(false).line(`   > ${line.notes}`).bold();
+  }
+  ticket.bold(false);
+  if (order.notes) {
+    ticket.separator().line(`Nota: ${order.notes}`);
+  }
+  return ticket.cut().toBuffer();
+}
+
+/**
+ * Comprobante para el cliente con promociones, vasos, descuento y pagos.
+ * @param {object} order Comanda en formato API (`formatOrder`).
+ */
+export function renderCustomerReceipt(order, { reprint = false } = {}) {
+  const ticket = header(new EscPosBuilder(), 'TERZO POSTO', { reprint });
+  ticket.pair(`Comanda ${order.id}`, dateTime(order.createdAt));
+  ticket.line(order.customerName);
+  if (order.status === 'cancelled') {
+    ticket.bold().line('COMANDA ANULADA').bold(false);
+  }
+  ticket.separator();
+
+  // Comida viene una fila por unidad: se juntan las filas de igual ítem y precio.
+  const lines = new Map();
+  const promoGroups = new Map();
+  for (const item of order.items) {
+    if (item.promotionGroupId) {
+      const group = promoGroups.get(item.promotionGroupId);
+      if (group) group.items.push(item);
+      else {
+        promoGroups.set(item.promotionGroupId, { first: item, items: [item] });
+      }
+      continue;
+    }
+    const key = [
+      item.menuItem.id,
+      item.menuItem.price,
+      modifiersKey(item.modifiers),
+    ].join('\u0000');
+    const line = lines.get(key);
+    const quantity = Number(item.quantity) || 0;
+    if (line) line.quantity += quantity;
+    else {
+      lines.set(key, {
+        name: item.menuItem.name,
+        price:
+          Number(item.menuItem.price) + modifiersPriceDelta(item.modifiers),
+        modifiers: item.modifiers,
+        quantity,
+      });
+    }
+  }
+  for (const line of lines.values()) {
+    ticket.pair(
+      `${line.quantity} x ${line.name}`,
+      money(line.price * line.quantity),
+    );
+    modifierLines(ticket, line.modifiers, '    ');
+  }
+  for (const { first, items } of promoGroups.values()) {
+    const price = items.reduce(
+      (sum, i) =>
+        sum +
+        ((first.promotionPrice == null ? (i.promotionUnitPrice ?? 0) : 0) +
+          modifiersPriceDelta(i.modifiers)) *
+          (Number(i.quantity) || 0),
+      first.promotionPrice ?? 0,
+    );
+    ticket.pair(`Promo ${first.promotionName ?? ''}`.trim(), money(price));
+    for (const item of items) {
+      ticket.line(`  ${item.quantity} x ${item.menuItem.name}`);
+      modifierLines(ticket, item.modifiers, '    ');
+    }
+  }
+
+  const subtotal = computeOrderItemsSubtotal(order.items);
+  const discount = Number(order.discount) || 0;
+  // El total guardado ya incluye los vasos entregados; se despejan por diferencia.
+  const cupsAmount =
+    Math.round((order.total + discount - subtotal) * 100) / 100;
+
+  ticket.separator();
+  ticket.pair('Subtotal', money(subtotal));
+  if (order.cups?.length > 1) {
+    for (const cup of order.cups) {
+      ticket.pair(`${cup.name ?? 'Envase'} (${cup.quantity})`, money(cup.amount));
+    }
+  } else if (order.cupsDelivered > 0 && cupsAmount !== 0) {
+    const cup = order.cups?.[0];
+    const label = cup && cup.cupTypeId !== DEFAULT_CUP_TYPE_ID ? cup.name : 'Vasos';
+    ticket.pair(`${label} (${order.cupsDelivered})`, money(cupsAmount));
+  }
+  if (discount > 0) {
+    const label = order.discountReason
+      ? `Descuento (${order.discountReason})`
+      : 'Descuento';
+    ticket.pair(label, money(-discount));
+  }
+  ticket.bold().pair('TOTAL', money(order.total)).bold(false);
+
+  if (order.payments?.length > 0) {
+    ticket.separator();
+    for (const p of order.payments) {
+      ticket.pair(PAYMENT_LABELS[p.method] ?? p.method, money(p.amount));
+    }
+  } else if (order.paymentMethod) {
+    ticket.line(
+      `Pago: ${PAYMENT_LABELS[order.paymentMethod] ?? order.paymentMethod}`,
+    );
+  }
+  ticket.feed(1).align('center').line('Gracias!');
+  return ticket.cut().toBuffer();
+}
+
+/**
+ * Resumen de cierre de caja a partir de `closing_data` (medios de pago con
+ * esperado/real y `cupsSummary`).
+ * @param {object} cashRegister Caja en formato API (`formatCashRegister`).
+ */
+export function renderCashRegisterCloseTicket(
+  cashRegister,
+  { reprint = false } = {},
+) {
+  const closing = cashRegister.closingData ?? {};
+  const ticket = header(new EscPosBuilder(), 'CIERRE DE CAJA', { reprint });
+  if (cashRegister.eventName) ticket.line(cashRegister.eventName);
+  if (cashRegister.pointOfSale) ticket.pair('Caja', cashRegister.pointOfSale);
+  const corrections = (cashRegister.revisions ?? []).filter(
+    (r) => r.action === 'reopened' || r.action === 'amended',
+  ).length;
+  if (corrections > 0) ticket.line(`Cierre corregido (${corrections})`);
+  ticket.pair('Fecha', String(cashRegister.date ?? ''));
+  ticket.pair('Apertura', dateTime(cashRegister.createdAt));
+  ticket.pair('Cierre', dateTime(cashRegister.closedAt));
+  if (cashRegister.startingCash != null) {
+    ticket.pair('Efectivo inicial', money(cashRegister.startingCash));
+  }
+
+  const payments = Array.isArray(closing.payments) ? closing.payments : [];
+  if (payments.length > 0) {
+    ticket.separator();
+    for (const p of payments) {
+      const label =
+        p.label || (p.method === 'efectivo' ? 'Efectivo' : 'Mercado Pago');
+      ticket.bold().line(label).bold(false);
+      if (p.expected != null) ticket.pair('  Esperado', money(p.expected));
+      ticket.pair('  Real', money(p.actual));
+      if (p.expected != null && p.actual != null) {
+        const difference = Number(p.actual) - Number(p.expected);
+        ticket.pair('  Diferencia', money(difference));
+      }
+    }
+  }
+  const movements = closing.cashMovements;
+  if (movements && (movements.ingresos || movements.retiros || movements.gastos)) {
+    ticket.separator();
+    ticket.bold().line('Movimientos de caja').bold(false);
+    ticket.pair('  Ingresos', money(movements.ingresos));
+    ticket.pair('  Retiros', money(-(movements.retiros || 0)));
+    ticket.pair('  Gastos', money(-(movements.gastos || 0)));
+  }
+  if (closing.totalActual != null && closing.totalActual !== '') {
+    ticket.separator();
+    ticket.bold().pair('TOTAL', money(closing.totalActual)).bold(false);
+  }
+
+  const cups = closing.cupsSummary;
+  if (cups) {
+    ticket.separator();
+    ticket.bold().line('Vasos').bold(false);
+    ticket.pair('  Entregados', String(cups.delivered ?? 0));
+    ticket.pair('  Devueltos', String(cups.returned ?? 0));
+    ticket.pair('  Sin devolver', String(cups.netNotReturned ?? 0));
+    ticket.pair('  Cobrado', money(cups.deliveryAmountTotal));
+    ticket.pair('  Reintegrado', money(cups.returnAmountTotal));
+    if (cups.fromOtherRegisters?.quantity) {
+      ticket.pair(
+        `  De otras cajas (${cups.fromOtherRegisters.quantity})`,
+        money(cups.fromOtherRegisters.amount),
+      );
+    }
+    if (cups.returnedElsewhere?.quantity) {
+      ticket.pair(
+        `  Devueltos en otras (${cups.returnedElsewhere.quantity})`,
+        money(cups.returnedElsewhere.amount),
+      );
+    }
+    if (cups.byType?.length > 1) {
+      for (const t of cups.byType) {
+        ticket.pair(`  ${t.name} ent/dev/sin`, `${t.delivered}/${t.returned}/${t.netNotReturned}`);
+      }
+    }
+  }
+  if (closing.notes) {
+    ticket.separator().line(`Notas: ${closing.notes}`);
+  }
+  return ticket.cut().toBuffer();
+}
@@ -2,9 +2,32 @@ import jwt from 'jsonwebtoken';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'terzo-posto-secret-key-change-in-production';
 
+/** Alcanza para abrir la conexión; el stream sigue abierto después de vencido. */
+const STREAM_TOKEN_TTL_SECONDS = 60;
+/**
+ * Server-Sent Events: `EventSource` no puede mandar headers, así que estas
+ * rutas aceptan un token de stream (corto, `scope: 'stream'`) en `?token=`.
+ */
+const STREAM_PATHS = new Set(['/api/orders/stream']);
+
+/** Token de corta duración para abrir un stream, con los mismos permisos del usuario. */
+export function signStreamToken(user) {
+  const { iat: _iat, exp: _exp, scope: _scope, ...payload } = user;
+  return {
+    token: jwt.sign({ ...payload, scope: 'stream' }, JWT_SECRET, {
+      expiresIn: STREAM_TOKEN_TTL_SECONDS,
+    }),
+    expiresIn: STREAM_TOKEN_TTL_SECONDS,
+  };
+}
+
 export const authenticateToken = (req, res, next) => {
+  const isStream = req.method === 'GET' && STREAM_PATHS.has(req.baseUrl + req.path);
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const headerToken = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const queryToken =
+    isStream && typeof req.query.token === 'string' ? req.query.token : undefined;
+  const token = headerToken || queryToken;
 
   if (!token) {
     return res.status(401).json({ error: 'Token de acceso requerido' });
@@ -14,6 +37,11 @@ export const authenticateToken = (req, res, next) => {
     if (err) {
       return res.status(401).json({ error: 'Token inválido o expirado' });
     }
+    // En la URL sólo tokens de stream (quedan en logs); y esos sólo abren streams.
+    const isStreamToken = user.scope === 'stream';
+    if ((!headerToken && !isStreamToken) || (isStreamToken && !isStream)) {
+      return res.status(401).json({ error: 'Token inválido o expirado' });
+    }
     req.user = user;
     next();
   });
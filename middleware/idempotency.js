@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import db from '../database.js';
+
+/** Tiempo durante el cual un reintento con la misma clave devuelve la respuesta guardada. */
+const KEY_TTL = '24 hours';
+/** Una clave sin respuesta más vieja que esto se considera abandonada (proceso caído). */
+const IN_PROGRESS_STALE = '60 seconds';
+/** Mientras el request corre, renueva la clave para que no parezca abandonada. */
+const HEARTBEAT_MS = 20_000;
+/** Cada cuánto se borran las claves vencidas (además del arranque, en database.js). */
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+setInterval(() => {
+  db.query(
+    `DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL '${KEY_TTL}'`,
+  ).catch((error) => {
+    console.error('Error purging idempotency keys:', error);
+  });
+}, PURGE_INTERVAL_MS).unref();
+
+function hashBody(body) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(body ?? null))
+    .digest('hex');
+}
+
+/**
+ * Soporte de `Idempotency-Key` para endpoints de creación. El primer request con
+ * una clave se procesa normalmente y, si responde 2xx, su respuesta queda
+ * guardada; los reintentos con la misma clave y el mismo cuerpo la reciben tal
+ * cual en vez de crear otra fila. Sin header, el request sigue sin cambios.
+ *
+ * La respuesta se guarda después de que el handler confirma su transacción,
+ * no dentro de ella: si el proceso se cae entre el COMMIT y ese guardado, la
+ * clave queda en curso y, pasados 60 segundos, un reintento vuelve a procesar
+ * el request (puede duplicarlo).
+ * @param {string} scope Identifica el endpoint (p. ej. `orders.create`).
+ */
+export function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    if (key.length > 255) {
+      return res.status(400).json({ error: 'Idempotency-Key inválida' });
+    }
+
+    const userId = req.user?.id ?? '';
+    const requestHash = hashBody(req.body);
+
+    try {
+      const inserted = await db.query(
+        `INSERT INTO idempotency_keys (scope, key, user_id, request_hash)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (scope, key, user_id) DO NOTHING`,
+        [scope, key, userId, requestHash],
+      );
+
+      if (inserted.rowCount === 0) {
+        const existing = (
+          await db.query(
+            `SELECT request_hash, status_code, response, created_at
+             FROM idempotency_keys
+             WHERE scope = $1 AND key = $2 AND user_id = $3`,
+            [scope, key, userId],
+          )
+        ).rows[0];
+        if (existing && existing.request_hash !== requestHash) {
+          return res.status(422).json({
+            error: 'La Idempotency-Key ya se usó con otros datos',
+          });
+        }
+        if (existing && existing.status_code != null) {
+          res.set('Idempotent-Replayed', 'true');
+          // Sin cuerpo guardado: la respuesta original no era JSON (p. ej. 204).
+          return existing.response == null
+            ? res.status(existing.status_code).end()
+            : res.status(existing.status_code).json(existing.response);
+        }
+        // Sólo un reintento se queda con una clave abandonada: la condición
+        // va en el UPDATE para que dos reintentos simultáneos no la tomen ambos.
+        const takenOver = await db.query(
+          `UPDATE idempotency_keys SET created_at = CURRENT_TIMESTAMP
+           WHERE scope = $1 AND key = $2 AND user_id = $3 AND request_hash = $4
+             AND status_code IS NULL
+             AND created_at < NOW() - INTERVAL '${IN_PROGRESS_STALE}'
+           RETURNING 1`,
+          [scope, key, userId, requestHash],
+        );
+        if (takenOver.rowCount === 0) {
+          return res.status(409).json({
+            error: 'Hay una solicitud en curso con esta Idempotency-Key',
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Error checking idempotency key:', error);
+      return res.status(500).json({ error: 'Error interno del servidor' });
+    }
+
+    const heartbeat = setInterval(() => {
+      db.query(
+        `UPDATE idempotency_keys SET created_at = CURRENT_TIMESTAMP
+         WHERE scope = $1 AND key = $2 AND user_id = $3 AND status_code IS NULL`,
+        [scope, key, userId],
+      ).catch((error) => {
+        console.error('Error renewing idempotency key:', error);
+      });
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+    res.on('close', () => clearInterval(heartbeat));
+
+    // Se cierra la clave al terminar la respuesta, salga por `res.json`,
+    // `res.send` o `res.end` (p. ej. un 204): `json` y `send` terminan en `end`.
+    let jsonBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      jsonBody = body;
+      return originalJson(body);
+    };
+    const originalEnd = res.end.bind(res);
+    res.end = (...args) => {
+      clearInterval(heartbeat);
+      const statusCode = res.statusCode;
+      const store =
+        statusCode >= 200 && statusCode < 300
+          ? db.query(
+              `UPDATE idempotency_keys SET status_code = $1, response = $2
+               WHERE scope = $3 AND key = $4 AND user_id = $5`,
+              [
+                statusCode,
+                jsonBody !== undefined ? JSON.stringify(jsonBody) : null,
+                scope,
+                key,
+                userId,
+              ],
+            )
+          : // Un error no se guarda: el reintento vuelve a procesarse.
+            db.query(
+              `DELETE FROM idempotency_keys
+               WHERE scope = $1 AND key = $2 AND user_id = $3`,
+              [scope, key, userId],
+            );
+      // La respuesta sale después de guardar la clave: un reintento que llegue
+      // después de recibirla ya encuentra la respuesta.
+      store
+        .catch((error) => {
+          console.error('Error saving idempotency key:', error);
+        })
+        .finally(() => originalEnd(...args));
+      return res;
+    };
+    next();
+  };
+}
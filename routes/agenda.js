@@ -1,6 +1,7 @@
 import crypto from 'crypto';
 import express from 'express';
 import db from '../database.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -372,7 +373,7 @@ router.get('/payments', async (_req, res) => {
   }
 });
 
-router.post('/payments', async (req, res) => {
+router.post('/payments', idempotent('agenda.payments'), async (req, res) => {
   const client = await db.connect();
   try {
     const p = req.body;
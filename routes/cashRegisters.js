@@ -1,6 +1,24 @@
 import express from "express";
 import db from "../database.js";
 import crypto from "crypto";
+import { printTicket } from "../lib/printer.js";
+import { renderCashRegisterCloseTicket } from "../lib/tickets.js";
+import {
+  computeExpectedClose,
+  reconcileClosingData,
+} from "../lib/cashRegisterClose.js";
+import {
+  getCashDenominations,
+  getCloseDifferenceThreshold,
+} from "../lib/cashRegisterSettings.js";
+import { countCash } from "../lib/cashCount.js";
+import {
+  buildCashRegisterReport,
+  renderReportCsv,
+  renderReportPdf,
+} from "../lib/cashRegisterReport.js";
+import { getShiftStaff } from "../lib/cashRegisterStaff.js";
+import { requireAdminMiddleware } from "../middleware/requirePermission.js";
 
 const router = express.Router();
 
@@ -16,42 +34,6 @@ async function assertMercadoPagoLiquidityAccount(client, mercadoPagoAccountId) {
   }
 }
 
-/**
- * Agregados de vasos retornables para una caja (cup_movements).
- * Si la tabla no existe aún, devuelve ceros.
- */
-async function getCupSummaryForCashRegister(client, cashRegisterId) {
-  try {
-    const r = await client.query(
-      `SELECT
-        COALESCE(SUM(CASE WHEN type = 'delivery' THEN quantity ELSE 0 END), 0)::int AS delivered,
-        COALESCE(SUM(CASE WHEN type = 'return' THEN quantity ELSE 0 END), 0)::int AS returned,
-        COALESCE(SUM(CASE WHEN type = 'delivery' THEN amount ELSE 0 END), 0)::float AS delivery_amount,
-        COALESCE(SUM(CASE WHEN type = 'return' THEN amount ELSE 0 END), 0)::float AS return_amount
-       FROM cup_movements WHERE cash_register_id = $1`,
-      [cashRegisterId],
-    );
-    const row = r.rows[0];
-    const delivered = Number(row.delivered) || 0;
-    const returned = Number(row.returned) || 0;
-    return {
-      delivered,
-      returned,
-      netNotReturned: Math.max(0, delivered - returned),
-      deliveryAmountTotal: Number(row.delivery_amount) || 0,
-      returnAmountTotal: Number(row.return_amount) || 0,
-    };
-  } catch {
-    return {
-      delivered: 0,
-      returned: 0,
-      netNotReturned: 0,
-      deliveryAmountTotal: 0,
-      returnAmountTotal: 0,
-    };
-  }
-}
-
 /**
  * Una transacción de ingreso por cada medio de pago del cierre (monto = actual neto).
  */
@@ -107,30 +89,46 @@ function formatCashRegister(row) {
   return {
     id: row.id,
     date: row.date,
+    pointOfSale: row.point_of_sale,
     mercadoPagoAccountId: row.mercado_pago_account_id,
     eventId: row.event_id || undefined,
     eventName: row.event_name || undefined,
     startingCash: row.starting_cash != null ? Number(row.starting_cash) : undefined,
+    startingCashBreakdown: row.starting_cash_breakdown || undefined,
     mpStartingBalance:
       row.mp_starting_balance != null && Number.isFinite(Number(row.mp_starting_balance))
         ? Number(row.mp_starting_balance)
         : undefined,
     status: row.status,
+    openedBy: row.opened_by || undefined,
+    closedBy: row.closed_by || undefined,
     closedAt: row.closed_at ? new Date(row.closed_at).toISOString() : undefined,
     closingData: row.closing_data || undefined,
+    revisions:
+      Array.isArray(row.close_revisions) && row.close_revisions.length > 0
+        ? row.close_revisions
+        : undefined,
     createdAt: new Date(row.created_at).toISOString(),
   };
 }
 
-// GET /api/cash-registers — list with optional dateFrom, dateTo
+// GET /api/cash-registers — list with optional dateFrom, dateTo, pointOfSale, status
 // Incluye cajas abiertas en el rango (created_at) o cerradas en el rango (closed_at),
 // para que el historial / gráficos vean cierres aunque se hubieran abierto antes.
 router.get("/", async (req, res) => {
   try {
-    const { dateFrom, dateTo } = req.query;
+    const { dateFrom, dateTo, pointOfSale, status } = req.query;
     const whereClauses = [];
     const params = [];
     let n = 1;
+    if (pointOfSale) {
+      whereClauses.push(`lower(point_of_sale) = lower($${n++})`);
+      params.push(String(pointOfSale).trim());
+    }
+    if (status === "open" || status === "closed") {
+      whereClauses.push(`status = $${n++}`);
+      params.push(status);
+    }
     if (dateFrom && dateTo) {
       whereClauses.push(`(
         (created_at >= $${n}::timestamp AND created_at < ($${n + 1}::timestamp::date + interval '1 day'))
@@ -161,12 +159,32 @@ router.get("/", async (req, res) => {
   }
 });
 
-// GET /api/cash-registers/current — open cash register or null
-router.get("/current", async (req, res) => {
+// GET /api/cash-registers/open — cajas abiertas, una por punto de venta
+router.get("/open", async (req, res) => {
   try {
     const result = await db.query(
-      "SELECT * FROM cash_registers WHERE status = 'open' ORDER BY created_at DESC LIMIT 1"
+      "SELECT * FROM cash_registers WHERE status = 'open' ORDER BY point_of_sale, created_at"
     );
+    res.json(result.rows.map(formatCashRegister));
+  } catch (error) {
+    console.error("Error fetching open cash registers:", error);
+    res.status(500).json({ error: "Error al obtener las cajas abiertas" });
+  }
+});
+
+// GET /api/cash-registers/current?pointOfSale= — open cash register of the point of sale or null
+// Sin pointOfSale devuelve la última caja abierta (una sola caja, como antes).
+router.get("/current", async (req, res) => {
+  try {
+    const { pointOfSale } = req.query;
+    const result = pointOfSale
+      ? await db.query(
+          "SELECT * FROM cash_registers WHERE status = 'open' AND lower(point_of_sale) = lower($1) LIMIT 1",
+          [String(pointOfSale).trim()]
+        )
+      : await db.query(
+          "SELECT * FROM cash_registers WHERE status = 'open' ORDER BY created_at DESC LIMIT 1"
+        );
     const row = result.rows[0];
     if (!row) {
       return res.json(null);
@@ -181,8 +199,19 @@ router.get("/current", async (req, res) => {
 // POST /api/cash-registers — open a new cash register
 router.post("/", async (req, res) => {
   try {
-    const { mercadoPagoAccountId, eventId, eventName, startingCash, mpStartingBalance } =
-      req.body;
+    const {
+      mercadoPagoAccountId,
+      eventId,
+      eventName,
+      startingCash,
+      startingCashBreakdown,
+      mpStartingBalance,
+      pointOfSale: rawPointOfSale,
+    } = req.body;
+    const pointOfSale =
+      typeof rawPointOfSale === "string" && rawPointOfSale.trim()
+        ? rawPointOfSale.trim()
+        : "Principal";
     if (!mercadoPagoAccountId) {
       return res.status(400).json({ error: "Cuenta de Mercado Pago es requerida" });
     }
@@ -193,10 +222,13 @@ router.post("/", async (req, res) => {
     }
 
     const existing = await db.query(
-      "SELECT id FROM cash_registers WHERE status = 'open' LIMIT 1"
+      "SELECT id FROM cash_registers WHERE status = 'open' AND lower(point_of_sale) = lower($1) LIMIT 1",
+      [pointOfSale]
     );
     if (existing.rows.length > 0) {
-      return res.status(400).json({ error: "Ya hay una caja abierta" });
+      return res
+        .status(400)
+        .json({ error: `Ya hay una caja abierta en ${pointOfSale}` });
     }
 
     let mpStartingBalanceDb = null;
@@ -210,33 +242,59 @@ router.post("/", async (req, res) => {
       mpStartingBalanceDb = n;
     }
 
+    // Con detalle por denominación, el efectivo inicial es el total del conteo.
+    let startingCashDb = startingCash ?? null;
+    let startingCount = null;
+    if (startingCashBreakdown != null) {
+      startingCount = countCash(startingCashBreakdown, await getCashDenominations());
+      if (
+        startingCash != null &&
+        startingCash !== "" &&
+        Math.abs(Number(startingCash) - startingCount.total) > 0.005
+      ) {
+        return res.status(400).json({
+          error: "startingCash no coincide con el detalle de efectivo",
+        });
+      }
+      startingCashDb = startingCount.total;
+    }
+
     const id = crypto.randomUUID();
     const now = new Date();
     const date = now.toISOString().split("T")[0];
 
     await db.query(
-      `INSERT INTO cash_registers (id, date, mercado_pago_account_id, event_id, event_name, starting_cash, mp_starting_balance, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, 'open')`,
+      `INSERT INTO cash_registers (id, date, point_of_sale, mercado_pago_account_id, event_id, event_name, starting_cash, starting_cash_breakdown, mp_starting_balance, status, opened_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'open', $10)`,
       [
         id,
         date,
+        pointOfSale,
         mercadoPagoAccountId,
         eventId || null,
         eventName || null,
-        startingCash ?? null,
+        startingCashDb,
+        startingCount ? JSON.stringify(startingCount.breakdown) : null,
         mpStartingBalanceDb,
+        req.user?.id ?? null,
       ]
     );
 
     const result = await db.query("SELECT * FROM cash_registers WHERE id = $1", [id]);
     res.status(201).json(formatCashRegister(result.rows[0]));
   } catch (error) {
+    if (error.code === "23505") {
+      return res.status(400).json({ error: "Ya hay una caja abierta en ese punto de venta" });
+    }
     console.error("Error opening cash register:", error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: "Error al abrir la caja" });
   }
 });
 
-// GET /api/cash-registers/:id
+// GET /api/cash-registers/:id — detalle con el personal del turno y ventas por usuario
 router.get("/:id", async (req, res) => {
   try {
     const result = await db.query("SELECT * FROM cash_registers WHERE id = $1", [
@@ -246,13 +304,506 @@ router.get("/:id", async (req, res) => {
     if (!row) {
       return res.status(404).json({ error: "Caja no encontrada" });
     }
-    res.json(formatCashRegister(row));
+    res.json({ ...formatCashRegister(row), staff: await getShiftStaff(db, row) });
   } catch (error) {
     console.error("Error fetching cash register:", error);
     res.status(500).json({ error: "Error al obtener la caja" });
   }
 });
 
+// GET /api/cash-registers/:id/payments-summary — cobros de comandas por medio de pago
+// Agrega order_payments (un pago dividido suma en cada medio), sin comandas anuladas.
+router.get("/:id/payments-summary", async (req, res) => {
+  try {
+    const check = await db.query("SELECT id FROM cash_registers WHERE id = $1", [
+      req.params.id,
+    ]);
+    if (!check.rows[0]) {
+      return res.status(404).json({ error: "Caja no encontrada" });
+    }
+
+    const result = await db.query(
+      `SELECT op.method, op.mercado_pago_account_id,
+              COALESCE(SUM(op.amount), 0)::float AS amount,
+              COUNT(DISTINCT op.order_id)::int AS orders
+       FROM order_payments op
+       JOIN orders o ON o.id = op.order_id
+       WHERE o.cash_register_id = $1 AND o.status != 'cancelled'
+       GROUP BY op.method, op.mercado_pago_account_id
+       ORDER BY op.method, op.mercado_pago_account_id`,
+      [req.params.id]
+    );
+    const tenders = result.rows.map((row) => ({
+      method: row.method,
+      mercadoPagoAccountId: row.mercado_pago_account_id || undefined,
+      amount: Number(row.amount),
+      orders: Number(row.orders),
+    }));
+    const byMethod = { efectivo: 0, mercadopago: 0 };
+    for (const t of tenders) {
+      byMethod[t.method] = (byMethod[t.method] ?? 0) + t.amount;
+    }
+    res.json({
+      cashRegisterId: req.params.id,
+      byMethod,
+      tenders,
+      total: tenders.reduce((sum, t) => sum + t.amount, 0),
+    });
+  } catch (error) {
+    console.error("Error fetching payments summary:", error);
+    res.status(500).json({ error: "Error al obtener el resumen de cobros" });
+  }
+});
+
+// GET /api/cash-registers/:id/expected-close — arqueo esperado por medio de pago
+// Ventas (order_payments) menos devoluciones de vasos, más saldos iniciales;
+// las cuentas abiertas sin cerrar se informan aparte.
+router.get("/:id/expected-close", async (req, res) => {
+  try {
+    const result = await db.query("SELECT * FROM cash_registers WHERE id = $1", [
+      req.params.id,
+    ]);
+    const row = result.rows[0];
+    if (!row) {
+      return res.status(404).json({ error: "Caja no encontrada" });
+    }
+    const expected = await computeExpectedClose(db, row);
+    res.json({
+      ...expected,
+      status: row.status,
+      differenceThreshold: await getCloseDifferenceThreshold(),
+    });
+  } catch (error) {
+    console.error("Error fetching expected close:", error);
+    res.status(500).json({ error: "Error al calcular el cierre esperado" });
+  }
+});
+
+// GET /api/cash-registers/:id/report?format=json|csv|pdf — reporte Z de la caja
+router.get("/:id/report", async (req, res) => {
+  try {
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!["json", "csv", "pdf"].includes(format)) {
+      return res.status(400).json({ error: "format debe ser json, csv o pdf" });
+    }
+    const result = await db.query("SELECT * FROM cash_registers WHERE id = $1", [
+      req.params.id,
+    ]);
+    const row = result.rows[0];
+    if (!row) {
+      return res.status(404).json({ error: "Caja no encontrada" });
+    }
+
+    const report = await buildCashRegisterReport(db, row);
+    if (format === "json") {
+      return res.json(report);
+    }
+    const date = new Date(row.created_at).toISOString().split("T")[0];
+    const filename = `reporte-z-${date}-${row.id.slice(0, 8)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    if (format === "csv") {
+      res.type("text/csv; charset=utf-8").send(renderReportCsv(report));
+    } else {
+      res.type("application/pdf").send(renderReportPdf(report));
+    }
+  } catch (error) {
+    console.error("Error building cash register report:", error);
+    res.status(500).json({ error: "Error al generar el reporte de la caja" });
+  }
+});
+
+// GET /api/cash-registers/:id/cancellations — comandas anuladas de la caja
+router.get("/:id/cancellations", async (req, res) => {
+  try {
+    const check = await db.query("SELECT id FROM cash_registers WHERE id = $1", [
+      req.params.id,
+    ]);
+    if (!check.rows[0]) {
+      return res.status(404).json({ error: "Caja no encontrada" });
+    }
+
+    const result = await db.query(
+      `SELECT o.id, o.customer_name, o.total, o.payment_method, o.cups_delivered,
+              o.created_at, o.cancelled_at, o.cancelled_by, o.cancellation_reason,
+              u.name AS cancelled_by_name
+       FROM orders o
+       LEFT JOIN app_users u ON u.id = o.cancelled_by
+       WHERE o.cash_register_id = $1 AND o.status = 'cancelled'
+       ORDER BY o.cancelled_at ASC`,
+      [req.params.id]
+    );
+    const orders = result.rows.map((row) => ({
+      id: row.id,
+      customerName: row.customer_name,
+      total: Number(row.total),
+      paymentMethod: row.payment_method,
+      cupsDelivered: Number(row.cups_delivered) || 0,
+      reason: row.cancellation_reason || undefined,
+      cancelledBy: row.cancelled_by
+        ? { id: row.cancelled_by, name: row.cancelled_by_name || undefined }
+        : undefined,
+      createdAt: new Date(row.created_at).toISOString(),
+      cancelledAt: row.cancelled_at ? new Date(row.cancelled_at).toISOString() : undefined,
+    }));
+    res.json({
+      cashRegisterId: req.params.id,
+      count: orders.length,
+      total: orders.reduce((sum, o) => sum + o.total, 0),
+      orders,
+    });
+  } catch (error) {
+    console.error("Error fetching cancellations:", error);
+    res.status(500).json({ error: "Error al obtener las anulaciones" });
+  }
+});
+
+const CASH_MOVEMENT_TYPES = ["retiro", "ingreso", "gasto"];
+
+function formatCashMovement(row) {
+  return {
+    id: row.id,
+    cashRegisterId: row.cash_register_id,
+    type: row.type,
+    amount: Number(row.amount),
+    reason: row.reason,
+    createdBy: row.created_by
+      ? { id: row.created_by, name: row.created_by_name || undefined }
+      : undefined,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+// GET /api/cash-registers/:id/movements — retiros, ingresos y gastos del cajón
+router.get("/:id/movements", async (req, res) => {
+  try {
+    const check = await db.query("SELECT id FROM cash_registers WHERE id = $1", [
+      req.params.id,
+    ]);
+    if (!check.rows[0]) {
+      return res.status(404).json({ error: "Caja no encontrada" });
+    }
+
+    const result = await db.query(
+      `SELECT m.*, u.name AS created_by_name
+       FROM cash_register_movements m
+       LEFT JOIN app_users u ON u.id = m.created_by
+       WHERE m.cash_register_id = $1
+       ORDER BY m.created_at ASC, m.id ASC`,
+      [req.params.id]
+    );
+    const movements = result.rows.map(formatCashMovement);
+    const totals = { retiro: 0, ingreso: 0, gasto: 0 };
+    for (const m of movements) {
+      totals[m.type] += m.amount;
+    }
+    res.json({
+      cashRegisterId: req.params.id,
+      totals,
+      // Efecto neto en el efectivo del cajón.
+      net: totals.ingreso - totals.retiro - totals.gasto,
+      movements,
+    });
+  } catch (error) {
+    console.error("Error fetching cash register movements:", error);
+    res.status(500).json({ error: "Error al obtener los movimientos de caja" });
+  }
+});
+
+// POST /api/cash-registers/:id/movements — { type: retiro|ingreso|gasto, amount, reason }
+// Sólo efectivo. Un gasto genera además su egreso en finance_transactions.
+router.post("/:id/movements", async (req, res) => {
+  try {
+    const { type, amount: rawAmount, reason } = req.body ?? {};
+    if (!CASH_MOVEMENT_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ error: "type debe ser \"retiro\", \"ingreso\" o \"gasto\"" });
+    }
+    const amount = Number(rawAmount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: "Monto inválido" });
+    }
+    const reasonText = typeof reason === "string" ? reason.trim() : "";
+    if (!reasonText) {
+      return res.status(400).json({ error: "El motivo es requerido" });
+    }
+
+    const movementId = crypto.randomUUID();
+    const client = await db.connect();
+    try {
+      await client.query("BEGIN");
+      const crRes = await client.query(
+        "SELECT id, status, event_name FROM cash_registers WHERE id = $1 FOR UPDATE",
+        [req.params.id]
+      );
+      const cr = crRes.rows[0];
+      if (!cr) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Caja no encontrada" });
+      }
+      if (cr.status !== "open") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "La caja no está abierta" });
+      }
+
+      await client.query(
+        `INSERT INTO cash_register_movements (id, cash_register_id, type, amount, reason, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [movementId, cr.id, type, amount, reasonText, req.user?.id ?? null]
+      );
+      if (type === "gasto") {
+        const labelPrefix = cr.event_name
+          ? `Gasto de caja — ${cr.event_name}`
+          : "Gasto de caja";
+        await client.query(
+          `INSERT INTO finance_transactions
+          (id, account_id, type, amount, description, source, category, reference_id, date)
+          VALUES ($1, 'efectivo', 'expense', $2, $3, 'buffet', 'buffet', $4, CURRENT_TIMESTAMP)`,
+          [
+            crypto.randomUUID(),
+            amount,
+            `${labelPrefix} — ${reasonText}`,
+            `caja-movement:${movementId}`,
+          ]
+        );
+      }
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    const result = await db.query(
+      `SELECT m.*, u.name AS created_by_name
+       FROM cash_register_movements m
+       LEFT JOIN app_users u ON u.id = m.created_by
+       WHERE m.id = $1`,
+      [movementId]
+    );
+    res.status(201).json(formatCashMovement(result.rows[0]));
+  } catch (error) {
+    console.error("Error creating cash register movement:", error);
+    res.status(500).json({ error: "Error al registrar el movimiento de caja" });
+  }
+});
+
+// DELETE /api/cash-registers/:id/movements/:movementId — sólo con la caja abierta
+router.delete("/:id/movements/:movementId", async (req, res) => {
+  try {
+    const client = await db.connect();
+    try {
+      await client.query("BEGIN");
+      const crRes = await client.query(
+        "SELECT id, status FROM cash_registers WHERE id = $1 FOR UPDATE",
+        [req.params.id]
+      );
+      const cr = crRes.rows[0];
+      if (!cr) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Caja no encontrada" });
+      }
+      if (cr.status !== "open") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "La caja no está abierta" });
+      }
+      const deleted = await client.query(
+        "DELETE FROM cash_register_movements WHERE id = $1 AND cash_register_id = $2",
+        [req.params.movementId, cr.id]
+      );
+      if (deleted.rowCount === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Movimiento no encontrado" });
+      }
+      await client.query(
+        "DELETE FROM finance_transactions WHERE reference_id = $1",
+        [`caja-movement:${req.params.movementId}`]
+      );
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error deleting cash register movement:", error);
+    res.status(500).json({ error: "Error al eliminar el movimiento de caja" });
+  }
+});
+
+function printCloseTicketHandler({ reprint }) {
+  return async (req, res) => {
+    try {
+      const result = await db.query("SELECT * FROM cash_registers WHERE id = $1", [
+        req.params.id,
+      ]);
+      const row = result.rows[0];
+      if (!row) {
+        return res.status(404).json({ error: "Caja no encontrada" });
+      }
+      if (row.status !== "closed" || !row.closing_data) {
+        return res.status(409).json({ error: "La caja todavía no está cerrada" });
+      }
+      const ticket = renderCashRegisterCloseTicket(formatCashRegister(row), {
+        reprint,
+      });
+      const { destination } = await printTicket(ticket, {
+        name: `cierre-${row.id}`,
+      });
+      res.json({ printed: true, reprint, destination });
+    } catch (error) {
+      console.error("Error printing cash register close:", error);
+      if (error.statusCode === 503) {
+        return res.status(503).json({ error: error.message });
+      }
+      res.status(500).json({ error: "Error al imprimir el cierre de caja" });
+    }
+  };
+}
+
+// POST /api/cash-registers/:id/print — ticket de cierre (closing_data + cupsSummary)
+router.post("/:id/print", printCloseTicketHandler({ reprint: false }));
+
+// POST /api/cash-registers/:id/reprint — igual, marcado como reimpresión
+router.post("/:id/reprint", printCloseTicketHandler({ reprint: true }));
+
+function userRef(user) {
+  return user?.id ? { id: user.id, name: user.name || undefined } : undefined;
+}
+
+/** Agrega una entrada numerada al historial de cierres de la caja. */
+function appendCloseRevision(caja, entry) {
+  const revisions = Array.isArray(caja.close_revisions) ? caja.close_revisions : [];
+  return [...revisions, { revision: revisions.length + 1, ...entry }];
+}
+
+/**
+ * Cierra una caja ya bloqueada (FOR UPDATE): arqueo contra el esperado,
+ * transacciones `caja-close:*` y entrada `closed` en `close_revisions`.
+ */
+async function closeLockedCashRegister(client, caja, closingData, user) {
+  const threshold = await getCloseDifferenceThreshold();
+  const cashCount =
+    closingData.cashBreakdown != null
+      ? countCash(closingData.cashBreakdown, await getCashDenominations())
+      : undefined;
+  // Esperado calculado acá: lo que manda el cliente sólo aporta lo contado.
+  const expected = await computeExpectedClose(client, caja);
+  const mergedClosingData = reconcileClosingData(
+    closingData,
+    expected,
+    threshold,
+    { cashCount }
+  );
+  await insertBuffetCloseTransactions(
+    client,
+    caja.id,
+    mergedClosingData,
+    caja.event_name
+  );
+  const now = new Date().toISOString();
+  const revisions = appendCloseRevision(caja, {
+    action: "closed",
+    at: now,
+    user: userRef(user),
+    totalExpected: mergedClosingData.totalExpected,
+    totalActual: mergedClosingData.totalActual,
+    totalDifference: mergedClosingData.totalDifference,
+  });
+  await client.query(
+    `UPDATE cash_registers
+     SET status = 'closed', closed_at = $1, closing_data = $2, close_revisions = $3, closed_by = $4
+     WHERE id = $5`,
+    [
+      now,
+      JSON.stringify(mergedClosingData),
+      JSON.stringify(revisions),
+      user?.id ?? null,
+      caja.id,
+    ]
+  );
+}
+
+/**
+ * Anula las transacciones vigentes del cierre anterior (`caja-close:<id>:*`)
+ * con asientos inversos `caja-close-void:<id>:<revisión>:<txId>` fechados hoy:
+ * los originales quedan en el libro y los períodos pasados no cambian.
+ * Devuelve lo anulado para guardarlo en el historial.
+ */
+async function voidCloseTransactions(client, caja, revision) {
+  const result = await client.query(
+    `SELECT t.id, t.account_id, t.type, t.amount, t.description, t.reference_id, t.date
+     FROM finance_transactions t
+     WHERE t.reference_id LIKE $1
+       AND NOT EXISTS (
+         SELECT 1 FROM finance_transactions v WHERE v.reference_id LIKE $2 || t.id
+       )
+     ORDER BY t.date ASC, t.id ASC`,
+    [`caja-close:${caja.id}:%`, `caja-close-void:${caja.id}:%:`]
+  );
+  const now = new Date().toISOString();
+  const voided = [];
+  for (const row of result.rows) {
+    const reversalId = crypto.randomUUID();
+    await client.query(
+      `INSERT INTO finance_transactions
+      (id, account_id, type, amount, description, source, category, reference_id, date)
+      VALUES ($1, $2, $3, $4, $5, 'buffet', 'buffet', $6, $7)`,
+      [
+        reversalId,
+        row.account_id,
+        row.type === "income" ? "expense" : "income",
+        row.amount,
+        `Anulación — ${row.description}`,
+        `caja-close-void:${caja.id}:${revision}:${row.id}`,
+        now,
+      ]
+    );
+    voided.push({
+      id: row.id,
+      accountId: row.account_id,
+      type: row.type,
+      amount: Number(row.amount),
+      description: row.description,
+      referenceId: row.reference_id,
+      date: new Date(row.date).toISOString(),
+      reversalId,
+    });
+  }
+  return voided;
+}
+
+/** Entrada del historial al deshacer un cierre, con el cierre y las transacciones anuladas. */
+async function undoLockedClose(client, caja, action, reason, user) {
+  const revision =
+    (Array.isArray(caja.close_revisions) ? caja.close_revisions.length : 0) + 1;
+  const voidedTransactions = await voidCloseTransactions(client, caja, revision);
+  return appendCloseRevision(caja, {
+    action,
+    at: new Date().toISOString(),
+    user: userRef(user),
+    reason,
+    previousClosedAt: caja.closed_at
+      ? new Date(caja.closed_at).toISOString()
+      : undefined,
+    previousClosingData: caja.closing_data || undefined,
+    voidedTransactions,
+  });
+}
+
+function correctionReason(body) {
+  const reason = typeof body?.reason === "string" ? body.reason.trim() : "";
+  if (!reason) {
+    const err = new Error("El motivo es requerido");
+    err.statusCode = 400;
+    throw err;
+  }
+  return reason;
+}
+
 // PATCH /api/cash-registers/:id/close — close with closing data
 router.patch("/:id/close", async (req, res) => {
   try {
@@ -262,36 +813,75 @@ router.patch("/:id/close", async (req, res) => {
       return res.status(400).json({ error: "Datos de cierre requeridos" });
     }
 
-    const check = await db.query(
-      "SELECT id, status, event_name FROM cash_registers WHERE id = $1",
-      [id]
-    );
-    const caja = check.rows[0];
-    if (!caja) {
-      return res.status(404).json({ error: "Caja no encontrada" });
+    const client = await db.connect();
+    try {
+      await client.query("BEGIN");
+      const check = await client.query(
+        "SELECT * FROM cash_registers WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      const caja = check.rows[0];
+      if (!caja) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Caja no encontrada" });
+      }
+      if (caja.status === "closed") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "La caja ya está cerrada" });
+      }
+
+      await closeLockedCashRegister(client, caja, closingData, req.user);
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
     }
-    if (caja.status === "closed") {
-      return res.status(400).json({ error: "La caja ya está cerrada" });
+
+    const result = await db.query("SELECT * FROM cash_registers WHERE id = $1", [id]);
+    res.json(formatCashRegister(result.rows[0]));
+  } catch (error) {
+    console.error("Error closing cash register:", error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
     }
+    res.status(500).json({ error: "Error al cerrar la caja" });
+  }
+});
+
+// POST /api/cash-registers/:id/reopen — { reason } (admin)
+// Anula las transacciones del cierre con asientos inversos y deja la caja
+// abierta para cargar comandas tardías o correcciones; después se vuelve a
+// cerrar con PATCH /:id/close.
+router.post("/:id/reopen", requireAdminMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = correctionReason(req.body);
 
-    const now = new Date().toISOString();
     const client = await db.connect();
     try {
       await client.query("BEGIN");
-      const cupsSummary = await getCupSummaryForCashRegister(client, id);
-      const mergedClosingData = {
-        ...closingData,
-        cupsSummary,
-      };
-      await insertBuffetCloseTransactions(
-        client,
-        id,
-        mergedClosingData,
-        caja.event_name
+      const check = await client.query(
+        "SELECT * FROM cash_registers WHERE id = $1 FOR UPDATE",
+        [id]
       );
+      const caja = check.rows[0];
+      if (!caja) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Caja no encontrada" });
+      }
+      if (caja.status !== "closed") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "La caja no está cerrada" });
+      }
+
+      const revisions = await undoLockedClose(client, caja, "reopened", reason, req.user);
       await client.query(
-        `UPDATE cash_registers SET status = 'closed', closed_at = $1, closing_data = $2 WHERE id = $3`,
-        [now, JSON.stringify(mergedClosingData), id]
+        `UPDATE cash_registers
+         SET status = 'open', closed_at = NULL, closed_by = NULL, closing_data = NULL, close_revisions = $1
+         WHERE id = $2`,
+        [JSON.stringify(revisions), id]
       );
       await client.query("COMMIT");
     } catch (e) {
@@ -304,11 +894,68 @@ router.patch("/:id/close", async (req, res) => {
     const result = await db.query("SELECT * FROM cash_registers WHERE id = $1", [id]);
     res.json(formatCashRegister(result.rows[0]));
   } catch (error) {
-    console.error("Error closing cash register:", error);
+    if (error.code === "23505") {
+      return res.status(409).json({
+        error: "Ya hay otra caja abierta en ese punto de venta",
+      });
+    }
+    console.error("Error reopening cash register:", error);
     if (error.statusCode === 400) {
       return res.status(400).json({ error: error.message });
     }
-    res.status(500).json({ error: "Error al cerrar la caja" });
+    res.status(500).json({ error: "Error al reabrir la caja" });
+  }
+});
+
+// POST /api/cash-registers/:id/amend — { reason, ...closingData } (admin)
+// Corrige el cierre sin reabrir: anula las transacciones anteriores y vuelve a
+// cerrar con los nuevos datos en una sola operación.
+router.post("/:id/amend", requireAdminMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = correctionReason(req.body);
+    const { reason: _reason, ...closingData } = req.body;
+
+    const client = await db.connect();
+    try {
+      await client.query("BEGIN");
+      const check = await client.query(
+        "SELECT * FROM cash_registers WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      const caja = check.rows[0];
+      if (!caja) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Caja no encontrada" });
+      }
+      if (caja.status !== "closed") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "La caja no está cerrada" });
+      }
+
+      const revisions = await undoLockedClose(client, caja, "amended", reason, req.user);
+      await closeLockedCashRegister(
+        client,
+        { ...caja, close_revisions: revisions },
+        closingData,
+        req.user
+      );
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    const result = await db.query("SELECT * FROM cash_registers WHERE id = $1", [id]);
+    res.json(formatCashRegister(result.rows[0]));
+  } catch (error) {
+    console.error("Error amending cash register close:", error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: "Error al corregir el cierre de caja" });
   }
 });
 
@@ -1,7 +1,28 @@
 import express from 'express';
 import crypto from 'crypto';
 import db from '../database.js';
-import { getCupPrice } from '../lib/cupPrice.js';
+import {
+  DEFAULT_CUP_TYPE_ID,
+  getCupReturnDays,
+  getCupType,
+  getCupTypes,
+} from '../lib/cupPrice.js';
+import {
+  CUP_ORIGIN_SQL,
+  allocateCupReturn,
+  getOutstandingCupsByRegister,
+} from '../lib/cupReturns.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { requireAdminMiddleware } from '../middleware/requirePermission.js';
+import {
+  CUP_STOCK_TYPES,
+  buildCupShrinkageReport,
+  cupStockError,
+  getCupStock,
+  getLateCupReturns,
+  getNotReturnedByRegister,
+  getUnreconciledCashRegisterIds,
+} from '../lib/cupStock.js';
 
 const router = express.Router();
 
@@ -28,11 +49,51 @@ function formatMovement(row) {
     mercadoPagoAccountId: row.mercado_pago_account_id || undefined,
     openAccountId: row.open_account_id || undefined,
     orderId: row.order_id || undefined,
+    cupTypeId: row.cup_type_id || undefined,
+    originCashRegisterId: row.origin_cash_register_id || undefined,
+    createdBy: row.created_by || undefined,
     createdAt: new Date(row.created_at).toISOString(),
   };
 }
 
-/** GET /api/cups/circulation?cashRegisterId= */
+function formatStockMovement(row) {
+  const expected =
+    row.expected_quantity != null ? Number(row.expected_quantity) : undefined;
+  return {
+    id: row.id,
+    type: row.type,
+    quantity: Number(row.quantity),
+    unitCost: row.unit_cost != null ? Number(row.unit_cost) : undefined,
+    washed: row.washed_quantity != null ? Number(row.washed_quantity) : undefined,
+    expected,
+    notReturned: row.not_returned != null ? Number(row.not_returned) : undefined,
+    difference: expected != null ? Number(row.quantity) - expected : undefined,
+    cupTypeId: row.cup_type_id || undefined,
+    cashRegisterId: row.cash_register_id || undefined,
+    cashRegisterIds: row.cash_register_ids || undefined,
+    notes: row.notes || undefined,
+    createdBy: row.created_by || undefined,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+function parseCupQuantity(raw, { allowZero = false } = {}) {
+  const quantity = Number(raw);
+  if (!Number.isInteger(quantity) || quantity < 0 || (!allowZero && quantity === 0)) {
+    throw cupStockError('quantity inválida');
+  }
+  return quantity;
+}
+
+/** Tipo de envase del stock (el default si no viene); también los inactivos. */
+async function parseStockCupType(raw) {
+  if (raw == null || raw === '') return DEFAULT_CUP_TYPE_ID;
+  const cupType = await getCupType(String(raw));
+  if (!cupType) throw cupStockError('Tipo de envase no encontrado');
+  return cupType.id;
+}
+
+/** GET /api/cups/circulation?cashRegisterId= — totales y por tipo de envase */
 router.get('/circulation', async (req, res) => {
   try {
     const { cashRegisterId } = req.query;
@@ -47,19 +108,49 @@ router.get('/circulation', async (req, res) => {
       return res.status(404).json({ error: 'Caja no encontrada' });
     }
 
+    // Por caja de origen y tipo de envase: los vasos de esta caja devueltos
+    // en otra también salen de circulación.
     const agg = await db.query(
-      `SELECT
-        COALESCE(SUM(CASE WHEN type = 'delivery' THEN quantity ELSE 0 END), 0)::int AS delivered,
-        COALESCE(SUM(CASE WHEN type = 'return' THEN quantity ELSE 0 END), 0)::int AS returned,
-        COALESCE(SUM(CASE WHEN type = 'delivery' THEN quantity ELSE -quantity END), 0)::int AS in_circulation
-       FROM cup_movements WHERE cash_register_id = $1`,
+      `SELECT cm.cup_type_id,
+        COALESCE(SUM(CASE WHEN cm.type = 'delivery' THEN cm.quantity ELSE 0 END), 0)::int AS delivered,
+        COALESCE(SUM(CASE WHEN cm.type = 'return' THEN cm.quantity ELSE 0 END), 0)::int AS returned,
+        COALESCE(SUM(CASE WHEN cm.type = 'return' AND cm.cash_register_id != $1 THEN cm.quantity ELSE 0 END), 0)::int AS returned_elsewhere,
+        COALESCE(SUM(CASE WHEN cm.type = 'delivery' THEN cm.quantity ELSE -cm.quantity END), 0)::int AS in_circulation
+       FROM cup_movements cm WHERE ${CUP_ORIGIN_SQL} = $1
+       GROUP BY cm.cup_type_id`,
       [cashRegisterId],
     );
-    const row = agg.rows[0];
+    const returnDays = await getCupReturnDays();
+    const rowsByType = new Map(agg.rows.map((r) => [r.cup_type_id, r]));
+    const byType = [];
+    for (const type of await getCupTypes()) {
+      const row = rowsByType.get(type.id);
+      if (!row && !type.active) continue;
+      const pool = await getOutstandingCupsByRegister(db, {
+        returnDays,
+        includeCashRegisterId: cashRegisterId,
+        cupTypeId: type.id,
+      });
+      byType.push({
+        cupTypeId: type.id,
+        name: type.name,
+        price: type.price,
+        inCirculation: Math.max(0, Number(row?.in_circulation ?? 0)),
+        delivered: Number(row?.delivered ?? 0),
+        returned: Number(row?.returned ?? 0),
+        returnedElsewhere: Number(row?.returned_elsewhere ?? 0),
+        // Lo que se puede devolver en esta caja: sus envases y los de las demás cajas vigentes.
+        returnable: pool.reduce((sum, o) => sum + o.outstanding, 0),
+      });
+    }
+    const sum = (field) => byType.reduce((acc, t) => acc + t[field], 0);
     res.json({
-      inCirculation: Math.max(0, Number(row.in_circulation)),
-      delivered: Number(row.delivered),
-      returned: Number(row.returned),
+      inCirculation: sum('inCirculation'),
+      delivered: sum('delivered'),
+      returned: sum('returned'),
+      returnedElsewhere: sum('returnedElsewhere'),
+      returnable: sum('returnable'),
+      byType,
     });
   } catch (error) {
     console.error('Error cup circulation:', error);
@@ -87,7 +178,7 @@ router.get('/movements', async (req, res) => {
 });
 
 /** POST /api/cups/return */
-router.post('/return', async (req, res) => {
+router.post('/return', idempotent('cups.return'), async (req, res) => {
   try {
     const {
       cashRegisterId,
@@ -95,6 +186,7 @@ router.post('/return', async (req, res) => {
       paymentMethod,
       mercadoPagoAccountId,
       openAccountId,
+      cupTypeId = DEFAULT_CUP_TYPE_ID,
     } = req.body;
 
     if (!cashRegisterId) {
@@ -126,16 +218,22 @@ router.post('/return', async (req, res) => {
         .json({ error: 'openAccountId requerido para cuenta abierta' });
     }
 
-    const cupPrice = await getCupPrice();
+    // Los envases desactivados se siguen devolviendo a su depósito vigente.
+    const cupType = await getCupType(String(cupTypeId));
+    if (!cupType) {
+      return res.status(400).json({ error: 'Tipo de envase no encontrado' });
+    }
+    const cupPrice = cupType.price;
     const amount = cupPrice * quantity;
-    const movementId = crypto.randomUUID();
+    const returnDays = await getCupReturnDays();
+    const movements = [];
 
     const client = await db.connect();
     try {
       await client.query('BEGIN');
 
       const crRes = await client.query(
-        'SELECT id, status FROM cash_registers WHERE id = $1 FOR UPDATE',
+        'SELECT id, status FROM cash_registers WHERE id = $1',
         [cashRegisterId],
       );
       const cr = crRes.rows[0];
@@ -148,18 +246,37 @@ router.post('/return', async (req, res) => {
         return res.status(400).json({ error: 'La caja no está abierta' });
       }
 
-      const circRes = await client.query(
-        `SELECT COALESCE(SUM(CASE WHEN type = 'delivery' THEN quantity ELSE -quantity END), 0)::int AS net
-         FROM cup_movements WHERE cash_register_id = $1`,
-        [cashRegisterId],
+      // Pozo global: vasos pendientes de esta caja y de las demás dentro de la
+      // vigencia. Se bloquean la caja y las de origen (en orden, para no
+      // trabarse con otra devolución) y se vuelve a calcular el reparto.
+      const pool = await getOutstandingCupsByRegister(client, {
+        returnDays,
+        includeCashRegisterId: cashRegisterId,
+        cupTypeId: cupType.id,
+      });
+      const draft = allocateCupReturn(pool, cashRegisterId, quantity) ?? [];
+      const lockedRegisters = await client.query(
+        'SELECT id, status FROM cash_registers WHERE id = ANY($1::text[]) ORDER BY id FOR UPDATE',
+        [[cashRegisterId, ...draft.map((p) => p.originCashRegisterId)]],
       );
-      const inCirculation = Math.max(0, Number(circRes.rows[0].net));
-      if (quantity > inCirculation) {
+      if (lockedRegisters.rows.find((r) => r.id === cashRegisterId)?.status !== 'open') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'La caja no está abierta' });
+      }
+      const locked = await getOutstandingCupsByRegister(client, {
+        returnDays,
+        includeCashRegisterId: cashRegisterId,
+        cupTypeId: cupType.id,
+      });
+      const parts = allocateCupReturn(locked, cashRegisterId, quantity);
+      if (!parts) {
+        const available = locked.reduce((sum, o) => sum + o.outstanding, 0);
         await client.query('ROLLBACK');
         return res.status(400).json({
-          error: `No hay suficientes vasos en circulación (máx. ${inCirculation})`,
+          error: `No hay suficientes vasos en circulación (máx. ${available})`,
         });
       }
+      const originById = new Map(locked.map((o) => [o.cashRegisterId, o]));
 
       if (paymentMethod === 'cuenta_abierta') {
         const oa = await client.query(
@@ -185,23 +302,58 @@ router.post('/return', async (req, res) => {
         await assertMercadoPagoLiquidityAccount(client, mercadoPagoAccountId);
       }
 
-      // Solo cup_movements: el neto queda en el cierre de caja (no se duplica en
-      // finance_transactions; el cierre ya descuenta devoluciones por medio de pago).
-      await client.query(
-        `INSERT INTO cup_movements (
-          id, cash_register_id, type, quantity, amount,
-          payment_method, mercado_pago_account_id, open_account_id, order_id
-        ) VALUES ($1, $2, 'return', $3, $4, $5, $6, $7, NULL)`,
-        [
-          movementId,
-          cashRegisterId,
-          quantity,
-          amount,
-          paymentMethod,
-          paymentMethod === 'mercadopago' ? mercadoPagoAccountId : null,
-          paymentMethod === 'cuenta_abierta' ? openAccountId : null,
-        ],
-      );
+      // Vasos de esta caja: solo cup_movements, el neto queda en el cierre (el
+      // cierre ya descuenta devoluciones por medio de pago). Vasos de otra caja:
+      // el depósito lo cobró aquella, así que el reintegro va a finanzas como
+      // egreso propio y en el cierre solo ajusta lo que hay en la caja.
+      for (const part of parts) {
+        const movementId = crypto.randomUUID();
+        const partAmount = cupPrice * part.quantity;
+        const crossRegister = part.originCashRegisterId !== cashRegisterId;
+        await client.query(
+          `INSERT INTO cup_movements (
+            id, cash_register_id, type, quantity, amount,
+            payment_method, mercado_pago_account_id, open_account_id, order_id, created_by,
+            origin_cash_register_id, cup_type_id
+          ) VALUES ($1, $2, 'return', $3, $4, $5, $6, $7, NULL, $8, $9, $10)`,
+          [
+            movementId,
+            cashRegisterId,
+            part.quantity,
+            partAmount,
+            paymentMethod,
+            paymentMethod === 'mercadopago' ? mercadoPagoAccountId : null,
+            paymentMethod === 'cuenta_abierta' ? openAccountId : null,
+            req.user?.id ?? null,
+            crossRegister ? part.originCashRegisterId : null,
+            cupType.id,
+          ],
+        );
+        if (crossRegister && paymentMethod !== 'cuenta_abierta') {
+          const origin = originById.get(part.originCashRegisterId);
+          const originLabel = [origin.eventName || origin.pointOfSale, origin.date]
+            .filter(Boolean)
+            .join(' ');
+          await client.query(
+            `INSERT INTO finance_transactions
+            (id, account_id, type, amount, description, source, category, reference_id, date)
+            VALUES ($1, $2, 'expense', $3, $4, 'buffet', 'buffet', $5, CURRENT_TIMESTAMP)`,
+            [
+              crypto.randomUUID(),
+              paymentMethod === 'efectivo' ? 'efectivo' : mercadoPagoAccountId,
+              partAmount,
+              `Devolución de ${part.quantity} ${cupType.name.toLowerCase()}(s) de otra caja — ${originLabel}`,
+              `cup-settlement:${movementId}`,
+            ],
+          );
+        }
+        movements.push({
+          id: movementId,
+          quantity: part.quantity,
+          amount: partAmount,
+          originCashRegisterId: part.originCashRegisterId,
+        });
+      }
 
       await client.query('COMMIT');
     } catch (e) {
@@ -211,7 +363,14 @@ router.post('/return', async (req, res) => {
       client.release();
     }
 
-    res.status(201).json({ ok: true, id: movementId, amount, quantity });
+    res.status(201).json({
+      ok: true,
+      id: movements[0].id,
+      amount,
+      quantity,
+      cupTypeId: cupType.id,
+      movements,
+    });
   } catch (error) {
     console.error('Error cup return:', error);
     if (error.statusCode === 400) {
@@ -224,4 +383,276 @@ router.post('/return', async (req, res) => {
   }
 });
 
+/** GET /api/cups/stock?cupTypeId= — vasos propios, último conteo y lo pendiente de conciliar */
+router.get('/stock', async (req, res) => {
+  try {
+    const cupTypeId = await parseStockCupType(req.query.cupTypeId);
+    res.json(await getCupStock(db, cupTypeId));
+  } catch (error) {
+    console.error('Error cup stock:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al obtener el stock de vasos' });
+  }
+});
+
+/** GET /api/cups/stock/movements?type=&cupTypeId=&cashRegisterId=&limit= */
+router.get('/stock/movements', async (req, res) => {
+  try {
+    const { type, cupTypeId, cashRegisterId } = req.query;
+    const whereClauses = [];
+    const params = [];
+    if (type) {
+      if (![...CUP_STOCK_TYPES, 'count'].includes(type)) {
+        return res.status(400).json({ error: 'type inválido' });
+      }
+      params.push(type);
+      whereClauses.push(`type = $${params.length}`);
+    }
+    if (cupTypeId) {
+      params.push(cupTypeId);
+      whereClauses.push(`cup_type_id = $${params.length}`);
+    }
+    if (cashRegisterId) {
+      params.push(cashRegisterId);
+      whereClauses.push(
+        `(cash_register_id = $${params.length} OR $${params.length} = ANY(cash_register_ids))`,
+      );
+    }
+    params.push(Math.min(500, Math.max(1, Math.floor(Number(req.query.limit)) || 100)));
+    const where = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const result = await db.query(
+      `SELECT * FROM cup_stock_movements ${where}
+       ORDER BY created_at DESC, id DESC LIMIT $${params.length}`,
+      params,
+    );
+    res.json(result.rows.map(formatStockMovement));
+  } catch (error) {
+    console.error('Error cup stock movements:', error);
+    res.status(500).json({ error: 'Error al obtener movimientos de stock de vasos' });
+  }
+});
+
+/**
+ * POST /api/cups/stock/movements
+ * Body: { type: 'purchase' | 'broken' | 'lost', quantity, cupTypeId?, unitCost?, cashRegisterId?, notes? }
+ * `unitCost` (compras) es el costo de reposición del reporte de merma;
+ * `cashRegisterId` asigna roturas y pérdidas al evento de esa caja.
+ */
+router.post('/stock/movements', idempotent('cups.stock'), async (req, res) => {
+  try {
+    const { type, unitCost, cashRegisterId, notes } = req.body;
+    if (!CUP_STOCK_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ error: 'type debe ser "purchase", "broken" o "lost"' });
+    }
+    const quantity = parseCupQuantity(req.body.quantity);
+    const cupTypeId = await parseStockCupType(req.body.cupTypeId);
+
+    let cost = null;
+    if (unitCost != null && unitCost !== '') {
+      if (type !== 'purchase') {
+        return res.status(400).json({ error: 'unitCost solo aplica a compras' });
+      }
+      cost = Number(unitCost);
+      if (!Number.isFinite(cost) || cost < 0) {
+        return res.status(400).json({ error: 'unitCost inválido' });
+      }
+    }
+
+    if (cashRegisterId) {
+      const cr = await db.query('SELECT id FROM cash_registers WHERE id = $1', [
+        cashRegisterId,
+      ]);
+      if (!cr.rows[0]) {
+        return res.status(404).json({ error: 'Caja no encontrada' });
+      }
+    }
+
+    const id = crypto.randomUUID();
+    const result = await db.query(
+      `INSERT INTO cup_stock_movements
+        (id, type, quantity, unit_cost, cash_register_id, notes, created_by, cup_type_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        id,
+        type,
+        quantity,
+        cost,
+        cashRegisterId || null,
+        notes?.trim() || null,
+        req.user?.id ?? null,
+        cupTypeId,
+      ],
+    );
+    res.status(201).json(formatStockMovement(result.rows[0]));
+  } catch (error) {
+    console.error('Error cup stock movement:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al registrar movimiento de stock de vasos' });
+  }
+});
+
+/**
+ * POST /api/cups/stock/counts
+ * Conteo de fin de noche. Body: { quantity, cupTypeId?, washed?, cashRegisterIds?, notes? }
+ * Concilia las cajas cerradas indicadas (por defecto, todas las que todavía no
+ * entraron en un conteo de ese tipo de envase): esperado = stock propio − vasos
+ * sin devolver de esas cajas.
+ */
+router.post('/stock/counts', idempotent('cups.stockCount'), async (req, res) => {
+  try {
+    const { cashRegisterIds, notes } = req.body;
+    const quantity = parseCupQuantity(req.body.quantity, { allowZero: true });
+    const cupTypeId = await parseStockCupType(req.body.cupTypeId);
+    let washed = null;
+    if (req.body.washed != null && req.body.washed !== '') {
+      washed = parseCupQuantity(req.body.washed, { allowZero: true });
+      if (washed > quantity) {
+        return res
+          .status(400)
+          .json({ error: 'washed no puede superar la cantidad contada' });
+      }
+    }
+    if (cashRegisterIds != null && !Array.isArray(cashRegisterIds)) {
+      return res.status(400).json({ error: 'cashRegisterIds debe ser una lista' });
+    }
+
+    const client = await db.connect();
+    let row;
+    try {
+      await client.query('BEGIN');
+
+      const ids = cashRegisterIds
+        ? [...new Set(cashRegisterIds.map(String))]
+        : await getUnreconciledCashRegisterIds(client, cupTypeId);
+      const registers = (
+        await client.query(
+          `SELECT id, status FROM cash_registers WHERE id = ANY($1::text[])
+           ORDER BY id FOR UPDATE`,
+          [ids],
+        )
+      ).rows;
+      const closed = registers.filter((r) => r.status === 'closed').map((r) => r.id);
+      if (cashRegisterIds) {
+        if (registers.length !== ids.length) {
+          throw cupStockError('Caja no encontrada');
+        }
+        if (closed.length !== ids.length) {
+          throw cupStockError('Solo se pueden conciliar cajas cerradas');
+        }
+        const counted = await client.query(
+          `SELECT 1 FROM cup_stock_movements
+           WHERE type = 'count' AND cup_type_id = $2
+             AND cash_register_ids && $1::text[] LIMIT 1`,
+          [ids, cupTypeId],
+        );
+        if (counted.rows[0]) {
+          throw cupStockError('Alguna de las cajas ya entró en un conteo');
+        }
+      }
+      // Las cajas abiertas quedan para el próximo conteo.
+      const notReturned =
+        [...(await getNotReturnedByRegister(client, closed, cupTypeId)).values()].reduce(
+          (sum, n) => sum + n,
+          0,
+        ) - (await getLateCupReturns(client, closed, cupTypeId));
+
+      const stock = await getCupStock(client, cupTypeId);
+      const expected = stock.lastCount ? stock.owned - notReturned : null;
+
+      row = (
+        await client.query(
+          `INSERT INTO cup_stock_movements
+            (id, type, quantity, washed_quantity, expected_quantity, not_returned,
+             cash_register_ids, notes, created_by, cup_type_id)
+           VALUES ($1, 'count', $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING *`,
+          [
+            crypto.randomUUID(),
+            quantity,
+            washed,
+            expected,
+            notReturned,
+            closed,
+            notes?.trim() || null,
+            req.user?.id ?? null,
+            cupTypeId,
+          ],
+        )
+      ).rows[0];
+
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json(formatStockMovement(row));
+  } catch (error) {
+    console.error('Error cup stock count:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al registrar el conteo de vasos' });
+  }
+});
+
+/**
+ * DELETE /api/cups/stock/movements/:id — solo admin. Únicamente movimientos
+ * posteriores al último conteo de su tipo de envase (o ese conteo): los
+ * anteriores ya forman parte del esperado de un conteo.
+ */
+router.delete('/stock/movements/:id', requireAdminMiddleware, async (req, res) => {
+  try {
+    const row = (
+      await db.query('SELECT * FROM cup_stock_movements WHERE id = $1', [
+        req.params.id,
+      ])
+    ).rows[0];
+    if (!row) {
+      return res.status(404).json({ error: 'Movimiento no encontrado' });
+    }
+    const later = await db.query(
+      `SELECT 1 FROM cup_stock_movements
+       WHERE type = 'count' AND id != $1 AND created_at >= $2 AND cup_type_id = $3
+       LIMIT 1`,
+      [row.id, row.created_at, row.cup_type_id],
+    );
+    if (later.rows[0]) {
+      return res.status(400).json({
+        error: 'No se puede anular: hay un conteo posterior',
+      });
+    }
+    await db.query('DELETE FROM cup_stock_movements WHERE id = $1', [row.id]);
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Error deleting cup stock movement:', error);
+    res.status(500).json({ error: 'Error al anular movimiento de stock de vasos' });
+  }
+});
+
+/** GET /api/cups/stock/shrinkage?dateFrom=&dateTo=&cupTypeId= — merma por evento */
+router.get('/stock/shrinkage', async (req, res) => {
+  try {
+    const { dateFrom, dateTo } = req.query;
+    const cupTypeId = await parseStockCupType(req.query.cupTypeId);
+    res.json(await buildCupShrinkageReport(db, { dateFrom, dateTo, cupTypeId }));
+  } catch (error) {
+    console.error('Error cup shrinkage report:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al generar el reporte de merma de vasos' });
+  }
+});
+
 export default router;
@@ -0,0 +1,430 @@
+import express from 'express';
+import crypto from 'crypto';
+import db from '../database.js';
+import { idempotent } from '../middleware/idempotency.js';
+import {
+  AGING_BUCKETS,
+  CUSTOMER_BALANCE_SQL,
+  computeAging,
+  customerAccountError,
+} from '../lib/customerAccounts.js';
+
+const router = express.Router();
+
+async function assertMercadoPagoLiquidityAccount(client, mercadoPagoAccountId) {
+  const mp = await client.query(
+    "SELECT id FROM mercado_pago_accounts WHERE id = $1 AND id != 'efectivo'",
+    [mercadoPagoAccountId],
+  );
+  if (!mp.rows[0]) {
+    throw customerAccountError('Cuenta de Mercado Pago no encontrada');
+  }
+}
+
+function formatCustomerAccount(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    phone: row.phone || undefined,
+    notes: row.notes || undefined,
+    balance: row.balance != null ? Math.round(Number(row.balance) * 100) / 100 : undefined,
+    lastChargeAt: row.last_charge_at
+      ? new Date(row.last_charge_at).toISOString()
+      : undefined,
+    lastPaymentAt: row.last_payment_at
+      ? new Date(row.last_payment_at).toISOString()
+      : undefined,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+function formatEntry(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    amount: Number(row.amount),
+    description: row.description || undefined,
+    openAccountId: row.open_account_id || undefined,
+    cashRegisterId: row.cash_register_id || undefined,
+    paymentMethod: row.payment_method || undefined,
+    mercadoPagoAccountId: row.mercado_pago_account_id || undefined,
+    createdBy: row.created_by
+      ? { id: row.created_by, name: row.created_by_name || undefined }
+      : undefined,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+const customerAccountSelect = `
+  SELECT ca.*,
+         ${CUSTOMER_BALANCE_SQL} AS balance,
+         (SELECT MAX(e.created_at) FROM customer_account_entries e
+          WHERE e.customer_account_id = ca.id AND e.type = 'charge') AS last_charge_at,
+         (SELECT MAX(e.created_at) FROM customer_account_entries e
+          WHERE e.customer_account_id = ca.id AND e.type = 'payment') AS last_payment_at
+  FROM customer_accounts ca`;
+
+function parseText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * GET /api/customer-accounts?search=&withBalance=true
+ * Clientes con fiado y su saldo (cargos − pagos), de todas las cajas.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { search, withBalance } = req.query;
+    const whereClauses = [];
+    const params = [];
+    if (search) {
+      params.push(`%${String(search).trim()}%`);
+      whereClauses.push(`(ca.name ILIKE $${params.length} OR ca.phone ILIKE $${params.length})`);
+    }
+    if (withBalance === 'true' || withBalance === '1') {
+      whereClauses.push(`${CUSTOMER_BALANCE_SQL} > 0.005`);
+    }
+    const where = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    const result = await db.query(
+      `${customerAccountSelect} ${where} ORDER BY ca.name ASC`,
+      params,
+    );
+    res.json(result.rows.map(formatCustomerAccount));
+  } catch (error) {
+    console.error('Error fetching customer accounts:', error);
+    res.status(500).json({ error: 'Error al obtener los clientes con fiado' });
+  }
+});
+
+/**
+ * GET /api/customer-accounts/aging?asOf=YYYY-MM-DD
+ * Quién debe cuánto y desde cuándo, por tramos de antigüedad.
+ */
+router.get('/aging', async (req, res) => {
+  try {
+    let asOf = new Date();
+    if (req.query.asOf) {
+      asOf = new Date(`${req.query.asOf}T23:59:59`);
+      if (Number.isNaN(asOf.getTime())) {
+        return res.status(400).json({ error: 'asOf debe ser una fecha (YYYY-MM-DD)' });
+      }
+    }
+
+    const entries = await db.query(
+      `SELECT e.customer_account_id, e.type, e.amount, e.created_at
+       FROM customer_account_entries e
+       WHERE e.created_at <= $1
+       ORDER BY e.created_at ASC`,
+      [asOf],
+    );
+    const byCustomer = new Map();
+    for (const row of entries.rows) {
+      const list = byCustomer.get(row.customer_account_id) ?? [];
+      list.push(row);
+      byCustomer.set(row.customer_account_id, list);
+    }
+    const customers = await db.query(
+      'SELECT * FROM customer_accounts WHERE id = ANY($1::text[])',
+      [[...byCustomer.keys()]],
+    );
+
+    const rows = customers.rows
+      .map((customer) => ({
+        customerAccount: formatCustomerAccount(customer),
+        ...computeAging(byCustomer.get(customer.id), asOf),
+      }))
+      .filter((row) => row.balance > 0)
+      .sort((a, b) => b.balance - a.balance);
+    const totals = Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+    for (const row of rows) {
+      for (const key of Object.keys(totals)) totals[key] += row.buckets[key];
+    }
+    for (const key of Object.keys(totals)) {
+      totals[key] = Math.round(totals[key] * 100) / 100;
+    }
+
+    res.json({
+      asOf: asOf.toISOString(),
+      buckets: AGING_BUCKETS.map((b) => b.key),
+      customers: rows,
+      totals,
+      totalBalance:
+        Math.round(rows.reduce((sum, row) => sum + row.balance, 0) * 100) / 100,
+    });
+  } catch (error) {
+    console.error('Error fetching customer accounts aging:', error);
+    res.status(500).json({ error: 'Error al obtener la antigüedad de deudas' });
+  }
+});
+
+/** GET /api/customer-accounts/:id — cliente con saldo y movimientos */
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await db.query(`${customerAccountSelect} WHERE ca.id = $1`, [
+      req.params.id,
+    ]);
+    const row = result.rows[0];
+    if (!row) {
+      return res.status(404).json({ error: 'Cliente no encontrado' });
+    }
+    const entries = await db.query(
+      `SELECT e.*, u.name AS created_by_name
+       FROM customer_account_entries e
+       LEFT JOIN app_users u ON u.id = e.created_by
+       WHERE e.customer_account_id = $1
+       ORDER BY e.created_at ASC, e.id ASC`,
+      [req.params.id],
+    );
+    res.json({
+      ...formatCustomerAccount(row),
+      entries: entries.rows.map(formatEntry),
+    });
+  } catch (error) {
+    console.error('Error fetching customer account:', error);
+    res.status(500).json({ error: 'Error al obtener el cliente' });
+  }
+});
+
+/** POST /api/customer-accounts — { name, phone?, notes? } */
+router.post('/', async (req, res) => {
+  try {
+    const name = parseText(req.body?.name);
+    if (!name) {
+      return res.status(400).json({ error: 'El nombre es requerido' });
+    }
+    const id = crypto.randomUUID();
+    await db.query(
+      `INSERT INTO customer_accounts (id, name, phone, notes)
+       VALUES ($1, $2, $3, $4)`,
+      [id, name, parseText(req.body.phone), parseText(req.body.notes)],
+    );
+    const result = await db.query(`${customerAccountSelect} WHERE ca.id = $1`, [id]);
+    res.status(201).json(formatCustomerAccount(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating customer account:', error);
+    res.status(500).json({ error: 'Error al crear el cliente' });
+  }
+});
+
+/** PATCH /api/customer-accounts/:id — { name?, phone?, notes? } */
+router.patch('/:id', async (req, res) => {
+  try {
+    const updates = [];
+    const params = [];
+    for (const [field, column] of [
+      ['name', 'name'],
+      ['phone', 'phone'],
+      ['notes', 'notes'],
+    ]) {
+      if (req.body?.[field] === undefined) continue;
+      const value = parseText(req.body[field]);
+      if (field === 'name' && !value) {
+        return res.status(400).json({ error: 'El nombre es requerido' });
+      }
+      params.push(value);
+      updates.push(`${column} = $${params.length}`);
+    }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No hay cambios para guardar' });
+    }
+    params.push(req.params.id);
+    const updated = await db.query(
+      `UPDATE customer_accounts
+       SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${params.length}`,
+      params,
+    );
+    if (updated.rowCount === 0) {
+      return res.status(404).json({ error: 'Cliente no encontrado' });
+    }
+    const result = await db.query(`${customerAccountSelect} WHERE ca.id = $1`, [
+      req.params.id,
+    ]);
+    res.json(formatCustomerAccount(result.rows[0]));
+  } catch (error) {
+    console.error('Error updating customer account:', error);
+    res.status(500).json({ error: 'Error al actualizar el cliente' });
+  }
+});
+
+/**
+ * POST /api/customer-accounts/:id/payments
+ * Body: { amount, paymentMethod: 'efectivo' | 'mercadopago', mercadoPagoAccountId?, cashRegisterId?, description? }
+ * Pago (total o parcial) del fiado. Cobrado en una caja abierta, entra en el
+ * esperado de esa caja y llega a finanzas con su cierre; sin caja, se registra
+ * directamente como ingreso en la cuenta donde se cobró.
+ */
+router.post('/:id/payments', idempotent('customerAccounts.payment'), async (req, res) => {
+  try {
+    const { paymentMethod, mercadoPagoAccountId, cashRegisterId } = req.body;
+    const amount = Math.round(Number(req.body.amount) * 100) / 100;
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'amount debe ser mayor a 0' });
+    }
+    if (!['efectivo', 'mercadopago'].includes(paymentMethod)) {
+      return res.status(400).json({ error: 'paymentMethod debe ser "efectivo" o "mercadopago"' });
+    }
+    if (paymentMethod === 'mercadopago' && !mercadoPagoAccountId && !cashRegisterId) {
+      return res.status(400).json({ error: 'mercadoPagoAccountId requerido para mercadopago' });
+    }
+
+    const entryId = crypto.randomUUID();
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      // Bloquea al cliente para que dos cobros simultáneos no superen el saldo.
+      const customer = (
+        await client.query(
+          'SELECT * FROM customer_accounts WHERE id = $1 FOR UPDATE',
+          [req.params.id],
+        )
+      ).rows[0];
+      if (!customer) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cliente no encontrado' });
+      }
+      const balance = Number(
+        (
+          await client.query(
+            `SELECT ${CUSTOMER_BALANCE_SQL} AS balance FROM customer_accounts ca WHERE ca.id = $1`,
+            [customer.id],
+          )
+        ).rows[0].balance,
+      );
+      if (amount > balance + 0.005) {
+        throw customerAccountError(
+          `El pago supera el saldo del cliente ($${Math.round(balance * 100) / 100})`,
+        );
+      }
+
+      let accountId = paymentMethod === 'mercadopago' ? mercadoPagoAccountId : null;
+      if (cashRegisterId) {
+        const register = (
+          await client.query(
+            'SELECT id, status, mercado_pago_account_id FROM cash_registers WHERE id = $1',
+            [cashRegisterId],
+          )
+        ).rows[0];
+        if (!register) {
+          throw customerAccountError('Caja no encontrada');
+        }
+        if (register.status !== 'open') {
+          throw customerAccountError('La caja no está abierta');
+        }
+        if (paymentMethod === 'mercadopago' && !accountId) {
+          accountId = register.mercado_pago_account_id;
+        }
+      }
+      if (paymentMethod === 'mercadopago') {
+        await assertMercadoPagoLiquidityAccount(client, accountId);
+      }
+
+      const description = parseText(req.body.description);
+      await client.query(
+        `INSERT INTO customer_account_entries
+          (id, customer_account_id, type, amount, description, cash_register_id, payment_method, mercado_pago_account_id, created_by)
+         VALUES ($1, $2, 'payment', $3, $4, $5, $6, $7, $8)`,
+        [
+          entryId,
+          customer.id,
+          amount,
+          description,
+          cashRegisterId || null,
+          paymentMethod,
+          accountId,
+          req.user?.id ?? null,
+        ],
+      );
+      // Sin caja no hay cierre que lo registre: ingreso directo en la cuenta.
+      if (!cashRegisterId) {
+        await client.query(
+          `INSERT INTO finance_transactions
+          (id, account_id, type, amount, description, source, category, reference_id, date)
+          VALUES ($1, $2, 'income', $3, $4, 'buffet', 'buffet', $5, CURRENT_TIMESTAMP)`,
+          [
+            crypto.randomUUID(),
+            paymentMethod === 'efectivo' ? 'efectivo' : accountId,
+            amount,
+            `Cobro de fiado — ${customer.name}`,
+            `fiado-payment:${entryId}`,
+          ],
+        );
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    const result = await db.query(
+      `SELECT e.*, u.name AS created_by_name
+       FROM customer_account_entries e
+       LEFT JOIN app_users u ON u.id = e.created_by
+       WHERE e.id = $1`,
+      [entryId],
+    );
+    res.status(201).json(formatEntry(result.rows[0]));
+  } catch (error) {
+    console.error('Error recording customer account payment:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al registrar el pago' });
+  }
+});
+
+/**
+ * DELETE /api/customer-accounts/:id/payments/:entryId
+ * Anula un pago: el cobrado en caja sólo mientras esa caja siga abierta; el
+ * cobrado fuera de caja se borra junto con su ingreso en finanzas.
+ */
+router.delete('/:id/payments/:entryId', async (req, res) => {
+  try {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const entry = (
+        await client.query(
+          `SELECT e.*, cr.status AS cash_register_status
+           FROM customer_account_entries e
+           LEFT JOIN cash_registers cr ON cr.id = e.cash_register_id
+           WHERE e.id = $1 AND e.customer_account_id = $2 AND e.type = 'payment'
+           FOR UPDATE OF e`,
+          [req.params.entryId, req.params.id],
+        )
+      ).rows[0];
+      if (!entry) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Pago no encontrado' });
+      }
+      if (entry.cash_register_id && entry.cash_register_status !== 'open') {
+        throw customerAccountError(
+          'El pago se cobró en una caja ya cerrada: reabrila o corregí el cierre',
+        );
+      }
+      await client.query('DELETE FROM customer_account_entries WHERE id = $1', [
+        entry.id,
+      ]);
+      await client.query('DELETE FROM finance_transactions WHERE reference_id = $1', [
+        `fiado-payment:${entry.id}`,
+      ]);
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting customer account payment:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al anular el pago' });
+  }
+});
+
+export default router;
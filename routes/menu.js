@@ -1,5 +1,9 @@
 import express from 'express';
 import db from '../database.js';
+import {
+  normalizeModifierGroups,
+  parseModifierGroups,
+} from '../lib/menuModifiers.js';
 
 const router = express.Router();
 
@@ -33,7 +37,7 @@ function normalizeMenuRecipe(recipe) {
 router.get('/', async (req, res) => {
   try {
     const result = await db.query(`
-      SELECT id, name, description, price, category, type, available, popular, portions, recipe
+      SELECT id, name, description, price, category, type, available, popular, portions, recipe, modifier_groups
       FROM menu_items
       ORDER BY category, name
     `);
@@ -49,6 +53,7 @@ router.get('/', async (req, res) => {
       popular: Boolean(item.popular),
       portions: item.portions != null ? item.portions : 1,
       recipe: normalizeMenuRecipe(parseRecipe(item.recipe)),
+      modifierGroups: parseModifierGroups(item.modifier_groups),
     }));
 
     res.json(formattedItems);
@@ -62,7 +67,7 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const result = await db.query(
-      `SELECT id, name, description, price, category, type, available, popular, portions, recipe
+      `SELECT id, name, description, price, category, type, available, popular, portions, recipe, modifier_groups
        FROM menu_items WHERE id = $1`,
       [req.params.id],
     );
@@ -83,6 +88,7 @@ router.get('/:id', async (req, res) => {
       popular: Boolean(item.popular),
       portions: item.portions != null ? item.portions : 1,
       recipe: normalizeMenuRecipe(parseRecipe(item.recipe)),
+      modifierGroups: parseModifierGroups(item.modifier_groups),
     });
   } catch (error) {
     console.error('Error fetching menu item:', error);
@@ -104,6 +110,7 @@ router.post('/', async (req, res) => {
       popular,
       portions,
       recipe,
+      modifierGroups,
     } = req.body;
 
     if (!id || !name || price === undefined || !category || !type) {
@@ -122,10 +129,13 @@ router.post('/', async (req, res) => {
     const recipeJson = JSON.stringify(recipeNormalized);
     const portionsNum =
       typeof portions === 'number' && portions >= 1 ? portions : 1;
+    const modifierGroupsJson = JSON.stringify(
+      modifierGroups != null ? normalizeModifierGroups(modifierGroups) : [],
+    );
 
     await db.query(
-      `INSERT INTO menu_items (id, name, description, price, category, type, available, popular, portions, recipe)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      `INSERT INTO menu_items (id, name, description, price, category, type, available, popular, portions, recipe, modifier_groups)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
       [
         id,
         name,
@@ -137,11 +147,12 @@ router.post('/', async (req, res) => {
         popular ? 1 : 0,
         portionsNum,
         recipeJson,
+        modifierGroupsJson,
       ],
     );
 
     const result = await db.query(
-      `SELECT id, name, description, price, category, type, available, popular, portions, recipe
+      `SELECT id, name, description, price, category, type, available, popular, portions, recipe, modifier_groups
        FROM menu_items WHERE id = $1`,
       [id],
     );
@@ -158,11 +169,15 @@ router.post('/', async (req, res) => {
       popular: Boolean(item.popular),
       portions: item.portions != null ? item.portions : 1,
       recipe: normalizeMenuRecipe(parseRecipe(item.recipe)),
+      modifierGroups: parseModifierGroups(item.modifier_groups),
     });
   } catch (error) {
     if (error.code === '23505') {
       return res.status(409).json({ error: 'El ID del item ya existe' });
     }
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error creating menu item:', error);
     res.status(500).json({ error: 'Error al crear el item del menú' });
   }
@@ -181,6 +196,7 @@ router.put('/:id', async (req, res) => {
       popular,
       portions,
       recipe,
+      modifierGroups,
     } = req.body;
 
     const recipeNormalized = Array.isArray(recipe)
@@ -189,11 +205,17 @@ router.put('/:id', async (req, res) => {
     const recipeJson = JSON.stringify(recipeNormalized);
     const portionsNum =
       typeof portions === 'number' && portions >= 1 ? portions : 1;
+    // Sin modifierGroups en el body se conservan los grupos actuales.
+    const modifierGroupsJson =
+      modifierGroups != null
+        ? JSON.stringify(normalizeModifierGroups(modifierGroups))
+        : null;
 
     const result = await db.query(
       `UPDATE menu_items
        SET name = $1, description = $2, price = $3, category = $4, type = $5,
-           available = $6, popular = $7, portions = $8, recipe = $9, updated_at = CURRENT_TIMESTAMP
+           available = $6, popular = $7, portions = $8, recipe = $9,
+           modifier_groups = COALESCE($11, modifier_groups), updated_at = CURRENT_TIMESTAMP
        WHERE id = $10`,
       [
         name,
@@ -206,6 +228,7 @@ router.put('/:id', async (req, res) => {
         portionsNum,
         recipeJson,
         req.params.id,
+        modifierGroupsJson,
       ],
     );
 
@@ -214,7 +237,7 @@ router.put('/:id', async (req, res) => {
     }
 
     const itemResult = await db.query(
-      `SELECT id, name, description, price, category, type, available, popular, portions, recipe
+      `SELECT id, name, description, price, category, type, available, popular, portions, recipe, modifier_groups
        FROM menu_items WHERE id = $1`,
       [req.params.id],
     );
@@ -231,9 +254,13 @@ router.put('/:id', async (req, res) => {
       popular: Boolean(item.popular),
       portions: item.portions != null ? item.portions : 1,
       recipe: normalizeMenuRecipe(parseRecipe(item.recipe)),
+      modifierGroups: parseModifierGroups(item.modifier_groups),
     });
   } catch (error) {
     console.error('Error updating menu item:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Error al actualizar el item del menú' });
   }
 });
@@ -2,61 +2,184 @@ import express from 'express';
 import db from '../database.js';
 import { randomUUID } from 'crypto';
 import { snapshotCostsForOrder } from '../lib/orderItemCosts.js';
+import { replaceOrderPayments } from '../lib/orderPayments.js';
+import { recordOpenAccountEvent, recordOrderEvent } from '../lib/orderEvents.js';
+import { chargeCustomerAccount } from '../lib/customerAccounts.js';
+import {
+  allocateTendersToOrders,
+  getOpenAccountBalance,
+  splitEvenly,
+} from '../lib/openAccountPayments.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { formatOrder, orderSelectWithItems } from '../lib/orderFormat.js';
 
 const router = express.Router();
 
+// Cuenta con sus agregados en una sola consulta (sin una consulta por cuenta).
+const openAccountSelect = `
+  SELECT oa.*,
+         u.name AS created_by_name,
+         COALESCE(o.order_ids, ARRAY[]::text[]) AS order_ids,
+         COALESCE(o.total, 0)::float AS orders_total,
+         COALESCE(o.discount, 0)::float AS orders_discount,
+         COALESCE(cm.credit, 0)::float AS cup_credit,
+         COALESCE(p.paid, 0)::float AS paid
+  FROM open_accounts oa
+  LEFT JOIN app_users u ON u.id = oa.created_by
+  LEFT JOIN LATERAL (
+    SELECT array_agg(ord.id ORDER BY ord.created_at, ord.id) AS order_ids,
+           SUM(ord.total) AS total,
+           SUM(COALESCE(ord.discount, 0)) AS discount
+    FROM orders ord
+    WHERE (ord.open_account_id = oa.id OR ord.closed_open_account_id = oa.id)
+      AND ord.status != 'cancelled'
+  ) o ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT SUM(c.amount) AS credit FROM cup_movements c
+    WHERE c.type = 'return' AND c.payment_method = 'cuenta_abierta' AND c.open_account_id = oa.id
+  ) cm ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT SUM(pay.amount) AS paid FROM open_account_payments pay
+    WHERE pay.open_account_id = oa.id
+  ) p ON TRUE
+`;
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function formatOpenAccount(row) {
+  const ordersTotal = Number(row.orders_total) || 0;
+  const discount = Number(row.orders_discount) || 0;
+  const cupCredit = Number(row.cup_credit) || 0;
+  const paid = Number(row.paid) || 0;
+  const total = roundMoney(Math.max(0, ordersTotal - cupCredit));
+  return {
+    id: row.id,
+    customerName: row.name,
+    status: row.status,
+    orderIds: row.order_ids ?? [],
+    subtotal: roundMoney(ordersTotal + discount),
+    discount: roundMoney(discount),
+    cupCredit: roundMoney(cupCredit),
+    total,
+    paid: roundMoney(paid),
+    balance: roundMoney(total - paid),
+    cashRegisterId: row.cash_register_id,
+    createdBy: row.created_by
+      ? { id: row.created_by, name: row.created_by_name || undefined }
+      : undefined,
+    createdAt: new Date(row.created_at).toISOString(),
+    closedAt: row.closed_at ? new Date(row.closed_at).toISOString() : undefined,
+    paymentMethodUsed: row.payment_method_used || undefined,
+    closedDiscount: row.closed_discount != null ? Number(row.closed_discount) : undefined,
+    closedDiscountReason: row.closed_discount_reason || undefined,
+    customerAccountId: row.customer_account_id || undefined,
+    mergedIntoOpenAccountId: row.merged_into_open_account_id || undefined,
+  };
+}
+
 /**
  * GET /open-accounts?cashRegisterId=xxx
- * List open accounts (status = 'open') for the given cash register.
- * Response: array of { id, customerName, orderIds, total, cashRegisterId, createdAt }
+ * List open accounts (status = 'open', the default) for the given cash register.
+ * History: status=closed|all with optional search (name), dateFrom, dateTo and
+ * cashRegisterId, newest first (limit, max 200).
+ * Response: array of { id, customerName, orderIds, subtotal, discount, cupCredit, total, paid, balance, cashRegisterId, createdBy, createdAt, ... }
  */
 router.get('/', async (req, res) => {
   try {
-    const { cashRegisterId } = req.query;
-    if (!cashRegisterId) {
+    const { cashRegisterId, search, dateFrom, dateTo } = req.query;
+    const status = req.query.status || 'open';
+    if (!['open', 'closed', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'status debe ser "open", "closed" o "all"' });
+    }
+    if (status === 'open' && !cashRegisterId) {
       return res.status(400).json({ error: 'cashRegisterId es requerido' });
     }
 
-    const accounts = await db.query(
-      `SELECT id, name, cash_register_id, status, created_at
-       FROM open_accounts
-       WHERE cash_register_id = $1 AND status = 'open'
-       ORDER BY created_at ASC`,
-      [cashRegisterId]
-    );
-
-    const result = [];
-    for (const row of accounts.rows) {
-      const orders = await db.query(
-        `SELECT id, total FROM orders WHERE open_account_id = $1 ORDER BY created_at ASC`,
-        [row.id]
-      );
-      const orderIds = orders.rows.map((o) => o.id);
-      let total = orders.rows.reduce((sum, o) => sum + Number(o.total), 0);
-      const cupCredit = await db.query(
-        `SELECT COALESCE(SUM(amount), 0)::float AS s FROM cup_movements
-         WHERE type = 'return' AND payment_method = 'cuenta_abierta' AND open_account_id = $1`,
-        [row.id]
+    const whereClauses = [];
+    const params = [];
+    if (status !== 'all') {
+      params.push(status);
+      whereClauses.push(`oa.status = $${params.length}`);
+    }
+    if (cashRegisterId) {
+      params.push(cashRegisterId);
+      whereClauses.push(`oa.cash_register_id = $${params.length}`);
+    }
+    if (search && String(search).trim()) {
+      params.push(`%${String(search).trim()}%`);
+      whereClauses.push(`oa.name ILIKE $${params.length}`);
+    }
+    // Historial: por fecha de cierre (o de apertura si sigue abierta).
+    if (dateFrom) {
+      params.push(dateFrom);
+      whereClauses.push(`COALESCE(oa.closed_at, oa.created_at) >= $${params.length}::date`);
+    }
+    if (dateTo) {
+      params.push(dateTo);
+      whereClauses.push(
+        `COALESCE(oa.closed_at, oa.created_at) < ($${params.length}::date + interval '1 day')`
       );
-      const credit = Number(cupCredit.rows[0]?.s) || 0;
-      total = Math.max(0, total - credit);
-      result.push({
-        id: row.id,
-        customerName: row.name,
-        orderIds,
-        total,
-        cashRegisterId: row.cash_register_id,
-        createdAt: new Date(row.created_at).toISOString(),
-      });
+    }
+    const where = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    let orderAndLimit = 'ORDER BY oa.created_at ASC';
+    if (status !== 'open') {
+      params.push(Math.min(200, Math.max(1, Math.floor(Number(req.query.limit)) || 50)));
+      orderAndLimit = `ORDER BY COALESCE(oa.closed_at, oa.created_at) DESC LIMIT $${params.length}`;
     }
 
-    res.json(result);
+    const accounts = await db.query(`${openAccountSelect} ${where} ${orderAndLimit}`, params);
+    res.json(accounts.rows.map(formatOpenAccount));
   } catch (error) {
     console.error('Error fetching open accounts:', error);
     res.status(500).json({ error: 'Error al obtener cuentas abiertas' });
   }
 });
 
+/**
+ * GET /open-accounts/:id
+ * Full tab (open or closed): orders with items, cup credits, partial payments,
+ * subtotal, discount, balance and the user who opened it.
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const row = (await db.query(`${openAccountSelect} WHERE oa.id = $1`, [
+      req.params.id,
+    ])).rows[0];
+    if (!row) {
+      return res.status(404).json({ error: 'Cuenta abierta no encontrada' });
+    }
+    const orders = await db.query(
+      `${orderSelectWithItems}
+       WHERE o.open_account_id = $1 OR o.closed_open_account_id = $1
+       ORDER BY o.created_at ASC, o.id ASC`,
+      [row.id]
+    );
+    const cupCredits = await db.query(
+      `SELECT id, quantity, amount, created_by, created_at FROM cup_movements
+       WHERE type = 'return' AND payment_method = 'cuenta_abierta' AND open_account_id = $1
+       ORDER BY created_at ASC`,
+      [row.id]
+    );
+    res.json({
+      ...formatOpenAccount(row),
+      orders: orders.rows.map(formatOrder),
+      cupCredits: cupCredits.rows.map((c) => ({
+        id: c.id,
+        quantity: Number(c.quantity),
+        amount: Number(c.amount),
+        createdBy: c.created_by || undefined,
+        createdAt: new Date(c.created_at).toISOString(),
+      })),
+      payments: await getOpenAccountPayments(db, row.id),
+    });
+  } catch (error) {
+    console.error('Error fetching open account:', error);
+    res.status(500).json({ error: 'Error al obtener la cuenta abierta' });
+  }
+});
+
 /**
  * POST /open-accounts
  * Body: { name, cashRegisterId }
@@ -69,26 +192,26 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'name y cashRegisterId son requeridos' });
     }
 
+    const register = (await db.query(
+      'SELECT id, status FROM cash_registers WHERE id = $1',
+      [cashRegisterId]
+    )).rows[0];
+    if (!register) {
+      return res.status(400).json({ error: 'cash_register_id no válido' });
+    }
+    if (register.status !== 'open') {
+      return res.status(400).json({ error: 'La caja no está abierta' });
+    }
+
     const id = randomUUID();
     await db.query(
-      `INSERT INTO open_accounts (id, name, cash_register_id, status)
-       VALUES ($1, $2, $3, 'open')`,
-      [id, name.trim(), cashRegisterId]
+      `INSERT INTO open_accounts (id, name, cash_register_id, status, created_by)
+       VALUES ($1, $2, $3, 'open', $4)`,
+      [id, name.trim(), cashRegisterId, req.user?.id ?? null]
     );
 
-    const row = (await db.query(
-      'SELECT id, name, cash_register_id, created_at FROM open_accounts WHERE id = $1',
-      [id]
-    )).rows[0];
-
-    res.status(201).json({
-      id: row.id,
-      customerName: row.name,
-      orderIds: [],
-      total: 0,
-      cashRegisterId: row.cash_register_id,
-      createdAt: new Date(row.created_at).toISOString(),
-    });
+    const row = (await db.query(`${openAccountSelect} WHERE oa.id = $1`, [id])).rows[0];
+    res.status(201).json(formatOpenAccount(row));
   } catch (error) {
     if (error.code === '23503') {
       return res.status(400).json({ error: 'cash_register_id no válido' });
@@ -98,125 +221,861 @@ router.post('/', async (req, res) => {
   }
 });
 
+function openAccountError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function formatOpenAccountPayment(row) {
+  return {
+    id: row.id,
+    method: row.method,
+    amount: Number(row.amount),
+    mercadoPagoAccountId: row.mercado_pago_account_id || undefined,
+    payer: row.payer || undefined,
+    createdBy: row.created_by
+      ? { id: row.created_by, name: row.created_by_name || undefined }
+      : undefined,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+async function getOpenAccountPayments(client, openAccountId) {
+  const result = await client.query(
+    `SELECT p.*, u.name AS created_by_name
+     FROM open_account_payments p
+     LEFT JOIN app_users u ON u.id = p.created_by
+     WHERE p.open_account_id = $1
+     ORDER BY p.created_at ASC, p.id ASC`,
+    [openAccountId]
+  );
+  return result.rows.map(formatOpenAccountPayment);
+}
+
 /**
- * POST /open-accounts/:id/close
- * Body: { paymentMethod: 'efectivo' | 'mercadopago', mercadoPagoAccountId?: string, discount?: number, discountReason?: string }
- * Close the account: update all related orders with the payment method and set closed_open_account_* for history.
+ * Valida medio y cuenta de un pago; Mercado Pago sin cuenta usa la de la caja.
  */
-router.post('/:id/close', async (req, res) => {
-  try {
-    const id = req.params.id;
-    const { paymentMethod, mercadoPagoAccountId, discount, discountReason } = req.body;
+async function resolveTender(client, account, method, mercadoPagoAccountId) {
+  if (!['efectivo', 'mercadopago'].includes(method)) {
+    throw openAccountError('method debe ser "efectivo" o "mercadopago"');
+  }
+  if (method === 'efectivo') {
+    return { method, mercadoPagoAccountId: null };
+  }
+  let accountId = mercadoPagoAccountId;
+  if (!accountId) {
+    const register = (await client.query(
+      'SELECT mercado_pago_account_id FROM cash_registers WHERE id = $1',
+      [account.cash_register_id]
+    )).rows[0];
+    accountId = register?.mercado_pago_account_id;
+  }
+  const mp = await client.query(
+    "SELECT id FROM mercado_pago_accounts WHERE id = $1 AND id != 'efectivo'",
+    [accountId]
+  );
+  if (!mp.rows[0]) {
+    throw openAccountError('Cuenta de Mercado Pago no encontrada');
+  }
+  return { method, mercadoPagoAccountId: accountId };
+}
+
+/**
+ * Bloquea la caja de la cuenta y exige que siga abierta: los pagos y el cierre
+ * de la cuenta quedan en esa caja y, si ya cerró, no entrarían en ningún arqueo
+ * ni en finanzas.
+ */
+async function assertAccountRegisterOpen(client, account) {
+  const register = (await client.query(
+    'SELECT status FROM cash_registers WHERE id = $1 FOR UPDATE',
+    [account.cash_register_id]
+  )).rows[0];
+  if (!register || register.status !== 'open') {
+    throw openAccountError('La caja de la cuenta no está abierta');
+  }
+}
 
-    if (!paymentMethod || !['efectivo', 'mercadopago'].includes(paymentMethod)) {
-      return res.status(400).json({ error: 'paymentMethod debe ser "efectivo" o "mercadopago"' });
+async function insertOpenAccountPayment(client, account, tender, amount, payer, userId) {
+  const id = randomUUID();
+  await client.query(
+    `INSERT INTO open_account_payments (id, open_account_id, method, amount, mercado_pago_account_id, payer, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [id, account.id, tender.method, amount, tender.mercadoPagoAccountId, payer ?? null, userId ?? null]
+  );
+  return id;
+}
+
+/**
+ * Cierra una cuenta ya bloqueada (FOR UPDATE). Aplica el descuento, salda lo
+ * pendiente con `paymentMethod` (o lo carga al fiado) y reparte los pagos de la
+ * cuenta entre sus comandas como `order_payments`. Sin medio de pago sólo
+ * cierra si el saldo ya es 0. La caja de la cuenta tiene que estar abierta.
+ */
+async function closeLockedOpenAccount(client, account, options, userId) {
+  const { paymentMethod, mercadoPagoAccountId, customerAccountId, discount, discountReason } = options;
+  await assertAccountRegisterOpen(client, account);
+  const isFiado = paymentMethod === 'fiado';
+  let fiadoCustomerAccountId = null;
+  let fiadoCharge = 0;
+  const id = account.id;
+
+  if (isFiado) {
+    // Sin crear clientes al vuelo: duplicarían al mismo cliente y partirían su deuda.
+    if (!customerAccountId) {
+      throw openAccountError('customerAccountId es requerido para cerrar al fiado');
     }
-    if (paymentMethod === 'mercadopago' && !mercadoPagoAccountId) {
-      return res.status(400).json({ error: 'mercadoPagoAccountId requerido para mercadopago' });
+    const customer = (await client.query(
+      'SELECT id FROM customer_accounts WHERE id = $1',
+      [customerAccountId]
+    )).rows[0];
+    if (!customer) {
+      throw openAccountError('Cliente no encontrado');
     }
+    fiadoCustomerAccountId = customer.id;
+  }
+  const closingTender =
+    paymentMethod && !isFiado
+      ? await resolveTender(client, account, paymentMethod, mercadoPagoAccountId)
+      : null;
 
-    const accountRow = (await db.query(
-      'SELECT id, name, status FROM open_accounts WHERE id = $1',
+  const ordersForCost = await client.query(
+    `SELECT id FROM orders WHERE open_account_id = $1 AND status != 'cancelled'`,
+    [id],
+  );
+  for (const row of ordersForCost.rows) {
+    await snapshotCostsForOrder(client, row.id);
+  }
+
+  // If there's a discount, apply it to orders from last to first until fully applied
+  const hasDiscount = discount != null && Number(discount) > 0;
+  let ordersToDiscount = [];
+  if (hasDiscount && discountReason && String(discountReason).trim()) {
+    const ordersResult = await client.query(
+      `SELECT id, total, discount, discount_reason FROM orders
+       WHERE open_account_id = $1 AND status != 'cancelled'
+       ORDER BY created_at DESC`,
       [id]
+    );
+    ordersToDiscount = ordersResult.rows || [];
+  }
+
+  await client.query(
+    `UPDATE orders
+     SET payment_method = $1,
+         mercado_pago_account_id = $2,
+         closed_open_account_id = $3,
+         closed_open_account_name = $4,
+         open_account_id = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE open_account_id = $3`,
+    [
+      // Al fiado la comanda sigue sin cobrar: queda como cuenta abierta.
+      closingTender ? closingTender.method : 'cuenta_abierta',
+      closingTender?.mercadoPagoAccountId ?? null,
+      id,
+      account.name,
+    ]
+  );
+
+  if (ordersToDiscount.length > 0) {
+    const discountAmount = Number(discount);
+    const accountReasonPart = 'Descuento de la cuenta: ' + String(discountReason).trim();
+    let remainingDiscount = discountAmount;
+
+    for (const order of ordersToDiscount) {
+      if (remainingDiscount <= 0) break;
+
+      const currentTotal = Number(order.total);
+      const applyHere = Math.min(remainingDiscount, Math.max(0, currentTotal));
+      if (applyHere <= 0) continue;
+
+      const existingDiscount = order.discount != null ? Number(order.discount) : 0;
+      const existingReason = (order.discount_reason && String(order.discount_reason).trim()) || '';
+      const newTotal = currentTotal - applyHere;
+      const newDiscount = existingDiscount + applyHere;
+      const newReason = existingReason ? existingReason + ' ' + accountReasonPart : accountReasonPart;
+
+      await client.query(
+        `UPDATE orders
+         SET total = $1, discount = $2, discount_reason = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [newTotal, newDiscount, newReason, order.id]
+      );
+      await recordOrderEvent(client, order.id, 'discount_applied', userId, {
+        amount: applyHere,
+        reason: accountReasonPart,
+        previousTotal: currentTotal,
+        total: newTotal,
+        openAccountId: id,
+      });
+
+      remainingDiscount -= applyHere;
+    }
+  }
+
+  // Lo pendiente después del descuento se salda con el medio del cierre o va al fiado.
+  const { balance, cupCredit } = await getOpenAccountBalance(client, id);
+  if (balance < -0.005) {
+    throw openAccountError('El descuento supera el saldo pendiente de la cuenta');
+  }
+  if (balance > 0.005) {
+    if (closingTender) {
+      await insertOpenAccountPayment(client, account, closingTender, balance, null, userId);
+    } else if (isFiado) {
+      fiadoCharge = balance;
+      await chargeCustomerAccount(client, {
+        customerAccountId: fiadoCustomerAccountId,
+        amount: fiadoCharge,
+        description: `Cuenta ${account.name}`,
+        openAccountId: id,
+        cashRegisterId: account.cash_register_id,
+        userId,
+      });
+    } else {
+      throw openAccountError(`La cuenta tiene un saldo pendiente de $${balance}`);
+    }
+  }
+
+  // Pagos de la cuenta por medio; el principal es el de mayor monto.
+  const tendersResult = await client.query(
+    `SELECT method, mercado_pago_account_id, SUM(amount)::float AS amount,
+            MIN(created_at) AS first_at
+     FROM open_account_payments
+     WHERE open_account_id = $1
+     GROUP BY method, mercado_pago_account_id
+     ORDER BY first_at ASC`,
+    [id]
+  );
+  const tenders = tendersResult.rows.map((row) => ({
+    method: row.method,
+    amount: Number(row.amount),
+    mercadoPagoAccountId: row.mercado_pago_account_id || null,
+  }));
+  const primary =
+    [...tenders].sort((a, b) => b.amount - a.amount)[0] ??
+    closingTender ?? { method: 'efectivo', mercadoPagoAccountId: null };
+  // Los vasos devueltos a la cuenta se descuentan en el cierre de caja del
+  // medio principal, así que las comandas se registran por su total completo.
+  if (!isFiado && cupCredit > 0) {
+    tenders.push({
+      method: primary.method,
+      amount: cupCredit,
+      mercadoPagoAccountId: primary.mercadoPagoAccountId,
+    });
+  }
+
+  const closedOrders = await client.query(
+    `SELECT id, total FROM orders
+     WHERE closed_open_account_id = $1 AND status != 'cancelled'
+     ORDER BY created_at ASC, id ASC`,
+    [id]
+  );
+  const allocation = allocateTendersToOrders(closedOrders.rows, tenders);
+  for (const order of closedOrders.rows) {
+    await replaceOrderPayments(client, order.id, allocation.get(order.id) ?? [], userId);
+  }
+  if (isFiado) {
+    // replaceOrderPayments resume el medio con lo cobrado; al fiado sigue siendo cuenta abierta.
+    await client.query(
+      `UPDATE orders
+       SET payment_method = 'cuenta_abierta', mercado_pago_account_id = NULL
+       WHERE closed_open_account_id = $1`,
+      [id]
+    );
+  }
+
+  await client.query(
+    `UPDATE open_accounts
+     SET status = 'closed',
+         closed_at = CURRENT_TIMESTAMP,
+         payment_method_used = $1,
+         mercado_pago_account_id = $2,
+         closed_discount = $3,
+         closed_discount_reason = $4,
+         customer_account_id = $6,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5`,
+    [
+      isFiado ? 'fiado' : primary.method,
+      isFiado ? null : primary.mercadoPagoAccountId,
+      discount != null ? Number(discount) : null,
+      discountReason && String(discountReason).trim() ? String(discountReason).trim() : null,
+      id,
+      fiadoCustomerAccountId,
+    ]
+  );
+
+  return isFiado
+    ? {
+        customerAccountId: fiadoCustomerAccountId,
+        charged: Math.round(fiadoCharge * 100) / 100,
+      }
+    : {};
+}
+
+async function lockOpenAccount(client, id) {
+  const result = await client.query(
+    'SELECT id, name, status, cash_register_id FROM open_accounts WHERE id = $1 FOR UPDATE',
+    [id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * GET /open-accounts/:id/payments
+ * Partial payments of the account with total, paid and remaining balance.
+ */
+router.get('/:id/payments', async (req, res) => {
+  try {
+    const account = (await db.query(
+      'SELECT id, status FROM open_accounts WHERE id = $1',
+      [req.params.id]
     )).rows[0];
+    if (!account) {
+      return res.status(404).json({ error: 'Cuenta abierta no encontrada' });
+    }
+    res.json({
+      openAccountId: account.id,
+      status: account.status,
+      ...(await getOpenAccountBalance(db, account.id)),
+      payments: await getOpenAccountPayments(db, account.id),
+    });
+  } catch (error) {
+    console.error('Error fetching open account payments:', error);
+    res.status(500).json({ error: 'Error al obtener los pagos de la cuenta' });
+  }
+});
 
-    if (!accountRow) {
+/**
+ * GET /open-accounts/:id/split?people=N
+ * Even split of the remaining balance in N shares (cents go to the first shares).
+ */
+router.get('/:id/split', async (req, res) => {
+  try {
+    const people = Number(req.query.people);
+    if (!Number.isInteger(people) || people < 1) {
+      return res.status(400).json({ error: 'people debe ser un entero mayor a 0' });
+    }
+    const account = (await db.query(
+      'SELECT id FROM open_accounts WHERE id = $1',
+      [req.params.id]
+    )).rows[0];
+    if (!account) {
       return res.status(404).json({ error: 'Cuenta abierta no encontrada' });
     }
-    if (accountRow.status !== 'open') {
-      return res.status(400).json({ error: 'La cuenta ya está cerrada' });
+    const balance = await getOpenAccountBalance(db, account.id);
+    res.json({
+      ...balance,
+      people,
+      shares: splitEvenly(Math.max(0, balance.balance), people),
+    });
+  } catch (error) {
+    console.error('Error splitting open account:', error);
+    res.status(500).json({ error: 'Error al dividir la cuenta' });
+  }
+});
+
+/**
+ * POST /open-accounts/:id/payments
+ * Body: { method: 'efectivo' | 'mercadopago', mercadoPagoAccountId?, amount?, splitBetween?, payer? }
+ * Partial payment. `splitBetween: N` pays an even share of the remaining balance
+ * among the N people still to pay (instead of `amount`). When the balance reaches
+ * 0 the account is closed.
+ */
+router.post('/:id/payments', idempotent('openAccounts.payment'), async (req, res) => {
+  try {
+    const { method, mercadoPagoAccountId, splitBetween, payer } = req.body;
+    if (splitBetween != null && (!Number.isInteger(Number(splitBetween)) || Number(splitBetween) < 1)) {
+      return res.status(400).json({ error: 'splitBetween debe ser un entero mayor a 0' });
     }
 
+    let paymentId;
+    let closed = false;
     const client = await db.connect();
     try {
       await client.query('BEGIN');
+      const account = await lockOpenAccount(client, req.params.id);
+      if (!account) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cuenta abierta no encontrada' });
+      }
+      if (account.status !== 'open') {
+        throw openAccountError('La cuenta ya está cerrada');
+      }
+      await assertAccountRegisterOpen(client, account);
 
-      const ordersForCost = await client.query(
-        `SELECT id FROM orders WHERE open_account_id = $1`,
-        [id],
-      );
-      for (const row of ordersForCost.rows) {
-        await snapshotCostsForOrder(client, row.id);
+      const { balance } = await getOpenAccountBalance(client, account.id);
+      if (balance <= 0.005) {
+        throw openAccountError('La cuenta no tiene saldo pendiente');
+      }
+      const amount =
+        splitBetween != null
+          ? splitEvenly(balance, Number(splitBetween))[0]
+          : Math.round(Number(req.body.amount) * 100) / 100;
+      if (!Number.isFinite(amount) || amount <= 0) {
+        throw openAccountError('amount debe ser mayor a 0');
+      }
+      if (amount > balance + 0.005) {
+        throw openAccountError(`El pago supera el saldo pendiente ($${balance})`);
       }
 
-      // If there's a discount, apply it to orders from last to first until fully applied
-      const hasDiscount = discount != null && Number(discount) > 0;
-      let ordersToDiscount = [];
-      if (hasDiscount && discountReason && String(discountReason).trim()) {
-        const ordersResult = await client.query(
-          `SELECT id, total, discount, discount_reason FROM orders
-           WHERE open_account_id = $1
-           ORDER BY created_at DESC`,
-          [id]
-        );
-        ordersToDiscount = ordersResult.rows || [];
+      const tender = await resolveTender(client, account, method, mercadoPagoAccountId);
+      paymentId = await insertOpenAccountPayment(
+        client,
+        account,
+        tender,
+        amount,
+        typeof payer === 'string' && payer.trim() ? payer.trim() : null,
+        req.user?.id
+      );
+      if (balance - amount <= 0.005) {
+        await closeLockedOpenAccount(client, account, {}, req.user?.id);
+        closed = true;
       }
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
 
-      await client.query(
-        `UPDATE orders
-         SET payment_method = $1,
-             mercado_pago_account_id = $2,
-             closed_open_account_id = $3,
-             closed_open_account_name = $4,
-             open_account_id = NULL,
-             updated_at = CURRENT_TIMESTAMP
-         WHERE open_account_id = $3`,
-        [
-          paymentMethod,
-          paymentMethod === 'mercadopago' ? mercadoPagoAccountId : null,
-          id,
-          accountRow.name,
-        ]
+    const payments = await getOpenAccountPayments(db, req.params.id);
+    res.status(201).json({
+      payment: payments.find((p) => p.id === paymentId),
+      closed,
+      ...(await getOpenAccountBalance(db, req.params.id)),
+    });
+  } catch (error) {
+    console.error('Error recording open account payment:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al registrar el pago de la cuenta' });
+  }
+});
+
+/**
+ * DELETE /open-accounts/:id/payments/:paymentId
+ * Remove a partial payment while the account is still open.
+ */
+router.delete('/:id/payments/:paymentId', async (req, res) => {
+  try {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const account = await lockOpenAccount(client, req.params.id);
+      if (!account) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cuenta abierta no encontrada' });
+      }
+      if (account.status !== 'open') {
+        throw openAccountError('La cuenta ya está cerrada');
+      }
+      const deleted = await client.query(
+        'DELETE FROM open_account_payments WHERE id = $1 AND open_account_id = $2',
+        [req.params.paymentId, account.id]
       );
+      if (deleted.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Pago no encontrado' });
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting open account payment:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al eliminar el pago de la cuenta' });
+  }
+});
 
-      if (ordersToDiscount.length > 0) {
-        const discountAmount = Number(discount);
-        const accountReasonPart = 'Descuento de la cuenta: ' + String(discountReason).trim();
-        let remainingDiscount = discountAmount;
+/**
+ * Bloquea dos cuentas (en orden de id, para no trabarse con otro traspaso) y
+ * valida que estén abiertas y sean de la misma caja.
+ */
+async function lockTabPair(client, sourceId, targetId) {
+  if (!targetId) {
+    throw openAccountError('targetOpenAccountId es requerido');
+  }
+  if (sourceId === targetId) {
+    throw openAccountError('La cuenta de destino debe ser otra');
+  }
+  const result = await client.query(
+    `SELECT id, name, status, cash_register_id FROM open_accounts
+     WHERE id = ANY($1::text[])
+     ORDER BY id
+     FOR UPDATE`,
+    [[sourceId, targetId]]
+  );
+  const source = result.rows.find((r) => r.id === sourceId);
+  const target = result.rows.find((r) => r.id === targetId);
+  if (!source || !target) {
+    return null;
+  }
+  if (source.status !== 'open' || target.status !== 'open') {
+    throw openAccountError('Las dos cuentas tienen que estar abiertas');
+  }
+  if (source.cash_register_id !== target.cash_register_id) {
+    throw openAccountError('Las cuentas son de cajas distintas');
+  }
+  return { source, target };
+}
 
-        for (const order of ordersToDiscount) {
-          if (remainingDiscount <= 0) break;
+function parseIdList(value, field) {
+  if (value == null) return [];
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string' || !v)) {
+    throw openAccountError(`${field} debe ser un arreglo de ids`);
+  }
+  return [...new Set(value)];
+}
 
-          const currentTotal = Number(order.total);
-          const applyHere = Math.min(remainingDiscount, Math.max(0, currentTotal));
-          if (applyHere <= 0) continue;
+/**
+ * Pasa comandas y devoluciones de vasos acreditadas a la cuenta (`cuenta_abierta`)
+ * de `source` a `target`, con una entrada en el historial de cada comanda y de
+ * las dos cuentas. Con `all` mueve todo (unión de cuentas).
+ */
+async function moveBetweenTabs(client, source, target, selection, { action, reason, userId }) {
+  const orderIds = selection.all
+    ? (await client.query(
+        'SELECT id FROM orders WHERE open_account_id = $1 ORDER BY created_at',
+        [source.id]
+      )).rows.map((r) => r.id)
+    : selection.orderIds;
+  const cupMovementIds = selection.all
+    ? (await client.query(
+        `SELECT id FROM cup_movements
+         WHERE type = 'return' AND payment_method = 'cuenta_abierta' AND open_account_id = $1`,
+        [source.id]
+      )).rows.map((r) => r.id)
+    : selection.cupMovementIds;
+  if (orderIds.length === 0 && cupMovementIds.length === 0 && !selection.all) {
+    throw openAccountError('Elegí al menos una comanda o devolución de vasos');
+  }
 
-          const existingDiscount = order.discount != null ? Number(order.discount) : 0;
-          const existingReason = (order.discount_reason && String(order.discount_reason).trim()) || '';
-          const newTotal = currentTotal - applyHere;
-          const newDiscount = existingDiscount + applyHere;
-          const newReason = existingReason ? existingReason + ' ' + accountReasonPart : accountReasonPart;
+  if (orderIds.length > 0) {
+    const moved = await client.query(
+      `UPDATE orders SET open_account_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($2::text[]) AND open_account_id = $3`,
+      [target.id, orderIds, source.id]
+    );
+    if (moved.rowCount !== orderIds.length) {
+      throw openAccountError('Alguna comanda no pertenece a la cuenta de origen');
+    }
+  }
+  if (cupMovementIds.length > 0) {
+    const moved = await client.query(
+      `UPDATE cup_movements SET open_account_id = $1
+       WHERE id = ANY($2::text[]) AND type = 'return'
+         AND payment_method = 'cuenta_abierta' AND open_account_id = $3`,
+      [target.id, cupMovementIds, source.id]
+    );
+    if (moved.rowCount !== cupMovementIds.length) {
+      throw openAccountError('Alguna devolución de vasos no pertenece a la cuenta de origen');
+    }
+  }
+
+  const detail = {
+    action,
+    from: { id: source.id, name: source.name },
+    to: { id: target.id, name: target.name },
+    reason: reason || undefined,
+  };
+  for (const orderId of orderIds) {
+    await recordOrderEvent(client, orderId, 'open_account_changed', userId, detail);
+  }
+  const moves = { ...detail, orderIds, cupMovementIds };
+  await recordOpenAccountEvent(client, source.id, `${action}_out`, userId, moves);
+  await recordOpenAccountEvent(client, target.id, `${action}_in`, userId, moves);
+  return { orderIds, cupMovementIds };
+}
+
+/** Los pagos parciales se quedan en la cuenta de origen: no pueden superar lo que queda. */
+async function assertNotOverpaid(client, openAccountId) {
+  const { balance } = await getOpenAccountBalance(client, openAccountId);
+  if (balance < -0.005) {
+    throw openAccountError(
+      'La cuenta de origen quedaría con pagos por encima de su saldo: eliminá o mové esos pagos primero'
+    );
+  }
+}
 
-          await client.query(
-            `UPDATE orders
-             SET total = $1, discount = $2, discount_reason = $3, updated_at = CURRENT_TIMESTAMP
-             WHERE id = $4`,
-            [newTotal, newDiscount, newReason, order.id]
-          );
+function reasonFrom(body) {
+  return typeof body?.reason === 'string' && body.reason.trim() ? body.reason.trim() : null;
+}
 
-          remainingDiscount -= applyHere;
-        }
+async function tabSummary(client, account) {
+  return {
+    id: account.id,
+    customerName: account.name,
+    ...(await getOpenAccountBalance(client, account.id)),
+  };
+}
+
+/**
+ * POST /open-accounts/:id/transfer
+ * Body: { targetOpenAccountId, orderIds?: string[], cupMovementIds?: string[], reason? }
+ * Move orders (and cup returns credited to the tab) to another open tab of the same register.
+ */
+router.post('/:id/transfer', async (req, res) => {
+  try {
+    const orderIds = parseIdList(req.body?.orderIds, 'orderIds');
+    const cupMovementIds = parseIdList(req.body?.cupMovementIds, 'cupMovementIds');
+    const reason = reasonFrom(req.body);
+
+    let response;
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const tabs = await lockTabPair(client, req.params.id, req.body?.targetOpenAccountId);
+      if (!tabs) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cuenta abierta no encontrada' });
       }
+      const moved = await moveBetweenTabs(
+        client,
+        tabs.source,
+        tabs.target,
+        { orderIds, cupMovementIds },
+        { action: 'transfer', reason, userId: req.user?.id }
+      );
+      await assertNotOverpaid(client, tabs.source.id);
+      response = {
+        ...moved,
+        source: await tabSummary(client, tabs.source),
+        target: await tabSummary(client, tabs.target),
+      };
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('Error transferring open account orders:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al pasar las comandas de cuenta' });
+  }
+});
 
+/**
+ * POST /open-accounts/:id/merge
+ * Body: { targetOpenAccountId, reason? }
+ * Merge this tab into the target: orders, cup returns and partial payments move
+ * over and this tab is closed, pointing to the target.
+ */
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const reason = reasonFrom(req.body);
+
+    let response;
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const tabs = await lockTabPair(client, req.params.id, req.body?.targetOpenAccountId);
+      if (!tabs) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cuenta abierta no encontrada' });
+      }
+      const { source, target } = tabs;
+      const moved = await moveBetweenTabs(
+        client,
+        source,
+        target,
+        { all: true },
+        { action: 'merge', reason, userId: req.user?.id }
+      );
+      const payments = await client.query(
+        'UPDATE open_account_payments SET open_account_id = $1 WHERE open_account_id = $2 RETURNING id',
+        [target.id, source.id]
+      );
       await client.query(
         `UPDATE open_accounts
          SET status = 'closed',
              closed_at = CURRENT_TIMESTAMP,
-             payment_method_used = $1,
-             mercado_pago_account_id = $2,
-             closed_discount = $3,
-             closed_discount_reason = $4,
+             merged_into_open_account_id = $1,
              updated_at = CURRENT_TIMESTAMP
-         WHERE id = $5`,
-        [
-          paymentMethod,
-          paymentMethod === 'mercadopago' ? mercadoPagoAccountId : null,
-          discount != null ? Number(discount) : null,
-          discountReason && String(discountReason).trim() ? String(discountReason).trim() : null,
-          id,
-        ]
+         WHERE id = $2`,
+        [target.id, source.id]
+      );
+      response = {
+        ...moved,
+        paymentIds: payments.rows.map((r) => r.id),
+        target: await tabSummary(client, target),
+      };
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('Error merging open accounts:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al unir las cuentas' });
+  }
+});
+
+/**
+ * POST /open-accounts/:id/separate
+ * Body: { name, orderIds?: string[], cupMovementIds?: string[], reason? }
+ * Split the selected orders (and cup returns) out of this tab into a new tab of
+ * the same register.
+ */
+router.post('/:id/separate', async (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'name es requerido' });
+    }
+    const orderIds = parseIdList(req.body?.orderIds, 'orderIds');
+    const cupMovementIds = parseIdList(req.body?.cupMovementIds, 'cupMovementIds');
+    const reason = reasonFrom(req.body);
+
+    let response;
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const source = await lockOpenAccount(client, req.params.id);
+      if (!source) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cuenta abierta no encontrada' });
+      }
+      if (source.status !== 'open') {
+        throw openAccountError('La cuenta ya está cerrada');
+      }
+      const target = {
+        id: randomUUID(),
+        name,
+        status: 'open',
+        cash_register_id: source.cash_register_id,
+      };
+      await client.query(
+        `INSERT INTO open_accounts (id, name, cash_register_id, status, created_by)
+         VALUES ($1, $2, $3, 'open', $4)`,
+        [target.id, target.name, target.cash_register_id, req.user?.id ?? null]
       );
+      const moved = await moveBetweenTabs(
+        client,
+        source,
+        target,
+        { orderIds, cupMovementIds },
+        { action: 'separate', reason, userId: req.user?.id }
+      );
+      await assertNotOverpaid(client, source.id);
+      response = {
+        ...moved,
+        source: await tabSummary(client, source),
+        target: { ...(await tabSummary(client, target)), cashRegisterId: target.cash_register_id },
+      };
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+    res.status(201).json(response);
+  } catch (error) {
+    console.error('Error separating open account orders:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al separar la cuenta' });
+  }
+});
+
+/**
+ * GET /open-accounts/:id/history
+ * Audit log of the tab (transfers, merges and splits), oldest first.
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const account = (await db.query(
+      'SELECT id FROM open_accounts WHERE id = $1',
+      [req.params.id]
+    )).rows[0];
+    if (!account) {
+      return res.status(404).json({ error: 'Cuenta abierta no encontrada' });
+    }
+    const result = await db.query(
+      `SELECT e.id, e.type, e.user_id, u.name AS user_name, e.data, e.created_at
+       FROM open_account_events e
+       LEFT JOIN app_users u ON u.id = e.user_id
+       WHERE e.open_account_id = $1
+       ORDER BY e.created_at, e.id`,
+      [account.id]
+    );
+    res.json({
+      openAccountId: account.id,
+      events: result.rows.map((row) => ({
+        id: row.id,
+        type: row.type,
+        userId: row.user_id || undefined,
+        userName: row.user_name || undefined,
+        data: row.data ?? undefined,
+        createdAt: new Date(row.created_at).toISOString(),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching open account history:', error);
+    res.status(500).json({ error: 'Error al obtener el historial de la cuenta' });
+  }
+});
 
+/**
+ * POST /open-accounts/:id/close
+ * Body: { paymentMethod?: 'efectivo' | 'mercadopago' | 'fiado', mercadoPagoAccountId?: string, customerAccountId?: string, discount?: number, discountReason?: string }
+ * Close the account: the remaining balance (after partial payments and discount) is
+ * paid with paymentMethod, and the account's payments are recorded on its orders.
+ * Without paymentMethod the balance must already be 0.
+ * With 'fiado' the remaining balance is charged to the customer account
+ * `customerAccountId` (required) and paid later.
+ */
+router.post('/:id/close', async (req, res) => {
+  try {
+    const { paymentMethod, mercadoPagoAccountId, customerAccountId } = req.body;
+
+    if (paymentMethod != null && !['efectivo', 'mercadopago', 'fiado'].includes(paymentMethod)) {
+      return res.status(400).json({ error: 'paymentMethod debe ser "efectivo", "mercadopago" o "fiado"' });
+    }
+    if (paymentMethod === 'mercadopago' && !mercadoPagoAccountId) {
+      return res.status(400).json({ error: 'mercadoPagoAccountId requerido para mercadopago' });
+    }
+    if (paymentMethod === 'fiado' && !customerAccountId) {
+      return res.status(400).json({ error: 'customerAccountId es requerido para cerrar al fiado' });
+    }
+
+    let result;
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const account = await lockOpenAccount(client, req.params.id);
+      if (!account) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cuenta abierta no encontrada' });
+      }
+      if (account.status !== 'open') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'La cuenta ya está cerrada' });
+      }
+      result = await closeLockedOpenAccount(client, account, req.body, req.user?.id);
       await client.query('COMMIT');
     } catch (e) {
       await client.query('ROLLBACK');
@@ -227,10 +1086,14 @@ router.post('/:id/close', async (req, res) => {
 
     res.json({
       ok: true,
-      message: 'Cuenta cerrada correctamente',
+      message: paymentMethod === 'fiado' ? 'Cuenta cerrada al fiado' : 'Cuenta cerrada correctamente',
+      ...result,
     });
   } catch (error) {
     console.error('Error closing open account:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Error al cerrar la cuenta' });
   }
 });
@@ -1,145 +1,199 @@
 import express from 'express';
 import crypto from 'crypto';
 import db from '../database.js';
-import { getUnitCostsForMenuItemIds } from '../lib/menuItemCost.js';
-import { getCupPrice } from '../lib/cupPrice.js';
+import { getUnitCostsForOrderLines } from '../lib/menuItemCost.js';
+import {
+  computeOrderItemsSubtotal,
+  computeOrderTotal,
+  computePresetDiscount,
+  loadDiscountPreset,
+  normalizeCupsInput,
+  priceOrder,
+} from '../lib/orderPricing.js';
+import { snapshotCostsForOrder } from '../lib/orderItemCosts.js';
+import { recordOrderEvent } from '../lib/orderEvents.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { signStreamToken } from '../middleware/auth.js';
+import { getPrinterDestination, printTicket } from '../lib/printer.js';
+import { renderCustomerReceipt, renderKitchenTicket } from '../lib/tickets.js';
+import {
+  publishOrderEvent,
+  subscribeOrderStream,
+} from '../lib/orderStream.js';
+import {
+  normalizeOrderPayments,
+  replaceOrderPayments,
+  summarizeOrderPaymentMethod,
+} from '../lib/orderPayments.js';
+import { formatOrder, orderSelectWithItems } from '../lib/orderFormat.js';
+import { CUP_ORIGIN_SQL } from '../lib/cupReturns.js';
 
 const router = express.Router();
 
-// Build order SELECT with items as JSON (PostgreSQL)
-const orderSelectWithItems = `
-  SELECT
-    o.*,
-    (SELECT COALESCE(json_agg(json_build_object(
-      'id', oi.id,
-      'menuItem', json_build_object(
-        'id', oi.menu_item_id,
-        'name', oi.name,
-        'description', oi.description,
-        'price', oi.price,
-        'category', oi.category,
-        'type', oi.type,
-        'unitCost', oi.unit_cost
-      ),
-      'quantity', oi.quantity,
-      'notes', oi.notes,
-      'isDelivered', oi.is_delivered,
-      'createdAt', oi.created_at,
-      'deliveredAt', oi.delivered_at,
-      'promotionId', oi.promotion_id,
-      'promotionGroupId', oi.promotion_group_id,
-      'promotionName', oi.promotion_name,
-      'promotionPrice', oi.promotion_price,
-      'promotionUnitPrice', oi.promotion_unit_price,
-      'promotionGroupCost', oi.promotion_group_cost
-    )), '[]'::json)
-    FROM order_items oi WHERE oi.order_id = o.id) AS items_json
-  FROM orders o
-`;
-
-function formatOrder(order) {
-  const items = Array.isArray(order.items_json)
-    ? order.items_json
-    : order.items_json
-      ? JSON.parse(order.items_json)
-      : [];
-  return {
-    id: order.id,
-    customerName: order.customer_name,
-    items: items.map((item) => {
-      const mi = item.menuItem || {};
-      const menuItem = {
-        id: mi.id,
-        name: mi.name,
-        description: mi.description,
-        price: Number(mi.price),
-        category: mi.category,
-        type: mi.type,
-      };
-      if (mi.unitCost != null && mi.unitCost !== '') {
-        menuItem.unitCost = Number(mi.unitCost);
-      }
-      return {
-        id: item.id,
-        menuItem,
-        quantity: item.quantity,
-        notes: item.notes || undefined,
-        isDelivered: Boolean(item.isDelivered),
-        createdAt: item.createdAt
-          ? new Date(item.createdAt).toISOString()
-          : undefined,
-        deliveredAt: item.deliveredAt
-          ? new Date(item.deliveredAt).toISOString()
-          : undefined,
-        promotionId: item.promotionId || undefined,
-        promotionGroupId: item.promotionGroupId || undefined,
-        promotionName: item.promotionName || undefined,
-        promotionPrice:
-          item.promotionPrice != null && item.promotionPrice !== ''
-            ? Number(item.promotionPrice)
-            : undefined,
-        promotionUnitPrice:
-          item.promotionUnitPrice != null && item.promotionUnitPrice !== ''
-            ? Number(item.promotionUnitPrice)
-            : undefined,
-        promotionGroupCost:
-          item.promotionGroupCost != null && item.promotionGroupCost !== ''
-            ? Number(item.promotionGroupCost)
-            : undefined,
-      };
-    }),
-    total: Number(order.total),
-    status: order.status,
-    paymentMethod: order.payment_method,
-    mercadoPagoAccountId: order.mercado_pago_account_id || undefined,
-    cashRegisterId: order.cash_register_id || undefined,
-    openAccountId: order.open_account_id || undefined,
-    closedOpenAccountId: order.closed_open_account_id || undefined,
-    closedOpenAccountName: order.closed_open_account_name || undefined,
-    discount: order.discount != null ? Number(order.discount) : undefined,
-    discountReason: order.discount_reason || undefined,
-    notes: order.notes || undefined,
-    createdAt: new Date(order.created_at).toISOString(),
-    updatedAt: order.updated_at
-      ? new Date(order.updated_at).toISOString()
-      : undefined,
-    cupsDelivered:
-      order.cups_delivered != null && order.cups_delivered !== ''
-        ? Number(order.cups_delivered)
-        : 0,
-  };
-}
-
-function computeOrderItemsSubtotal(items) {
-  const countedPromoGroups = new Set();
-  let sum = 0;
-  for (const item of items) {
-    if (!item?.menuItem?.id || item.quantity == null) continue;
-    const qty = Math.floor(Number(item.quantity));
-    if (!Number.isFinite(qty) || qty <= 0) continue;
-
-    const groupId = item.promotionGroupId;
-    if (groupId) {
-      if (countedPromoGroups.has(groupId)) continue;
-      countedPromoGroups.add(groupId);
-      const promoPrice =
+/**
+ * Inserta las filas de order_items de una línea ya valorizada.
+ * Comida se guarda por unidad para permitir entrega individual
+ * sin tener que desdoblar filas al momento de marcar "entregado".
+ */
+async function insertOrderItemRows(
+  client,
+  orderId,
+  item,
+  { unitCost = null, promotionGroupCost = null } = {},
+) {
+  const qty = Math.max(1, Math.floor(Number(item.quantity) || 1));
+  const type = item.menuItem.type;
+  const rowsToInsert = type === 'comida' ? qty : 1;
+  const quantityPerRow = type === 'comida' ? 1 : qty;
+
+  for (let i = 0; i < rowsToInsert; i++) {
+    await client.query(
+      `INSERT INTO order_items (
+         order_id, menu_item_id, name, description, price, category, type,
+         quantity, notes, unit_cost, is_delivered, created_at, delivered_at,
+         promotion_id, promotion_group_id, promotion_name, promotion_price,
+         promotion_unit_price, promotion_group_cost, modifiers
+       )
+       VALUES (
+         $1, $2, $3, $4, $5, $6, $7,
+         $8, $9, $10, $11, CURRENT_TIMESTAMP, NULL,
+         $12, $13, $14, $15, $16, $17, $18
+       )`,
+      [
+        orderId,
+        item.menuItem.id,
+        item.menuItem.name,
+        item.menuItem.description,
+        item.menuItem.price,
+        item.menuItem.category,
+        type,
+        quantityPerRow,
+        item.notes || null,
+        unitCost,
+        false,
+        item.promotionId || null,
+        item.promotionGroupId || null,
+        item.promotionName || null,
         item.promotionPrice != null && item.promotionPrice !== ''
           ? Number(item.promotionPrice)
-          : null;
-      if (promoPrice != null && Number.isFinite(promoPrice)) {
-        sum += promoPrice;
-        continue;
-      }
-    }
+          : null,
+        item.promotionUnitPrice != null && item.promotionUnitPrice !== ''
+          ? Number(item.promotionUnitPrice)
+          : null,
+        promotionGroupCost,
+        Array.isArray(item.modifiers) && item.modifiers.length > 0
+          ? JSON.stringify(item.modifiers)
+          : null,
+      ],
+    );
+  }
+}
 
-    const unitPrice =
-      item.promotionUnitPrice != null && item.promotionUnitPrice !== ''
-        ? Number(item.promotionUnitPrice)
-        : Number(item.menuItem.price);
-    if (!Number.isFinite(unitPrice)) continue;
-    sum += unitPrice * qty;
+/**
+ * Pasa la comanda a `ready` cuando está todo entregado (o toda la comida, si
+ * tiene), y la vuelve a `pending` si se desmarca algo. El cambio automático
+ * queda en el historial como `status_changed` con `automatic: true`.
+ */
+async function syncOrderReadyStatus(client, id, userId) {
+  const countsResult = await client.query(
+    `SELECT
+       COALESCE(SUM(quantity), 0)::int AS total_items,
+       COALESCE(SUM(CASE WHEN is_delivered THEN quantity ELSE 0 END), 0)::int AS delivered_items,
+       COALESCE(SUM(CASE WHEN type = 'comida' THEN quantity ELSE 0 END), 0)::int AS total_food,
+       COALESCE(SUM(CASE WHEN type = 'comida' AND is_delivered THEN quantity ELSE 0 END), 0)::int AS delivered_food
+     FROM order_items
+     WHERE order_id = $1`,
+    [id],
+  );
+
+  const totals = countsResult.rows[0];
+  const allDelivered =
+    totals.total_items > 0 && totals.delivered_items === totals.total_items;
+  const allFoodDelivered =
+    totals.total_food > 0 && totals.delivered_food === totals.total_food;
+  const shouldBeReady =
+    totals.total_food > 0 ? allFoodDelivered : allDelivered;
+
+  const previousStatus = (
+    await client.query('SELECT status FROM orders WHERE id = $1', [id])
+  ).rows[0]?.status;
+
+  let changed;
+  if (shouldBeReady) {
+    changed = await client.query(
+      `UPDATE orders
+       SET status = 'ready', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'
+       RETURNING status`,
+      [id],
+    );
+  } else {
+    // If any item is unmarked again, keep the order open.
+    changed = await client.query(
+      `UPDATE orders
+       SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('ready', 'delivered')
+       RETURNING status`,
+      [id],
+    );
+  }
+
+  if (changed.rowCount > 0) {
+    await recordOrderEvent(client, id, 'status_changed', userId, {
+      from: previousStatus,
+      to: changed.rows[0].status,
+      automatic: true,
+    });
   }
-  return sum;
+}
+
+const MAX_ORDERS_PAGE_SIZE = 200;
+
+function encodeOrdersCursor(row) {
+  return Buffer.from(
+    JSON.stringify({ createdAt: row.created_at_key, id: row.id }),
+  ).toString('base64url');
+}
+
+function decodeOrdersCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof parsed?.createdAt === 'string' && typeof parsed?.id === 'string') {
+      return parsed;
+    }
+  } catch {
+    // cae al null de abajo
+  }
+  return null;
+}
+
+/**
+ * Búsqueda por palabras (prefijo) sobre cliente, notas e ítems de la comanda.
+ * Config `simple`: son nombres, no texto en castellano para stemmear.
+ * @returns {string[]} Un tsquery por palabra para `to_tsquery('simple', ...)`.
+ */
+function buildOrdersSearchTerms(search) {
+  return String(search)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map((term) => `${term}:*`);
+}
+
+/**
+ * Cada palabra tiene que estar en la comanda (cliente o notas) o en alguno de
+ * sus ítems. Las expresiones coinciden con los índices GIN `idx_orders_search`
+ * e `idx_order_items_search` (database.js): no cambiar una sin la otra.
+ */
+function ordersSearchClause(param) {
+  return `o.id IN (
+    SELECT os.id FROM orders os
+    WHERE to_tsvector('simple', COALESCE(os.customer_name, '') || ' ' || COALESCE(os.notes, ''))
+      @@ to_tsquery('simple', ${param})
+    UNION
+    SELECT oi4.order_id FROM order_items oi4
+    WHERE to_tsvector('simple', oi4.name) @@ to_tsquery('simple', ${param})
+  )`;
 }
 
 /**
@@ -148,6 +202,11 @@ function computeOrderItemsSubtotal(items) {
  * belongs to a cash register opened in the given dateFrom/dateTo window (same as
  * GET /cash-registers). Does not filter by order created_at. Otherwise dateFrom/dateTo
  * apply to orders.created_at.
+ * search: full-text (prefix) over customer name, notes and item names.
+ * Pagination: with `limit` and/or `cursor` the response is
+ * `{ orders, nextCursor, totalCount }`, newest first (created_at, id); pass
+ * `nextCursor` back as `cursor` for the next page. Without them, the full
+ * array is returned as before.
  */
 router.get('/', async (req, res) => {
   try {
@@ -160,8 +219,21 @@ router.get('/', async (req, res) => {
       cashRegisterId: rawCashRegisterId,
       type,
       productSearch,
+      search,
       forCashRegisterPeriod,
+      createdBy,
+      limit: rawLimit,
+      cursor: rawCursor,
     } = req.query;
+    const paginate = rawLimit != null || rawCursor != null;
+    const limit = Math.min(
+      MAX_ORDERS_PAGE_SIZE,
+      Math.max(1, Math.floor(Number(rawLimit)) || 50),
+    );
+    const cursor = rawCursor ? decodeOrdersCursor(String(rawCursor)) : null;
+    if (rawCursor && !cursor) {
+      return res.status(400).json({ error: 'cursor inválido' });
+    }
     const useCashRegisterPeriod =
       forCashRegisterPeriod === 'true' || forCashRegisterPeriod === '1';
     const cashRegisterId =
@@ -206,7 +278,9 @@ router.get('/', async (req, res) => {
       const crResult = await db.query(crSql, crParams);
       const crIds = crResult.rows.map((r) => r.id);
       if (crIds.length === 0) {
-        return res.json([]);
+        return res.json(
+          paginate ? { orders: [], nextCursor: null, totalCount: 0 } : [],
+        );
       }
       whereClauses.push(`o.cash_register_id = ANY($${paramIndex++}::text[])`);
       params.push(crIds);
@@ -224,13 +298,25 @@ router.get('/', async (req, res) => {
       whereClauses.push(`o.status = $${paramIndex++}`);
       params.push(status);
     }
-    if (paymentMethod) {
-      whereClauses.push(`o.payment_method = $${paramIndex++}`);
+    if (createdBy) {
+      whereClauses.push(`o.created_by = $${paramIndex++}`);
+      params.push(String(createdBy));
+    }
+    if (paymentMethod === 'efectivo' || paymentMethod === 'mercadopago') {
+      // Por medio de pago real: una comanda con pago dividido aparece en ambos.
+      const tenderClauses = [`op.method = $${paramIndex++}`];
       params.push(paymentMethod);
       if (paymentMethod === 'mercadopago' && mercadoPagoAccountId) {
-        whereClauses.push(`o.mercado_pago_account_id = $${paramIndex++}`);
+        tenderClauses.push(`op.mercado_pago_account_id = $${paramIndex++}`);
         params.push(mercadoPagoAccountId);
       }
+      whereClauses.push(`EXISTS (
+        SELECT 1 FROM order_payments op
+        WHERE op.order_id = o.id AND ${tenderClauses.join(' AND ')}
+      )`);
+    } else if (paymentMethod) {
+      whereClauses.push(`o.payment_method = $${paramIndex++}`);
+      params.push(paymentMethod);
     }
     if (type && type !== 'todos') {
       whereClauses.push(`EXISTS (
@@ -246,25 +332,314 @@ router.get('/', async (req, res) => {
       )`);
       params.push(`%${productSearch}%`);
     }
+    for (const term of search ? buildOrdersSearchTerms(search) : []) {
+      whereClauses.push(ordersSearchClause(`$${paramIndex++}`));
+      params.push(term);
+    }
+
+    if (!paginate) {
+      const whereClause =
+        whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '';
+
+      const query = `
+        ${orderSelectWithItems}
+        ${whereClause}
+        ORDER BY o.created_at DESC, o.id DESC
+      `;
 
-    const whereClause =
+      const result = await db.query(query, params);
+      const formattedOrders = result.rows.map(formatOrder);
+      return res.json(formattedOrders);
+    }
+
+    // Paginado: primero se filtran y recortan ids (sin json_agg de ítems) y
+    // sólo se arman las comandas de la página.
+    const filterClause =
       whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '';
+    const countResult = await db.query(
+      `SELECT COUNT(*)::int AS count FROM orders o ${filterClause}`,
+      params,
+    );
 
-    const query = `
-      ${orderSelectWithItems}
-      ${whereClause}
-      ORDER BY o.created_at DESC
-    `;
+    const pageClauses = [...whereClauses];
+    const pageParams = [...params];
+    if (cursor) {
+      pageClauses.push(
+        `(o.created_at, o.id) < ($${paramIndex}::timestamp, $${paramIndex + 1})`,
+      );
+      pageParams.push(cursor.createdAt, cursor.id);
+    }
+    const pageResult = await db.query(
+      `SELECT o.id, o.created_at::text AS created_at_key
+       FROM orders o
+       ${pageClauses.length > 0 ? 'WHERE ' + pageClauses.join(' AND ') : ''}
+       ORDER BY o.created_at DESC, o.id DESC
+       LIMIT ${limit + 1}`,
+      pageParams,
+    );
+    const pageRows = pageResult.rows.slice(0, limit);
+    const hasMore = pageResult.rows.length > limit;
+
+    let orders = [];
+    if (pageRows.length > 0) {
+      const result = await db.query(
+        `${orderSelectWithItems}
+         WHERE o.id = ANY($1::text[])
+         ORDER BY o.created_at DESC, o.id DESC`,
+        [pageRows.map((row) => row.id)],
+      );
+      orders = result.rows.map(formatOrder);
+    }
 
-    const result = await db.query(query, params);
-    const formattedOrders = result.rows.map(formatOrder);
-    res.json(formattedOrders);
+    res.json({
+      orders,
+      nextCursor: hasMore
+        ? encodeOrdersCursor(pageRows[pageRows.length - 1])
+        : null,
+      totalCount: countResult.rows[0].count,
+    });
   } catch (error) {
     console.error('Error fetching orders:', error);
     res.status(500).json({ error: 'Error al obtener los pedidos' });
   }
 });
 
+/**
+ * POST /orders/stream-token
+ * Token corto para abrir el stream con `EventSource`, que no manda el header
+ * `Authorization`: va como `?token=` en GET /orders/stream.
+ */
+router.post('/stream-token', (req, res) => {
+  res.json(signStreamToken(req.user));
+});
+
+/**
+ * GET /orders/stream?type=comida|bebida&cashRegisterId=&token=
+ * Server-Sent Events para pantallas de cocina/barra: `order.created`,
+ * `order.item_delivered`, `order.status_changed`, `order.items_changed` y
+ * `order.deleted`, cada uno con la comanda filtrada a las líneas del `type`.
+ */
+router.get('/stream', (req, res) => {
+  const { type, cashRegisterId } = req.query;
+  if (type != null && !['comida', 'bebida', 'todos'].includes(type)) {
+    return res.status(400).json({ error: 'type inválido' });
+  }
+  if (cashRegisterId != null && typeof cashRegisterId !== 'string') {
+    return res.status(400).json({ error: 'cashRegisterId inválido' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const unsubscribe = subscribeOrderStream(
+    {
+      type: type && type !== 'todos' ? type : undefined,
+      cashRegisterId: cashRegisterId || undefined,
+    },
+    ({ id, name, data }) => {
+      res.write(`id: ${id}\nevent: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+  );
+  // Comentario periódico para que proxies no corten la conexión ociosa.
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25_000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+const SERVICE_TIME_ZONE = process.env.TZ || 'America/Argentina/Buenos_Aires';
+
+function serviceTimeStats(row) {
+  const seconds = (v) => (v != null ? Math.round(Number(v)) : null);
+  return {
+    count: Number(row.count) || 0,
+    avgSeconds: seconds(row.avg_seconds),
+    medianSeconds: seconds(row.median_seconds),
+    p90Seconds: seconds(row.p90_seconds),
+    maxSeconds: seconds(row.max_seconds),
+  };
+}
+
+/**
+ * GET /orders/service-times
+ * Tiempo de entrega (order_items.delivered_at - created_at) de las líneas
+ * entregadas: total, por ítem, por categoría, por caja/evento y por hora del
+ * pedido, con mediana y p90, más las unidades más lentas. Comida se guarda por
+ * unidad, así que cada fila es una entrega. Sin comandas anuladas.
+ * Query: type=comida|bebida|all (default comida), cashRegisterId, eventId,
+ * dateFrom, dateTo (sobre la fecha del ítem), slowestLimit (default 10).
+ */
+router.get('/service-times', async (req, res) => {
+  try {
+    const { cashRegisterId, eventId, dateFrom, dateTo } = req.query;
+    const type = req.query.type ?? 'comida';
+    if (!['comida', 'bebida', 'all'].includes(type)) {
+      return res.status(400).json({ error: 'type inválido' });
+    }
+    const slowestLimit = Math.min(
+      100,
+      Math.max(1, Math.floor(Number(req.query.slowestLimit)) || 10),
+    );
+
+    const where = [
+      'oi.is_delivered',
+      'oi.delivered_at IS NOT NULL',
+      'oi.delivered_at >= oi.created_at',
+      "o.status != 'cancelled'",
+    ];
+    const params = [SERVICE_TIME_ZONE];
+    if (type !== 'all') {
+      params.push(type);
+      where.push(`oi.type = $${params.length}`);
+    }
+    if (cashRegisterId) {
+      params.push(cashRegisterId);
+      where.push(`o.cash_register_id = $${params.length}`);
+    }
+    if (eventId) {
+      params.push(eventId);
+      where.push(`cr.event_id = $${params.length}`);
+    }
+    if (dateFrom) {
+      params.push(dateFrom);
+      where.push(`oi.created_at::date >= $${params.length}::date`);
+    }
+    if (dateTo) {
+      params.push(dateTo);
+      where.push(`oi.created_at::date <= $${params.length}::date`);
+    }
+
+    const deliveries = `
+      WITH deliveries AS (
+        SELECT
+          oi.id,
+          oi.order_id,
+          oi.menu_item_id,
+          oi.name,
+          oi.category,
+          oi.created_at,
+          oi.delivered_at,
+          EXTRACT(EPOCH FROM (oi.delivered_at - oi.created_at)) AS seconds,
+          EXTRACT(HOUR FROM (oi.created_at::timestamptz AT TIME ZONE $1))::int AS hour,
+          o.cash_register_id,
+          cr.event_id,
+          cr.event_name,
+          cr.point_of_sale,
+          cr.date AS cash_register_date
+        FROM order_items oi
+        JOIN orders o ON o.id = oi.order_id
+        LEFT JOIN cash_registers cr ON cr.id = o.cash_register_id
+        WHERE ${where.join(' AND ')}
+      )`;
+    const stats = `
+      COUNT(*) AS count,
+      AVG(seconds) AS avg_seconds,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds) AS median_seconds,
+      percentile_cont(0.9) WITHIN GROUP (ORDER BY seconds) AS p90_seconds,
+      MAX(seconds) AS max_seconds`;
+
+    const overall = await db.query(
+      `${deliveries} SELECT ${stats} FROM deliveries`,
+      params,
+    );
+    const byItem = await db.query(
+      `${deliveries}
+       SELECT menu_item_id, MAX(name) AS name, MAX(category) AS category, ${stats}
+       FROM deliveries
+       GROUP BY menu_item_id
+       ORDER BY median_seconds DESC`,
+      params,
+    );
+    const byCategory = await db.query(
+      `${deliveries}
+       SELECT category, ${stats}
+       FROM deliveries
+       GROUP BY category
+       ORDER BY median_seconds DESC`,
+      params,
+    );
+    const byCashRegister = await db.query(
+      `${deliveries}
+       SELECT cash_register_id, MAX(event_id) AS event_id,
+              MAX(event_name) AS event_name,
+              MAX(point_of_sale) AS point_of_sale,
+              MAX(cash_register_date) AS cash_register_date, ${stats}
+       FROM deliveries
+       GROUP BY cash_register_id
+       ORDER BY MIN(created_at) DESC`,
+      params,
+    );
+    // Las horas se ordenan como una noche: de 12 a 11 del día siguiente.
+    const byHour = await db.query(
+      `${deliveries}
+       SELECT hour, ${stats}
+       FROM deliveries
+       GROUP BY hour
+       ORDER BY (hour + 12) % 24`,
+      params,
+    );
+    const slowest = await db.query(
+      `${deliveries}
+       SELECT id, order_id, menu_item_id, name, category, cash_register_id,
+              created_at, delivered_at, seconds
+       FROM deliveries
+       ORDER BY seconds DESC
+       LIMIT ${slowestLimit}`,
+      params,
+    );
+
+    res.json({
+      type,
+      timeZone: SERVICE_TIME_ZONE,
+      overall: serviceTimeStats(overall.rows[0]),
+      byItem: byItem.rows.map((row) => ({
+        menuItemId: row.menu_item_id,
+        name: row.name,
+        category: row.category,
+        ...serviceTimeStats(row),
+      })),
+      byCategory: byCategory.rows.map((row) => ({
+        category: row.category,
+        ...serviceTimeStats(row),
+      })),
+      byCashRegister: byCashRegister.rows.map((row) => ({
+        cashRegisterId: row.cash_register_id || undefined,
+        eventId: row.event_id || undefined,
+        eventName: row.event_name || undefined,
+        pointOfSale: row.point_of_sale || undefined,
+        date: row.cash_register_date || undefined,
+        ...serviceTimeStats(row),
+      })),
+      byHour: byHour.rows.map((row) => ({
+        hour: Number(row.hour),
+        ...serviceTimeStats(row),
+      })),
+      slowest: slowest.rows.map((row) => ({
+        orderItemId: row.id,
+        orderId: row.order_id,
+        menuItemId: row.menu_item_id,
+        name: row.name,
+        category: row.category,
+        cashRegisterId: row.cash_register_id || undefined,
+        createdAt: new Date(row.created_at).toISOString(),
+        deliveredAt: new Date(row.delivered_at).toISOString(),
+        seconds: Math.round(Number(row.seconds)),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching service times:', error);
+    res.status(500).json({ error: 'Error al obtener los tiempos de entrega' });
+  }
+});
+
 // Get order by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -287,8 +662,34 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Price a comanda with current menu, promotions and discount presets (no insert)
+router.post('/quote', async (req, res) => {
+  try {
+    const { items, cups, cupsDelivered, discount, discountReason, discountPresetId } =
+      req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ error: 'Datos del pedido incompletos' });
+    }
+    const pricing = await priceOrder(db, {
+      items,
+      cups,
+      cupsDelivered,
+      discount,
+      discountReason,
+      discountPresetId,
+    });
+    res.json(pricing.breakdown);
+  } catch (error) {
+    console.error('Error pricing order:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al calcular el total del pedido' });
+  }
+});
+
 // Create new order
-router.post('/', async (req, res) => {
+router.post('/', idempotent('orders.create'), async (req, res) => {
   try {
     const {
       customerName,
@@ -297,18 +698,20 @@ router.post('/', async (req, res) => {
       status,
       paymentMethod,
       mercadoPagoAccountId,
-      cashRegisterId,
+      cashRegisterId: requestedCashRegisterId,
       discount,
       discountReason,
+      discountPresetId,
       notes,
       openAccountId,
       cupsDelivered: rawCups,
+      cups: rawCupsByType,
+      payments: rawPayments,
     } = req.body;
 
-    const cupsDelivered =
-      rawCups != null && rawCups !== ''
-        ? Math.max(0, Math.floor(Number(rawCups)))
-        : 0;
+    // Envases por tipo (`cups`) o, como antes, `cupsDelivered` vasos comunes.
+    const cups = normalizeCupsInput({ cups: rawCupsByType, cupsDelivered: rawCups });
+    const cupsDelivered = cups.reduce((sum, c) => sum + c.quantity, 0);
 
     if (!customerName || !items || !Array.isArray(items) || total === undefined) {
       return res.status(400).json({ error: 'Datos del pedido incompletos' });
@@ -320,17 +723,35 @@ router.post('/', async (req, res) => {
         .json({ error: 'La comanda debe incluir ítems o vasos entregados' });
     }
 
+    // Las anulaciones van por POST /:id/cancel (motivo y usuario).
+    if (
+      status != null &&
+      !['pending', 'preparing', 'ready', 'delivered'].includes(status)
+    ) {
+      return res.status(400).json({ error: 'Estado inválido' });
+    }
+
     const isOpenAccount = paymentMethod === 'cuenta_abierta' || openAccountId;
     const effectivePaymentMethod = isOpenAccount
       ? 'cuenta_abierta'
       : paymentMethod || 'efectivo';
     if (
-      !['efectivo', 'mercadopago', 'cuenta_abierta'].includes(
+      !['efectivo', 'mercadopago', 'cuenta_abierta', 'mixto'].includes(
         effectivePaymentMethod,
       )
     ) {
       return res.status(400).json({ error: 'paymentMethod inválido' });
     }
+    if (isOpenAccount && rawPayments != null) {
+      return res.status(400).json({
+        error: 'La cuenta abierta se cobra al cerrar la cuenta (sin payments)',
+      });
+    }
+    if (effectivePaymentMethod === 'mixto' && rawPayments == null) {
+      return res
+        .status(400)
+        .json({ error: 'payments es requerido para pago dividido' });
+    }
 
     if (effectivePaymentMethod === 'cuenta_abierta' && !openAccountId) {
       return res
@@ -338,12 +759,7 @@ router.post('/', async (req, res) => {
         .json({ error: 'openAccountId es requerido para cuenta abierta' });
     }
 
-    if (cupsDelivered > 0 && !cashRegisterId) {
-      return res.status(400).json({
-        error: 'cashRegisterId es requerido cuando hay vasos entregados',
-      });
-    }
-
+    let cashRegisterId = requestedCashRegisterId || null;
     if (effectivePaymentMethod === 'cuenta_abierta' && openAccountId) {
       const accountCheck = await db.query(
         'SELECT id, cash_register_id FROM open_accounts WHERE id = $1 AND status = $2',
@@ -362,60 +778,96 @@ router.post('/', async (req, res) => {
           error: 'La cuenta abierta no pertenece a esta caja',
         });
       }
+      // Sin caja explícita, la comanda va a la caja de la cuenta.
+      cashRegisterId = cashRegisterId ?? accountCheck.rows[0].cash_register_id;
     }
 
-    const cupPrice = await getCupPrice();
-    for (const item of items) {
-      if (!item?.menuItem?.id || item.quantity == null) {
-        return res.status(400).json({ error: 'Ítem de pedido inválido' });
-      }
-      const qty = Math.floor(Number(item.quantity));
-      if (!Number.isFinite(qty) || qty <= 0) {
-        return res.status(400).json({ error: 'Cantidad de ítem inválida' });
-      }
+    if (cupsDelivered > 0 && !cashRegisterId) {
+      return res.status(400).json({
+        error: 'cashRegisterId es requerido cuando hay vasos entregados',
+      });
     }
-    const itemsSubtotal = computeOrderItemsSubtotal(items);
 
-    const cupsAmount = cupPrice * cupsDelivered;
-    const discountNum =
-      discount != null && discount !== '' ? Number(discount) : 0;
-    const expectedTotal = Math.max(0, itemsSubtotal + cupsAmount - discountNum);
+    const pricing = await priceOrder(db, {
+      items,
+      cups,
+      discount,
+      discountReason,
+      discountPresetId,
+    });
     const clientTotal = Number(total);
     if (!Number.isFinite(clientTotal)) {
       return res.status(400).json({ error: 'total inválido' });
     }
-    if (Math.abs(clientTotal - expectedTotal) > 0.02) {
-      return res.status(400).json({
-        error: 'El total no coincide con ítems, vasos y descuento',
+    if (Math.abs(clientTotal - pricing.total) > 0.02) {
+      return res.status(409).json({
+        error: 'Los precios cambiaron: revisá el total de la comanda',
+        pricing: pricing.breakdown,
       });
     }
 
-    if (cupsDelivered > 0) {
+    // Con varias cajas abiertas, cada comanda se valida contra la suya.
+    if (cashRegisterId) {
       const cr = await db.query(
         'SELECT id, status FROM cash_registers WHERE id = $1',
         [cashRegisterId],
       );
       if (!cr.rows[0] || cr.rows[0].status !== 'open') {
         return res.status(400).json({
-          error: 'La caja debe estar abierta para registrar vasos',
+          error:
+            cupsDelivered > 0
+              ? 'La caja debe estar abierta para registrar vasos'
+              : 'La caja no está abierta',
         });
       }
     }
 
-    const menuIds = items.map((item) => item.menuItem?.id).filter(Boolean);
+    /** Pagos (tenders) de la comanda; sin `payments` es un único pago por el total. */
+    const orderPayments = isOpenAccount
+      ? []
+      : rawPayments != null
+        ? normalizeOrderPayments(rawPayments, pricing.total)
+        : pricing.total > 0
+          ? [
+              {
+                method: effectivePaymentMethod,
+                amount: pricing.total,
+                mercadoPagoAccountId:
+                  effectivePaymentMethod === 'mercadopago'
+                    ? mercadoPagoAccountId || null
+                    : null,
+              },
+            ]
+          : [];
+    const paymentSummary = isOpenAccount
+      ? { paymentMethod: 'cuenta_abierta', mercadoPagoAccountId: null }
+      : summarizeOrderPaymentMethod(
+          orderPayments,
+          effectivePaymentMethod === 'mixto' ? 'efectivo' : effectivePaymentMethod,
+        );
+
+    const pricedItems = pricing.items;
     /** Efectivo/MP: costo al crear (= cobro). Cuenta abierta: al cerrar la cuenta. */
     const deferCostSnapshot = effectivePaymentMethod === 'cuenta_abierta';
-    const unitCostMap = deferCostSnapshot
-      ? new Map()
-      : await getUnitCostsForMenuItemIds(menuIds);
+    const unitCosts = deferCostSnapshot
+      ? []
+      : await getUnitCostsForOrderLines(
+          pricedItems.map((item) => ({
+            menuItemId: item.menuItem.id,
+            modifiers: item.modifiers,
+          })),
+        );
+    const unitCostByItem = new Map(
+      pricedItems.map((item, i) => [item, unitCosts[i] ?? null]),
+    );
 
     /** Costo total del combo al momento del cobro, por promotionGroupId */
     const promotionGroupCostMap = new Map();
     if (!deferCostSnapshot) {
-      for (const item of items) {
+      for (const item of pricedItems) {
         if (!item.promotionGroupId) continue;
         const qty = Math.max(1, Math.floor(Number(item.quantity) || 1));
-        const unitCost = unitCostMap.get(item.menuItem.id) ?? 0;
+        const unitCost = unitCostByItem.get(item) ?? 0;
         const prev = promotionGroupCostMap.get(item.promotionGroupId) ?? 0;
         promotionGroupCostMap.set(
           item.promotionGroupId,
@@ -454,88 +906,93 @@ router.post('/', async (req, res) => {
       );
 
       await client.query(
-        `INSERT INTO orders (id, customer_name, total, status, payment_method, mercado_pago_account_id, cash_register_id, open_account_id, discount, discount_reason, notes, cups_delivered)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        `INSERT INTO orders (id, customer_name, total, status, payment_method, mercado_pago_account_id, cash_register_id, open_account_id, discount, discount_reason, notes, cups_delivered, created_by, discount_preset_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
         [
           orderId,
           customerName,
-          clientTotal,
+          pricing.total,
           status || 'pending',
-          effectivePaymentMethod,
-          effectivePaymentMethod === 'mercadopago'
-            ? mercadoPagoAccountId || null
-            : null,
+          paymentSummary.paymentMethod,
+          paymentSummary.mercadoPagoAccountId,
           cashRegisterId || null,
           effectivePaymentMethod === 'cuenta_abierta' ? openAccountId : null,
-          discount ?? null,
-          discountReason ?? null,
+          pricing.discount,
+          pricing.discountReason,
           notes ?? null,
           cupsDelivered,
+          req.user?.id ?? null,
+          pricing.discountPresetId,
         ],
       );
 
-      for (const item of items) {
+      if (orderPayments.length > 0) {
+        await replaceOrderPayments(client, orderId, orderPayments, req.user?.id);
+      }
+
+      for (const item of pricedItems) {
         const unitCost = deferCostSnapshot
           ? null
-          : (unitCostMap.get(item.menuItem.id) ?? null);
-        const qty = Math.max(1, Math.floor(Number(item.quantity) || 1));
-        const type = item.menuItem.type;
-
-        // Comida se guarda por unidad para permitir entrega individual
-        // sin tener que desdoblar filas al momento de marcar "entregado".
-        const rowsToInsert = type === 'comida' ? qty : 1;
-        const quantityPerRow = type === 'comida' ? 1 : qty;
+          : (unitCostByItem.get(item) ?? null);
+        await insertOrderItemRows(client, orderId, item, {
+          unitCost,
+          promotionGroupCost:
+            item.promotionGroupId && !deferCostSnapshot
+              ? promotionGroupCostMap.get(item.promotionGroupId) ?? null
+              : null,
+        });
+      }
 
-        for (let i = 0; i < rowsToInsert; i++) {
-          await client.query(
-            `INSERT INTO order_items (
-               order_id, menu_item_id, name, description, price, category, type,
-               quantity, notes, unit_cost, is_delivered, created_at, delivered_at,
-               promotion_id, promotion_group_id, promotion_name, promotion_price,
-               promotion_unit_price, promotion_group_cost
-             )
-             VALUES (
-               $1, $2, $3, $4, $5, $6, $7,
-               $8, $9, $10, $11, CURRENT_TIMESTAMP, NULL,
-               $12, $13, $14, $15, $16, $17
-             )`,
-            [
-              orderId,
-              item.menuItem.id,
-              item.menuItem.name,
-              item.menuItem.description,
-              item.menuItem.price,
-              item.menuItem.category,
-              type,
-              quantityPerRow,
-              item.notes || null,
-              unitCost,
-              false,
-              item.promotionId || null,
-              item.promotionGroupId || null,
-              item.promotionName || null,
-              item.promotionPrice != null && item.promotionPrice !== ''
-                ? Number(item.promotionPrice)
-                : null,
-              item.promotionUnitPrice != null && item.promotionUnitPrice !== ''
-                ? Number(item.promotionUnitPrice)
-                : null,
-              item.promotionGroupId && !deferCostSnapshot
-                ? promotionGroupCostMap.get(item.promotionGroupId) ?? null
-                : null,
-            ],
-          );
-        }
+      await recordOrderEvent(client, orderId, 'created', req.user?.id, {
+        status: status || 'pending',
+        total: pricing.total,
+        paymentMethod: paymentSummary.paymentMethod,
+        cashRegisterId: cashRegisterId || null,
+        openAccountId:
+          effectivePaymentMethod === 'cuenta_abierta' ? openAccountId : null,
+        cupsDelivered,
+        cups: pricing.breakdown.cups.map((c) => ({
+          cupTypeId: c.cupTypeId,
+          quantity: c.quantity,
+        })),
+        items: pricedItems.map((item) => ({
+          menuItemId: item.menuItem.id,
+          name: item.menuItem.name,
+          quantity: item.quantity,
+          promotionGroupId: item.promotionGroupId ?? null,
+        })),
+      });
+      if (pricing.discount > 0) {
+        await recordOrderEvent(
+          client,
+          orderId,
+          'discount_applied',
+          req.user?.id,
+          {
+            amount: pricing.discount,
+            reason: pricing.discountReason,
+            discountPresetId: discountPresetId ?? null,
+          },
+        );
       }
 
-      if (cupsDelivered > 0) {
-        const movementId = crypto.randomUUID();
+      // Una entrega por tipo de envase, con el depósito cobrado.
+      for (const cup of pricing.breakdown.cups) {
         await client.query(
           `INSERT INTO cup_movements (
             id, cash_register_id, type, quantity, amount,
-            payment_method, mercado_pago_account_id, open_account_id, order_id
-          ) VALUES ($1, $2, 'delivery', $3, $4, NULL, NULL, NULL, $5)`,
-          [movementId, cashRegisterId, cupsDelivered, cupsAmount, orderId],
+            payment_method, mercado_pago_account_id, open_account_id, order_id, created_by,
+            cup_type_id
+          ) VALUES ($1, $2, 'delivery', $3, $4, NULL, NULL, NULL, $5, $6, $7)`,
+          [
+            crypto.randomUUID(),
+            cashRegisterId,
+            cup.quantity,
+            cup.amount,
+            orderId,
+            req.user?.id ?? null,
+            cup.cupTypeId,
+          ],
         );
       }
 
@@ -550,10 +1007,15 @@ router.post('/', async (req, res) => {
     const result = await db.query(`${orderSelectWithItems} WHERE o.id = $1`, [
       orderId,
     ]);
-    const order = result.rows[0];
-    res.status(201).json(formatOrder(order));
+    const order = formatOrder(result.rows[0]);
+    publishOrderEvent('order.created', order);
+    printKitchenTicketOnCreate(order);
+    res.status(201).json({ ...order, pricing: pricing.breakdown });
   } catch (error) {
     console.error('Error creating order:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Error al crear el pedido' });
   }
 });
@@ -573,50 +1035,536 @@ router.patch('/:id/status', async (req, res) => {
       return res.status(400).json({ error: 'Estado inválido' });
     }
 
-    const prevResult = await db.query(
-      `SELECT status FROM orders WHERE id = $1`,
+    let previousStatus;
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const prevResult = await client.query(
+        `SELECT status FROM orders WHERE id = $1 FOR UPDATE`,
+        [id],
+      );
+      if (prevResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Pedido no encontrado' });
+      }
+      previousStatus = prevResult.rows[0].status;
+      if (previousStatus === 'cancelled') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'El pedido está anulado' });
+      }
+
+      await client.query(
+        `UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [status, id],
+      );
+
+      let itemsDelivered = null;
+      if (status === 'delivered') {
+        await client.query(
+          `UPDATE order_items
+           SET is_delivered = TRUE,
+               delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)
+           WHERE order_id = $1`,
+          [id],
+        );
+        itemsDelivered = true;
+      } else if (status === 'pending' && previousStatus === 'delivered') {
+        await client.query(
+          `UPDATE order_items
+           SET is_delivered = FALSE,
+               delivered_at = NULL
+           WHERE order_id = $1`,
+          [id],
+        );
+        itemsDelivered = false;
+      }
+
+      await recordOrderEvent(client, id, 'status_changed', req.user?.id, {
+        from: previousStatus,
+        to: status,
+        ...(itemsDelivered != null && { itemsDelivered }),
+      });
+
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    const orderResult = await db.query(
+      `${orderSelectWithItems} WHERE o.id = $1`,
       [id],
     );
-    if (prevResult.rowCount === 0) {
+    const order = formatOrder(orderResult.rows[0]);
+    publishOrderEvent('order.status_changed', order, { previousStatus });
+    res.json(order);
+  } catch (error) {
+    console.error('Error updating order:', error);
+    res.status(500).json({ error: 'Error al actualizar el pedido' });
+  }
+});
+
+/** GET /orders/:id/payments — pagos (medios de pago) de la comanda */
+router.get('/:id/payments', async (req, res) => {
+  try {
+    const id = req.params.id.startsWith('#')
+      ? req.params.id
+      : `#${req.params.id}`;
+    const order = await db.query('SELECT id FROM orders WHERE id = $1', [id]);
+    if (order.rowCount === 0) {
       return res.status(404).json({ error: 'Pedido no encontrado' });
     }
-    const previousStatus = prevResult.rows[0].status;
-
     const result = await db.query(
-      `UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
-      [status, id],
+      `SELECT * FROM order_payments WHERE order_id = $1 ORDER BY created_at, id`,
+      [id],
     );
+    res.json(
+      result.rows.map((row) => ({
+        id: row.id,
+        method: row.method,
+        amount: Number(row.amount),
+        mercadoPagoAccountId: row.mercado_pago_account_id || undefined,
+        createdBy: row.created_by || undefined,
+        createdAt: new Date(row.created_at).toISOString(),
+      })),
+    );
+  } catch (error) {
+    console.error('Error fetching order payments:', error);
+    res.status(500).json({ error: 'Error al obtener los pagos del pedido' });
+  }
+});
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Pedido no encontrado' });
+/**
+ * PUT /orders/:id/payments
+ * Body: { payments: [{ method: 'efectivo' | 'mercadopago', amount, mercadoPagoAccountId? }] }
+ * Reemplaza el reparto de pagos; la suma debe coincidir con el total.
+ */
+router.put('/:id/payments', async (req, res) => {
+  try {
+    const id = req.params.id.startsWith('#')
+      ? req.params.id
+      : `#${req.params.id}`;
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const order = (
+        await client.query(
+          `SELECT o.total, o.status, o.payment_method, cr.status AS cash_register_status
+           FROM orders o
+           LEFT JOIN cash_registers cr ON cr.id = o.cash_register_id
+           WHERE o.id = $1
+           FOR UPDATE OF o`,
+          [id],
+        )
+      ).rows[0];
+      if (!order) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Pedido no encontrado' });
+      }
+      if (order.payment_method === 'cuenta_abierta') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'La cuenta abierta se cobra al cerrar la cuenta',
+        });
+      }
+      if (order.status === 'cancelled') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'El pedido está anulado' });
+      }
+      if (order.cash_register_status === 'closed') {
+        await client.query('ROLLBACK');
+        return res
+          .status(409)
+          .json({ error: 'La caja de este pedido ya está cerrada' });
+      }
+
+      const payments = normalizeOrderPayments(
+        req.body?.payments,
+        Number(order.total),
+      );
+      await replaceOrderPayments(client, id, payments, req.user?.id);
+      await recordOrderEvent(client, id, 'payments_changed', req.user?.id, {
+        payments,
+      });
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
     }
 
-    if (status === 'delivered') {
-      await db.query(
-        `UPDATE order_items
-         SET is_delivered = TRUE,
-             delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)
-         WHERE order_id = $1`,
-        [id],
+    const result = await db.query(`${orderSelectWithItems} WHERE o.id = $1`, [
+      id,
+    ]);
+    res.json(formatOrder(result.rows[0]));
+  } catch (error) {
+    console.error('Error updating order payments:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al actualizar los pagos del pedido' });
+  }
+});
+
+function itemsEditError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * PATCH /orders/:id/items
+ * Body: {
+ *   add?: [{ menuItem: { id }, quantity, notes?, promotionId?, promotionGroupId? }],
+ *   remove?: number[],             // ids de order_items; quitar una línea de promo quita el combo
+ *   update?: [{ id, quantity }],   // nueva cantidad de una línea sin promoción (0 = quitar)
+ * }
+ * Sólo comandas pendientes y sin entregar esas líneas. Las líneas nuevas se
+ * valorizan con el menú vigente; las existentes conservan su precio.
+ */
+router.patch('/:id/items', async (req, res) => {
+  try {
+    const id = req.params.id.startsWith('#')
+      ? req.params.id
+      : `#${req.params.id}`;
+    const {
+      add = [],
+      remove = [],
+      update = [],
+      payments: rawPayments,
+    } = req.body ?? {};
+
+    if (!Array.isArray(add) || !Array.isArray(remove) || !Array.isArray(update)) {
+      return res
+        .status(400)
+        .json({ error: 'add, remove y update deben ser arreglos' });
+    }
+    if (add.length === 0 && remove.length === 0 && update.length === 0) {
+      return res.status(400).json({ error: 'No hay cambios para aplicar' });
+    }
+    const removeIds = remove.map(Number);
+    if (removeIds.some((itemId) => !Number.isInteger(itemId) || itemId <= 0)) {
+      return res.status(400).json({ error: 'itemId inválido' });
+    }
+    const updates = update.map((u) => ({
+      id: Number(u?.id),
+      quantity: Math.floor(Number(u?.quantity)),
+    }));
+    for (const u of updates) {
+      if (!Number.isInteger(u.id) || u.id <= 0) {
+        return res.status(400).json({ error: 'itemId inválido' });
+      }
+      if (!Number.isFinite(u.quantity) || u.quantity < 0) {
+        return res.status(400).json({ error: 'Cantidad de ítem inválida' });
+      }
+    }
+
+    const pricing = add.length > 0 ? await priceOrder(db, { items: add }) : null;
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const order = (
+        await client.query(
+          `SELECT o.status, o.total, o.discount, o.discount_preset_id, o.cups_delivered, o.payment_method,
+                  o.mercado_pago_account_id, o.closed_open_account_id,
+                  cr.status AS cash_register_status
+           FROM orders o
+           LEFT JOIN cash_registers cr ON cr.id = o.cash_register_id
+           WHERE o.id = $1
+           FOR UPDATE OF o`,
+          [id],
+        )
+      ).rows[0];
+      if (!order) {
+        throw itemsEditError(404, 'Pedido no encontrado');
+      }
+      if (order.status !== 'pending') {
+        throw itemsEditError(
+          409,
+          'Solo se pueden editar ítems de comandas pendientes',
+        );
+      }
+      if (order.closed_open_account_id) {
+        throw itemsEditError(
+          409,
+          'La cuenta abierta de esta comanda ya fue cobrada',
+        );
+      }
+      if (order.cash_register_status === 'closed') {
+        throw itemsEditError(409, 'La caja de este pedido ya está cerrada');
+      }
+
+      const rows = (
+        await client.query(
+          `SELECT * FROM order_items WHERE order_id = $1 ORDER BY id FOR UPDATE`,
+          [id],
+        )
+      ).rows;
+      const rowsById = new Map(rows.map((r) => [r.id, r]));
+      const changes = { added: [], removed: [], updated: [] };
+      const rowsToDelete = new Map();
+
+      for (const itemId of removeIds) {
+        const row = rowsById.get(itemId);
+        if (!row) {
+          throw itemsEditError(404, 'Item de pedido no encontrado');
+        }
+        const targets = row.promotion_group_id
+          ? rows.filter((r) => r.promotion_group_id === row.promotion_group_id)
+          : [row];
+        for (const target of targets) {
+          if (target.is_delivered) {
+            throw itemsEditError(409, 'No se puede quitar un ítem ya entregado');
+          }
+          rowsToDelete.set(target.id, target);
+        }
+      }
+
+      for (const u of updates) {
+        const row = rowsById.get(u.id);
+        if (!row) {
+          throw itemsEditError(404, 'Item de pedido no encontrado');
+        }
+        if (rowsToDelete.has(row.id)) {
+          throw itemsEditError(
+            400,
+            'Un ítem no puede quitarse y modificarse a la vez',
+          );
+        }
+        if (row.promotion_group_id) {
+          throw itemsEditError(
+            400,
+            'Las líneas de una promoción no se modifican: quitá la promoción completa',
+          );
+        }
+        if (row.is_delivered) {
+          throw itemsEditError(409, 'No se puede modificar un ítem ya entregado');
+        }
+        const from = Number(row.quantity);
+        if (u.quantity === from) continue;
+
+        if (u.quantity === 0) {
+          rowsToDelete.set(row.id, row);
+          continue;
+        }
+        if (row.type === 'comida') {
+          // Las filas de comida son unitarias: sumar unidades agrega filas.
+          if (u.quantity < from) {
+            throw itemsEditError(
+              400,
+              'Para quitar unidades de comida, quitá las filas correspondientes',
+            );
+          }
+          await insertOrderItemRows(
+            client,
+            id,
+            {
+              menuItem: {
+                id: row.menu_item_id,
+                name: row.name,
+                description: row.description,
+                price: row.price,
+                category: row.category,
+                type: row.type,
+              },
+              quantity: u.quantity - from,
+              notes: row.notes,
+              modifiers: row.modifiers,
+            },
+            { unitCost: row.unit_cost },
+          );
+        } else {
+          await client.query(
+            `UPDATE order_items SET quantity = $1 WHERE id = $2`,
+            [u.quantity, row.id],
+          );
+        }
+        changes.updated.push({
+          itemId: row.id,
+          menuItemId: row.menu_item_id,
+          name: row.name,
+          from,
+          to: u.quantity,
+        });
+      }
+
+      for (const row of rowsToDelete.values()) {
+        await client.query('DELETE FROM order_items WHERE id = $1', [row.id]);
+        changes.removed.push({
+          itemId: row.id,
+          menuItemId: row.menu_item_id,
+          name: row.name,
+          quantity: Number(row.quantity),
+        });
+      }
+
+      if (pricing) {
+        const existingGroupIds = new Set(
+          rows.map((r) => r.promotion_group_id).filter(Boolean),
+        );
+        for (const item of pricing.items) {
+          if (
+            item.promotionGroupId &&
+            existingGroupIds.has(item.promotionGroupId)
+          ) {
+            throw itemsEditError(
+              400,
+              'promotionGroupId ya existe en la comanda',
+            );
+          }
+          await insertOrderItemRows(client, id, item);
+          changes.added.push({
+            menuItemId: item.menuItem.id,
+            name: item.menuItem.name,
+            quantity: item.quantity,
+            promotionGroupId: item.promotionGroupId,
+          });
+        }
+      }
+
+      const remaining = (
+        await client.query(
+          `SELECT price, quantity, menu_item_id, promotion_group_id,
+                  promotion_price, promotion_unit_price, modifiers
+           FROM order_items WHERE order_id = $1`,
+          [id],
+        )
+      ).rows;
+      if (remaining.length === 0 && Number(order.cups_delivered) <= 0) {
+        throw itemsEditError(
+          400,
+          'La comanda debe incluir ítems o vasos entregados',
+        );
+      }
+
+      const remainingLines = remaining.map((r) => ({
+        menuItem: { id: r.menu_item_id, price: r.price },
+        quantity: r.quantity,
+        promotionGroupId: r.promotion_group_id,
+        promotionPrice: r.promotion_price,
+        promotionUnitPrice: r.promotion_unit_price,
+        modifiers: r.modifiers,
+      }));
+      const itemsSubtotal = computeOrderItemsSubtotal(remainingLines);
+      const cupsAmount = Number(
+        (
+          await client.query(
+            `SELECT COALESCE(SUM(amount), 0)::float AS s FROM cup_movements
+             WHERE order_id = $1 AND type = 'delivery'`,
+            [id],
+          )
+        ).rows[0].s,
       );
-    } else if (status === 'pending' && previousStatus === 'delivered') {
-      await db.query(
-        `UPDATE order_items
-         SET is_delivered = FALSE,
-             delivered_at = NULL
-         WHERE order_id = $1`,
-        [id],
+      // El descuento acompaña las líneas: un preset se recalcula con su
+      // porcentaje; un monto manual nunca supera lo que queda de productos.
+      const previousDiscount = order.discount != null ? Number(order.discount) : 0;
+      const preset = order.discount_preset_id
+        ? await loadDiscountPreset(client, order.discount_preset_id)
+        : null;
+      const newDiscount = Math.min(
+        preset ? computePresetDiscount(preset, remainingLines).amount : previousDiscount,
+        itemsSubtotal,
       );
+      const newTotal = computeOrderTotal(itemsSubtotal, newDiscount, cupsAmount);
+
+      await client.query(
+        `UPDATE orders
+         SET total = $1,
+             discount = $2,
+             discount_reason = CASE WHEN $2::float IS NULL THEN NULL ELSE discount_reason END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [newTotal, newDiscount > 0 ? newDiscount : null, id],
+      );
+
+      /** Efectivo/MP ya cobrados: el costo se vuelve a congelar con las líneas nuevas. */
+      if (order.payment_method !== 'cuenta_abierta') {
+        await snapshotCostsForOrder(client, id);
+
+        const tenders = (
+          await client.query(
+            `SELECT method, mercado_pago_account_id FROM order_payments WHERE order_id = $1`,
+            [id],
+          )
+        ).rows;
+        if (rawPayments != null) {
+          await replaceOrderPayments(
+            client,
+            id,
+            normalizeOrderPayments(rawPayments, newTotal),
+            req.user?.id,
+          );
+        } else if (tenders.length > 1) {
+          throw itemsEditError(
+            409,
+            'La comanda tiene pago dividido: enviá payments con el nuevo reparto',
+          );
+        } else {
+          // Un solo medio de pago: acompaña el nuevo total.
+          const method =
+            tenders[0]?.method ??
+            (order.payment_method === 'mercadopago' ? 'mercadopago' : 'efectivo');
+          const mercadoPagoAccountId =
+            method === 'mercadopago'
+              ? (tenders[0]?.mercado_pago_account_id ??
+                order.mercado_pago_account_id ??
+                null)
+              : null;
+          await replaceOrderPayments(
+            client,
+            id,
+            newTotal > 0
+              ? [{ method, amount: newTotal, mercadoPagoAccountId }]
+              : [],
+            req.user?.id,
+          );
+        }
+      } else if (rawPayments != null) {
+        throw itemsEditError(
+          400,
+          'La cuenta abierta se cobra al cerrar la cuenta (sin payments)',
+        );
+      }
+
+      await syncOrderReadyStatus(client, id, req.user?.id);
+
+      await recordOrderEvent(client, id, 'items_changed', req.user?.id, {
+        ...changes,
+        previousTotal: Number(order.total),
+        total: newTotal,
+        ...(newDiscount !== previousDiscount
+          ? { previousDiscount, discount: newDiscount }
+          : {}),
+      });
+
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
     }
 
     const orderResult = await db.query(
       `${orderSelectWithItems} WHERE o.id = $1`,
       [id],
     );
-    res.json(formatOrder(orderResult.rows[0]));
+    const updatedOrder = formatOrder(orderResult.rows[0]);
+    publishOrderEvent('order.items_changed', updatedOrder);
+    res.json(updatedOrder);
   } catch (error) {
-    console.error('Error updating order:', error);
-    res.status(500).json({ error: 'Error al actualizar el pedido' });
+    console.error('Error updating order items:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al actualizar los ítems del pedido' });
   }
 });
 
@@ -636,6 +1584,7 @@ router.patch('/:id/items/:itemId/delivered', async (req, res) => {
       return res.status(400).json({ error: 'isDelivered debe ser boolean' });
     }
 
+    let itemType;
     const client = await db.connect();
     try {
       await client.query('BEGIN');
@@ -680,7 +1629,8 @@ router.patch('/:id/items/:itemId/delivered', async (req, res) => {
            promotion_name,
            promotion_price,
            promotion_unit_price,
-           promotion_group_cost
+           promotion_group_cost,
+           modifiers
          FROM order_items
          WHERE id = $1 AND order_id = $2
          FOR UPDATE`,
@@ -692,6 +1642,7 @@ router.patch('/:id/items/:itemId/delivered', async (req, res) => {
         return res.status(404).json({ error: 'Item de pedido no encontrado' });
       }
       const item = itemResult.rows[0];
+      itemType = item.type;
 
       // Unit-level delivery toggle:
       // when quantity > 1, split one unit into a new row with target delivered state.
@@ -725,10 +1676,11 @@ router.patch('/:id/items/:itemId/delivered', async (req, res) => {
                promotion_name,
                promotion_price,
                promotion_unit_price,
-               promotion_group_cost
+               promotion_group_cost,
+               modifiers
              ) VALUES (
                $1, $2, $3, $4, $5, $6, $7, 1, $8, $9, $10, $11, $12,
-               $13, $14, $15, $16, $17, $18
+               $13, $14, $15, $16, $17, $18, $19
              )`,
             [
               item.order_id,
@@ -749,6 +1701,7 @@ router.patch('/:id/items/:itemId/delivered', async (req, res) => {
               item.promotion_price ?? null,
               item.promotion_unit_price ?? null,
               item.promotion_group_cost ?? null,
+              item.modifiers ? JSON.stringify(item.modifiers) : null,
             ],
           );
         }
@@ -765,42 +1718,23 @@ router.patch('/:id/items/:itemId/delivered', async (req, res) => {
         );
       }
 
-      const countsResult = await client.query(
-        `SELECT
-           COALESCE(SUM(quantity), 0)::int AS total_items,
-           COALESCE(SUM(CASE WHEN is_delivered THEN quantity ELSE 0 END), 0)::int AS delivered_items,
-           COALESCE(SUM(CASE WHEN type = 'comida' THEN quantity ELSE 0 END), 0)::int AS total_food,
-           COALESCE(SUM(CASE WHEN type = 'comida' AND is_delivered THEN quantity ELSE 0 END), 0)::int AS delivered_food
-         FROM order_items
-         WHERE order_id = $1`,
-        [id],
-      );
-
-      const totals = countsResult.rows[0];
-      const allDelivered =
-        totals.total_items > 0 && totals.delivered_items === totals.total_items;
-      const allFoodDelivered =
-        totals.total_food > 0 && totals.delivered_food === totals.total_food;
-      const shouldBeReady =
-        totals.total_food > 0 ? allFoodDelivered : allDelivered;
-
-      if (shouldBeReady) {
-        await client.query(
-          `UPDATE orders
-           SET status = 'ready', updated_at = CURRENT_TIMESTAMP
-           WHERE id = $1 AND status = 'pending'`,
-          [id],
-        );
-      } else {
-        // If any item is unmarked again, keep the order open.
-        await client.query(
-          `UPDATE orders
-           SET status = 'pending', updated_at = CURRENT_TIMESTAMP
-           WHERE id = $1 AND status IN ('ready', 'delivered')`,
-          [id],
+      if (Boolean(item.is_delivered) !== isDelivered) {
+        await recordOrderEvent(
+          client,
+          id,
+          'item_delivery_toggled',
+          req.user?.id,
+          {
+            itemId,
+            menuItemId: item.menu_item_id,
+            name: item.name,
+            isDelivered,
+          },
         );
       }
 
+      await syncOrderReadyStatus(client, id, req.user?.id);
+
       await client.query('COMMIT');
     } catch (e) {
       await client.query('ROLLBACK');
@@ -816,25 +1750,296 @@ router.patch('/:id/items/:itemId/delivered', async (req, res) => {
       return res.status(404).json({ error: 'Pedido no encontrado' });
     }
 
-    res.json(formatOrder(orderResult.rows[0]));
+    const order = formatOrder(orderResult.rows[0]);
+    publishOrderEvent('order.item_delivered', order, {
+      itemId,
+      itemType,
+      isDelivered,
+    });
+    res.json(order);
   } catch (error) {
     console.error('Error updating delivered item state:', error);
     res.status(500).json({ error: 'Error al actualizar el item del pedido' });
   }
 });
 
+/**
+ * POST /orders/:id/cancel
+ * Body: { reason }
+ * Anula la comanda sin borrarla: queda en el historial con motivo y usuario,
+ * fuera de los totales de caja y cuentas abiertas, y se revierte la entrega de vasos.
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const id = req.params.id.startsWith('#')
+      ? req.params.id
+      : `#${req.params.id}`;
+    const reason =
+      typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res
+        .status(400)
+        .json({ error: 'El motivo de anulación es requerido' });
+    }
+
+    let previousStatus;
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const orderResult = await client.query(
+        `SELECT o.status, o.cash_register_id, o.closed_open_account_id,
+                cr.status AS cash_register_status
+         FROM orders o
+         LEFT JOIN cash_registers cr ON cr.id = o.cash_register_id
+         WHERE o.id = $1
+         FOR UPDATE OF o`,
+        [id],
+      );
+      const order = orderResult.rows[0];
+      if (!order) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Pedido no encontrado' });
+      }
+      if (order.status === 'cancelled') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'El pedido ya está anulado' });
+      }
+      if (order.cash_register_status === 'closed') {
+        await client.query('ROLLBACK');
+        return res
+          .status(409)
+          .json({ error: 'La caja de este pedido ya está cerrada' });
+      }
+      // Cobrada con la cuenta: sus pagos (y el cargo al fiado) ya están repartidos.
+      if (order.closed_open_account_id) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          error: 'La cuenta abierta de esta comanda ya fue cobrada: no se puede anular',
+        });
+      }
+      previousStatus = order.status;
+
+      const cupDeliveries = (
+        await client.query(
+          `SELECT id, cash_register_id, quantity, cup_type_id FROM cup_movements
+           WHERE order_id = $1 AND type = 'delivery'`,
+          [id],
+        )
+      ).rows;
+      if (cupDeliveries.length > 0) {
+        await client.query(
+          'SELECT id FROM cash_registers WHERE id = $1 FOR UPDATE',
+          [cupDeliveries[0].cash_register_id],
+        );
+      }
+      for (const cupDelivery of cupDeliveries) {
+        // Por origen y tipo: cuenta también los envases devueltos en otras cajas.
+        const circRes = await client.query(
+          `SELECT COALESCE(SUM(CASE WHEN cm.type = 'delivery' THEN cm.quantity ELSE -cm.quantity END), 0)::int AS net
+           FROM cup_movements cm WHERE ${CUP_ORIGIN_SQL} = $1 AND cm.cup_type_id = $2`,
+          [cupDelivery.cash_register_id, cupDelivery.cup_type_id],
+        );
+        if (Number(circRes.rows[0].net) < Number(cupDelivery.quantity)) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            error:
+              'Los vasos de esta comanda ya fueron devueltos: no se puede anular',
+          });
+        }
+      }
+      await client.query(
+        `DELETE FROM cup_movements WHERE order_id = $1 AND type = 'delivery'`,
+        [id],
+      );
+
+      await client.query(
+        `UPDATE orders
+         SET status = 'cancelled',
+             cancelled_at = CURRENT_TIMESTAMP,
+             cancelled_by = $1,
+             cancellation_reason = $2,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [req.user?.id ?? null, reason, id],
+      );
+      await recordOrderEvent(client, id, 'cancelled', req.user?.id, {
+        from: order.status,
+        reason,
+        cupsReversed: cupDeliveries.reduce((sum, c) => sum + Number(c.quantity), 0),
+      });
+
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    const result = await db.query(`${orderSelectWithItems} WHERE o.id = $1`, [
+      id,
+    ]);
+    const order = formatOrder(result.rows[0]);
+    publishOrderEvent('order.status_changed', order, { previousStatus });
+    res.json(order);
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    res.status(500).json({ error: 'Error al anular el pedido' });
+  }
+});
+
+/**
+ * GET /orders/:id/history
+ * Historial de la comanda (order_events), del más viejo al más nuevo, con el
+ * nombre del usuario que hizo cada cambio. Sigue disponible si se borró.
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const id = req.params.id.startsWith('#')
+      ? req.params.id
+      : `#${req.params.id}`;
+    const result = await db.query(
+      `SELECT e.id, e.type, e.user_id, u.name AS user_name, e.data, e.created_at
+       FROM order_events e
+       LEFT JOIN app_users u ON u.id = e.user_id
+       WHERE e.order_id = $1
+       ORDER BY e.created_at, e.id`,
+      [id],
+    );
+    if (result.rowCount === 0) {
+      const exists = await db.query('SELECT 1 FROM orders WHERE id = $1', [id]);
+      if (exists.rowCount === 0) {
+        return res.status(404).json({ error: 'Pedido no encontrado' });
+      }
+    }
+    res.json({
+      orderId: id,
+      events: result.rows.map((row) => ({
+        id: row.id,
+        type: row.type,
+        userId: row.user_id || undefined,
+        userName: row.user_name || undefined,
+        data: row.data ?? undefined,
+        createdAt: new Date(row.created_at).toISOString(),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching order history:', error);
+    res.status(500).json({ error: 'Error al obtener el historial del pedido' });
+  }
+});
+
+/**
+ * Manda a cocina el ticket de una comanda recién creada si hay impresora
+ * configurada. No bloquea ni hace fallar la creación: un error sólo se loguea.
+ */
+function printKitchenTicketOnCreate(order) {
+  if (!getPrinterDestination('kitchen')) return;
+  const ticket = renderKitchenTicket(order);
+  if (!ticket) return;
+  printTicket(ticket, { target: 'kitchen', name: `cocina-${order.id}` }).catch(
+    (error) => {
+      console.error('Error printing kitchen ticket:', error);
+    },
+  );
+}
+
+const ORDER_TICKET_TYPES = ['kitchen', 'receipt'];
+
+function printOrderTicketHandler({ reprint }) {
+  return async (req, res) => {
+    try {
+      const id = req.params.id.startsWith('#')
+        ? req.params.id
+        : `#${req.params.id}`;
+      const ticketType = req.body?.type ?? 'receipt';
+      if (!ORDER_TICKET_TYPES.includes(ticketType)) {
+        return res
+          .status(400)
+          .json({ error: 'type debe ser "kitchen" o "receipt"' });
+      }
+      const result = await db.query(
+        `${orderSelectWithItems} WHERE o.id = $1`,
+        [id],
+      );
+      if (!result.rows[0]) {
+        return res.status(404).json({ error: 'Pedido no encontrado' });
+      }
+      const order = formatOrder(result.rows[0]);
+
+      const ticket =
+        ticketType === 'kitchen'
+          ? renderKitchenTicket(order, { reprint })
+          : renderCustomerReceipt(order, { reprint });
+      if (!ticket) {
+        return res
+          .status(400)
+          .json({ error: 'El pedido no tiene ítems de cocina' });
+      }
+      const { destination } = await printTicket(ticket, {
+        target: ticketType === 'kitchen' ? 'kitchen' : 'default',
+        name: `${ticketType === 'kitchen' ? 'cocina' : 'comprobante'}-${order.id}`,
+      });
+      res.json({ printed: true, type: ticketType, reprint, destination });
+    } catch (error) {
+      console.error('Error printing order ticket:', error);
+      if (error.statusCode === 503) {
+        return res.status(503).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Error al imprimir el ticket' });
+    }
+  };
+}
+
+// Print kitchen ticket or customer receipt (body: { type: 'kitchen' | 'receipt' })
+router.post('/:id/print', printOrderTicketHandler({ reprint: false }));
+
+// Reprint (same as print, marked as REIMPRESION on the ticket)
+router.post('/:id/reprint', printOrderTicketHandler({ reprint: true }));
+
 // Delete order
 router.delete('/:id', async (req, res) => {
   try {
     const id = req.params.id.startsWith('#')
       ? req.params.id
       : `#${req.params.id}`;
-    const result = await db.query('DELETE FROM orders WHERE id = $1', [id]);
+    let deletedOrder;
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const locked = await client.query(
+        'SELECT id FROM orders WHERE id = $1 FOR UPDATE',
+        [id],
+      );
+      if (locked.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Pedido no encontrado' });
+      }
+      const existing = await client.query(
+        `${orderSelectWithItems} WHERE o.id = $1`,
+        [id],
+      );
+      deletedOrder = formatOrder(existing.rows[0]);
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Pedido no encontrado' });
+      await client.query(
+        `DELETE FROM cup_movements WHERE order_id = $1 AND type = 'delivery'`,
+        [id],
+      );
+      await client.query('DELETE FROM orders WHERE id = $1', [id]);
+      // order_events no tiene FK a orders: el historial sobrevive al borrado.
+      await recordOrderEvent(client, id, 'deleted', req.user?.id, {
+        order: deletedOrder,
+      });
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
     }
 
+    publishOrderEvent('order.deleted', deletedOrder);
     res.status(204).send();
   } catch (error) {
     console.error('Error deleting order:', error);
@@ -3,6 +3,7 @@ import express from 'express';
 import multer from 'multer';
 import db from '../database.js';
 import { parsePurchaseTicketImage } from '../lib/parsePurchaseTicketImage.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -127,7 +128,7 @@ router.get('/', async (_req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', idempotent('purchases.create'), async (req, res) => {
   const client = await db.connect();
   try {
     const p = req.body;
@@ -2,10 +2,23 @@ import express from 'express';
 import crypto from 'crypto';
 import db from '../database.js';
 import {
+  DEFAULT_CUP_TYPE_ID,
+  formatCupType,
   getCupPrice,
+  getCupReturnDays,
+  getCupTypes,
   invalidateCupPriceCache,
-  BUFFET_CUP_PRICE_SETTINGS_KEY,
+  invalidateCupReturnDaysCache,
+  BUFFET_CUP_RETURN_DAYS_SETTINGS_KEY,
 } from '../lib/cupPrice.js';
+import {
+  getCashDenominations,
+  getCloseDifferenceThreshold,
+  invalidateCashRegisterSettingsCache,
+  normalizeDenominations,
+  CASH_CLOSE_DIFFERENCE_THRESHOLD_SETTINGS_KEY,
+  CASH_DENOMINATIONS_SETTINGS_KEY,
+} from '../lib/cashRegisterSettings.js';
 
 const router = express.Router();
 
@@ -124,11 +137,21 @@ function validateDiscountPresetBody(body, { partial = false } = {}) {
   };
 }
 
-/** Buffet: precio depósito vasos retornables (ARS) */
+function parseCupTypePrice(raw) {
+  const n = Math.round(Number(raw));
+  return Number.isFinite(n) && n >= 1 && n <= 1_000_000 ? n : null;
+}
+
+/**
+ * Buffet: precio depósito del vaso (tipo por defecto), días para devolver
+ * envases en cualquier caja y catálogo de envases (`cupTypes`).
+ */
 router.get('/buffet', async (_req, res) => {
   try {
     const cupPrice = await getCupPrice();
-    res.json({ cupPrice });
+    const cupReturnDays = await getCupReturnDays();
+    const cupTypes = await getCupTypes();
+    res.json({ cupPrice, cupReturnDays, cupTypes });
   } catch (error) {
     console.error('Error fetching buffet settings:', error);
     res.status(500).json({ error: 'Error al obtener la configuración del buffet' });
@@ -137,24 +160,244 @@ router.get('/buffet', async (_req, res) => {
 
 router.put('/buffet', async (req, res) => {
   try {
-    const raw = req.body?.cupPrice;
-    const n = Math.round(Number(raw));
-    if (!Number.isFinite(n) || n < 1 || n > 1_000_000) {
+    const { cupPrice, cupReturnDays } = req.body ?? {};
+    const updates = [];
+    let defaultPrice = null;
+    if (cupPrice !== undefined) {
+      defaultPrice = parseCupTypePrice(cupPrice);
+      if (defaultPrice == null) {
+        return res.status(400).json({
+          error: 'Precio inválido: ingresá un entero entre 1 y 1.000.000',
+        });
+      }
+    }
+    if (cupReturnDays !== undefined) {
+      // null o 0: los vasos se pueden devolver sin límite de días.
+      const n = cupReturnDays == null || cupReturnDays === '' ? 0 : Number(cupReturnDays);
+      if (!Number.isInteger(n) || n < 0 || n > 3650) {
+        return res.status(400).json({
+          error: 'Días inválidos: ingresá un entero entre 0 y 3650',
+        });
+      }
+      updates.push([BUFFET_CUP_RETURN_DAYS_SETTINGS_KEY, String(n)]);
+    }
+    if (updates.length === 0 && defaultPrice == null) {
+      return res.status(400).json({ error: 'No hay cambios para guardar' });
+    }
+    if (defaultPrice != null) {
+      await db.query(
+        'UPDATE cup_types SET price = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [defaultPrice, DEFAULT_CUP_TYPE_ID],
+      );
+    }
+    for (const [key, value] of updates) {
+      await db.query(
+        `INSERT INTO settings (key, value, updated_at)
+         VALUES ($1, $2, CURRENT_TIMESTAMP)
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+        [key, value],
+      );
+    }
+    invalidateCupPriceCache();
+    invalidateCupReturnDaysCache();
+    res.json({
+      cupPrice: await getCupPrice(),
+      cupReturnDays: await getCupReturnDays(),
+      cupTypes: await getCupTypes(),
+    });
+  } catch (error) {
+    console.error('Error updating buffet settings:', error);
+    res.status(500).json({ error: 'Error al guardar la configuración del buffet' });
+  }
+});
+
+/** Envases retornables: vaso, pinta, copa… cada uno con su depósito */
+router.get('/cup-types', async (_req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM cup_types ORDER BY sort_order ASC, name ASC',
+    );
+    res.json(result.rows.map(formatCupType));
+  } catch (error) {
+    console.error('Error fetching cup types:', error);
+    res.status(500).json({ error: 'Error al obtener los tipos de envase' });
+  }
+});
+
+router.post('/cup-types', async (req, res) => {
+  try {
+    const { name, price, sortOrder } = req.body ?? {};
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'El nombre es requerido' });
+    }
+    const n = parseCupTypePrice(price);
+    if (n == null) {
       return res.status(400).json({
         error: 'Precio inválido: ingresá un entero entre 1 y 1.000.000',
       });
     }
-    await db.query(
-      `INSERT INTO settings (key, value, updated_at)
-       VALUES ($1, $2, CURRENT_TIMESTAMP)
-       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
-      [BUFFET_CUP_PRICE_SETTINGS_KEY, String(n)],
+    const id =
+      req.body.id && typeof req.body.id === 'string'
+        ? req.body.id
+        : crypto.randomUUID();
+    const result = await db.query(
+      `INSERT INTO cup_types (id, name, price, sort_order)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [id, name.trim(), n, Math.floor(Number(sortOrder)) || 0],
     );
     invalidateCupPriceCache();
-    res.json({ cupPrice: n });
+    res.status(201).json(formatCupType(result.rows[0]));
   } catch (error) {
-    console.error('Error updating buffet settings:', error);
-    res.status(500).json({ error: 'Error al guardar la configuración del buffet' });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Ya existe un tipo de envase con ese id' });
+    }
+    console.error('Error creating cup type:', error);
+    res.status(500).json({ error: 'Error al crear el tipo de envase' });
+  }
+});
+
+router.put('/cup-types/:id', async (req, res) => {
+  try {
+    const { name, price, active, sortOrder } = req.body ?? {};
+    const sets = [];
+    const params = [];
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'El nombre es requerido' });
+      }
+      params.push(name.trim());
+      sets.push(`name = $${params.length}`);
+    }
+    if (price !== undefined) {
+      const n = parseCupTypePrice(price);
+      if (n == null) {
+        return res.status(400).json({
+          error: 'Precio inválido: ingresá un entero entre 1 y 1.000.000',
+        });
+      }
+      params.push(n);
+      sets.push(`price = $${params.length}`);
+    }
+    if (active !== undefined) {
+      if (!active && req.params.id === DEFAULT_CUP_TYPE_ID) {
+        return res.status(400).json({ error: 'No se puede desactivar el vaso por defecto' });
+      }
+      params.push(active ? 1 : 0);
+      sets.push(`active = $${params.length}`);
+    }
+    if (sortOrder !== undefined) {
+      params.push(Math.floor(Number(sortOrder)) || 0);
+      sets.push(`sort_order = $${params.length}`);
+    }
+    if (sets.length === 0) {
+      return res.status(400).json({ error: 'No hay cambios para guardar' });
+    }
+    params.push(req.params.id);
+    const result = await db.query(
+      `UPDATE cup_types SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${params.length}
+       RETURNING *`,
+      params,
+    );
+    if (!result.rows[0]) {
+      return res.status(404).json({ error: 'Tipo de envase no encontrado' });
+    }
+    invalidateCupPriceCache();
+    res.json(formatCupType(result.rows[0]));
+  } catch (error) {
+    console.error('Error updating cup type:', error);
+    res.status(500).json({ error: 'Error al actualizar el tipo de envase' });
+  }
+});
+
+router.delete('/cup-types/:id', async (req, res) => {
+  try {
+    if (req.params.id === DEFAULT_CUP_TYPE_ID) {
+      return res.status(400).json({ error: 'No se puede eliminar el vaso por defecto' });
+    }
+    const countResult = await db.query(
+      `SELECT (
+         (SELECT COUNT(*) FROM cup_movements WHERE cup_type_id = $1) +
+         (SELECT COUNT(*) FROM cup_stock_movements WHERE cup_type_id = $1)
+       )::int AS count`,
+      [req.params.id],
+    );
+    if (countResult.rows[0].count > 0) {
+      return res.status(400).json({
+        error: 'No se puede eliminar: el envase tiene movimientos. Desactivalo',
+      });
+    }
+    const result = await db.query('DELETE FROM cup_types WHERE id = $1', [
+      req.params.id,
+    ]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Tipo de envase no encontrado' });
+    }
+    invalidateCupPriceCache();
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting cup type:', error);
+    res.status(500).json({ error: 'Error al eliminar el tipo de envase' });
+  }
+});
+
+/** Cajas: diferencia máxima de arqueo sin nota y denominaciones para el conteo */
+router.get('/cash-register', async (_req, res) => {
+  try {
+    const closeDifferenceThreshold = await getCloseDifferenceThreshold();
+    const denominations = await getCashDenominations();
+    res.json({ closeDifferenceThreshold, denominations });
+  } catch (error) {
+    console.error('Error fetching cash register settings:', error);
+    res.status(500).json({ error: 'Error al obtener la configuración de cajas' });
+  }
+});
+
+router.put('/cash-register', async (req, res) => {
+  try {
+    const { closeDifferenceThreshold, denominations } = req.body ?? {};
+    const updates = [];
+    if (closeDifferenceThreshold !== undefined) {
+      const n =
+        closeDifferenceThreshold === '' || closeDifferenceThreshold == null
+          ? NaN
+          : Number(closeDifferenceThreshold);
+      if (!Number.isFinite(n) || n < 0 || n > 10_000_000) {
+        return res.status(400).json({
+          error: 'Diferencia inválida: ingresá un monto entre 0 y 10.000.000',
+        });
+      }
+      updates.push([CASH_CLOSE_DIFFERENCE_THRESHOLD_SETTINGS_KEY, String(n)]);
+    }
+    if (denominations !== undefined) {
+      const list = normalizeDenominations(denominations);
+      if (!list) {
+        return res.status(400).json({
+          error: 'Denominaciones inválidas: ingresá montos mayores a 0',
+        });
+      }
+      updates.push([CASH_DENOMINATIONS_SETTINGS_KEY, JSON.stringify(list)]);
+    }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No hay cambios para guardar' });
+    }
+    for (const [key, value] of updates) {
+      await db.query(
+        `INSERT INTO settings (key, value, updated_at)
+         VALUES ($1, $2, CURRENT_TIMESTAMP)
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+        [key, value],
+      );
+    }
+    invalidateCashRegisterSettingsCache();
+    res.json({
+      closeDifferenceThreshold: await getCloseDifferenceThreshold(),
+      denominations: await getCashDenominations(),
+    });
+  } catch (error) {
+    console.error('Error updating cash register settings:', error);
+    res.status(500).json({ error: 'Error al guardar la configuración de cajas' });
   }
 });
 
@@ -439,7 +682,10 @@ router.delete('/mercado-pago/:id', async (req, res) => {
     }
 
     const countResult = await db.query(
-      `SELECT COUNT(*)::int AS count FROM orders WHERE mercado_pago_account_id = $1`,
+      `SELECT (
+         (SELECT COUNT(*) FROM orders WHERE mercado_pago_account_id = $1) +
+         (SELECT COUNT(*) FROM order_payments WHERE mercado_pago_account_id = $1)
+       )::int AS count`,
       [req.params.id]
     );
 
@@ -1,6 +1,7 @@
 import express from 'express';
 import db from '../database.js';
 import { randomUUID } from 'crypto';
+import { parseModifierGroups } from '../lib/menuModifiers.js';
 
 const router = express.Router();
 
@@ -469,7 +470,9 @@ router.delete('/:id', async (req, res) => {
   try {
     const id = req.params.id;
 
-    const menuItems = await db.query('SELECT id, recipe FROM menu_items');
+    const menuItems = await db.query(
+      'SELECT id, recipe, modifier_groups FROM menu_items',
+    );
     for (const row of menuItems.rows) {
       const recipe = parseRecipe(row.recipe);
       if (Array.isArray(recipe)) {
@@ -483,6 +486,18 @@ router.delete('/:id', async (req, res) => {
           });
         }
       }
+      const usedInOption = parseModifierGroups(row.modifier_groups).some(
+        (group) =>
+          (group.options || []).some((option) =>
+            (option.recipe || []).some((line) => line?.supplyId === id),
+          ),
+      );
+      if (usedInOption) {
+        return res.status(400).json({
+          error:
+            'No se puede eliminar: el insumo está en una opción de un producto del menú',
+        });
+      }
     }
 
     const allSupplies = await db.query('SELECT id, recipe FROM supplies');
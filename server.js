@@ -8,6 +8,7 @@ import settingsRoutes from './routes/settings.js';
 import cashRegistersRoutes from './routes/cashRegisters.js';
 import suppliesRoutes from './routes/supplies.js';
 import openAccountsRoutes from './routes/openAccounts.js';
+import customerAccountsRoutes from './routes/customerAccounts.js';
 import agendaRoutes from './routes/agenda.js';
 import financeRoutes from './routes/finance.js';
 import purchasesRoutes from './routes/purchases.js';
@@ -68,6 +69,12 @@ app.use(
   requireAnyPermission(PERMISSIONS.COMANDAS),
   openAccountsRoutes,
 );
+app.use(
+  '/api/customer-accounts',
+  authenticateToken,
+  requireAnyPermission(PERMISSIONS.COMANDAS),
+  customerAccountsRoutes,
+);
 app.use(
   '/api/agenda',
   authenticateToken,